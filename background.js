@@ -1,8 +1,9 @@
 /**
  * DialogBrain Cookie Sync - Background Service Worker
  *
- * EVENT-DRIVEN cookie synchronization for Instagram and LinkedIn.
- * Listens for cookie changes and syncs with DialogBrain backend.
+ * EVENT-DRIVEN cookie synchronization for every platform in the registry
+ * (see lib/platforms.js). Listens for cookie changes and syncs with
+ * DialogBrain backend.
  *
  * SECURITY NOTES:
  * - NEVER log cookie values
@@ -10,452 +11,620 @@
  * - Cookies stored only in backend, not locally
  */
 
-// =============================================================================
-// Configuration
-// =============================================================================
-
-// API endpoints - use localhost for development
-const CONFIG = {
-  // Production API
-  PROD_API_URL: 'https://api.dialogbrain.com',
-  // Development API (uncomment for local testing)
-  DEV_API_URL: 'http://localhost:8000',
-
-  // Use development mode flag
-  IS_DEV: false, // Set to true for local development
-
-  // Sync settings
-  DEBOUNCE_MS: 2000, // Wait 2s for cookie changes to settle
-  FALLBACK_SYNC_HOURS: 6, // Periodic sync interval
-};
-
-// Get current API URL based on mode
-function getApiUrl() {
-  return CONFIG.IS_DEV ? CONFIG.DEV_API_URL : CONFIG.PROD_API_URL;
-}
-
-// Cookies we care about per platform
-const INSTAGRAM_COOKIES = ['sessionid', 'csrftoken', 'ds_user_id', 'mid'];
-const LINKEDIN_COOKIES = ['li_at', 'li_a', 'JSESSIONID'];
+import { CONFIG } from './lib/config.js';
+import { setTokens, clearTokens, hasTokens, handleTokenStorageChange } from './lib/auth.js';
+import { PLATFORMS, getPlatform, getPlatformForCookie } from './lib/platforms.js';
+import {
+  loadSettings,
+  getSettings,
+  onSettingsChanged,
+  handleStorageChange,
+  migrateSettings,
+} from './lib/settings.js';
+import { getActiveEnvironment } from './lib/environments.js';
+import {
+  TRIGGERS,
+  getAllStatus,
+  resetStatus,
+  reloadStatusStore,
+  updateStatus,
+  readHistory,
+  onStatusChanged,
+} from './lib/status-store.js';
+import {
+  OFFLINE_ALARM,
+  getQueuedSessions,
+  getWaitingSessions,
+  getRetryAlarmSession,
+  clearAllRetries,
+} from './lib/retry.js';
+import { clearFingerprints } from './lib/fingerprint.js';
+import { REVOKE_REASONS, getSessionEndCause, revokeSessions } from './lib/session.js';
+import { hasConsent, isOptedIn, isSyncEnabled, openConsentPage } from './lib/consent.js';
+import { isPlatformAllowed, isLogoutDisabled } from './lib/policy.js';
+import { NOTIFICATION_TYPES, clearNotification, handleNotificationClick } from './lib/notifications.js';
+import { updateBadge } from './lib/badge.js';
+import {
+  getSyncAlarmPlatform,
+  isSyncTime,
+  applySchedule,
+  initSchedule,
+  deferSync,
+  runScheduledSync,
+} from './lib/schedule.js';
+import { KEEPALIVE_ALARM, scheduleKeepalive, noteCookieRefresh, runKeepalive } from './lib/keepalive.js';
+import { STATUS_PORT, addSubscriber, pushStatus } from './lib/status-push.js';
+import { COMMANDS_ALARM, scheduleCommandPoll, runCommandPoll, startLongPoll } from './lib/commands.js';
+import { clearAccounts } from './lib/accounts.js';
+import {
+  PROTOCOL_VERSION,
+  checkExternalMessage,
+  checkExternalPort,
+  createHandoffNonce,
+  verifyTokenHandoff,
+  recordRejection,
+} from './lib/external.js';
+import { getCookieStore, isStoreAllowed, parseSessionKey } from './lib/cookie-stores.js';
+import { isExtensionSender, addExternalMessageListener, addExternalConnectListener } from './lib/browser.js';
+import {
+  getSessionSummary,
+  getCookiePresence,
+  scheduleSync,
+  cancelPendingSyncs,
+  syncPlatform,
+  syncAll,
+} from './lib/sync.js';
+import { log, describeError } from './lib/logger.js';
 
 // =============================================================================
-// State Management
+// Settings
 // =============================================================================
 
-// Pending sync timers (for debouncing)
-let pendingSyncs = {
-  instagram: null,
-  linkedin: null,
-};
+// Keep the cached settings and tokens current while the worker is alive
+chrome.storage.onChanged.addListener(handleStorageChange);
+chrome.storage.onChanged.addListener(handleTokenStorageChange);
 
-// Track sync status
-let syncStatus = {
-  instagram: { syncing: false, lastSync: null, error: null },
-  linkedin: { syncing: false, lastSync: null, error: null },
-};
+onSettingsChanged((changedKeys, settings) => {
+  if (changedKeys.includes('auto_sync_enabled') && !settings.auto_sync_enabled) {
+    log.info('Auto-sync disabled - dropping pending syncs');
+    cancelPendingSyncs();
+  }
 
-// =============================================================================
-// Cookie Change Listener (PRIMARY mechanism)
-// =============================================================================
+  // The policy may allow or block platforms, or change the sync interval
+  const policyChanged = changedKeys.includes('policy');
+  if (policyChanged) {
+    log.info('Managed policy updated');
+  }
 
-chrome.cookies.onChanged.addListener((changeInfo) => {
-  const { cookie, removed } = changeInfo;
+  if (changedKeys.includes('sync_consent') || changedKeys.includes('paused_platforms') || policyChanged) {
+    applyPlatformChoices(settings);
+    refreshBadge();
+  }
 
-  // Instagram cookie changed
-  if (cookie.domain.includes('instagram.com') && INSTAGRAM_COOKIES.includes(cookie.name)) {
-    console.log(`[DialogBrain] Instagram cookie change detected: ${cookie.name} (${removed ? 'removed' : 'updated'})`);
+  // New intervals or sync hours move the alarms already set
+  if (changedKeys.includes('sync_intervals') || changedKeys.includes('sync_hours')) {
+    applySchedule({ reschedule: true }).catch(reportFailure('Scheduling syncs'));
+  } else if (['periodic_sync_enabled', 'sync_consent', 'paused_platforms'].some((key) => changedKeys.includes(key)) || policyChanged) {
+    applySchedule().catch(reportFailure('Scheduling syncs'));
+  }
 
-    // Debounce: wait for multiple cookie changes to settle
-    if (pendingSyncs.instagram) {
-      clearTimeout(pendingSyncs.instagram);
-    }
-    pendingSyncs.instagram = setTimeout(() => {
-      syncInstagramCookies();
-    }, CONFIG.DEBOUNCE_MS);
+  if (changedKeys.includes('keepalive_enabled')) {
+    scheduleKeepalive(settings.keepalive_enabled);
   }
 
-  // LinkedIn cookie changed
-  if (cookie.domain.includes('linkedin.com') && LINKEDIN_COOKIES.includes(cookie.name)) {
-    console.log(`[DialogBrain] LinkedIn cookie change detected: ${cookie.name} (${removed ? 'removed' : 'updated'})`);
+  if (changedKeys.includes('cookie_store_sync')) {
+    log.info('Cookie store selection changed - resyncing');
+    syncAll(TRIGGERS.SETTINGS).catch(reportFailure('Resync'));
+  }
 
-    // Debounce
-    if (pendingSyncs.linkedin) {
-      clearTimeout(pendingSyncs.linkedin);
-    }
-    pendingSyncs.linkedin = setTimeout(() => {
-      syncLinkedInCookies();
-    }, CONFIG.DEBOUNCE_MS);
+  if (changedKeys.includes('environment') || changedKeys.includes('custom_api_url')) {
+    switchEnvironment(settings).catch(reportFailure('Switching environments'));
   }
 });
 
-// =============================================================================
-// Fallback Periodic Sync (every 6 hours)
-// =============================================================================
+/**
+ * Consent was given or revoked, platforms were opted in or out, paused
+ * or resumed (see lib/consent.js), or the policy changed which platforms
+ * are allowed (see lib/policy.js). Platforms that may sync now catch up;
+ * opted-out and blocked ones have their stored sessions deleted once any
+ * sync still in flight is done, so it can't upload them again.
+ * Failures are reported per platform.
+ */
+function applyPlatformChoices(settings) {
+  const optOutReason = hasConsent(settings) ? REVOKE_REASONS.OPTED_OUT : REVOKE_REASONS.CONSENT_REVOKED;
 
-// Create alarm for periodic sync
-chrome.alarms.create('fallbackSync', { periodInMinutes: CONFIG.FALLBACK_SYNC_HOURS * 60 });
+  return Promise.all(PLATFORMS.map((platform) => applyPlatformChoice(platform, optOutReason)
+    .catch(reportFailure(`Applying ${platform.name} settings`, platform.id))));
+}
 
-chrome.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name === 'fallbackSync') {
-    console.log('[DialogBrain] Running fallback periodic sync');
-    syncInstagramCookies();
-    syncLinkedInCookies();
+async function applyPlatformChoice(platform, optOutReason) {
+  await syncPlatform(platform.id, TRIGGERS.SETTINGS);
+  if (!isPlatformAllowed(platform.id)) {
+    await revokeSessions(platform, REVOKE_REASONS.BLOCKED_BY_POLICY);
+  } else if (!isOptedIn(platform.id)) {
+    await revokeSessions(platform, optOutReason);
   }
-});
+}
+
+/**
+ * Another backend was selected on the options page (see lib/environments.js).
+ * Its tokens, accounts and status are separate, so drop the current
+ * environment's pending work and sync against the new one.
+ */
+async function switchEnvironment(settings) {
+  const environment = getActiveEnvironment(settings);
+  log.info(`API environment switched to ${environment.name} (${environment.apiUrl})`);
+
+  cancelPendingSyncs();
+  await clearAllRetries();
+  await reloadStatusStore();
+  await syncAll(TRIGGERS.SETTINGS);
+}
 
 // =============================================================================
-// Instagram Cookie Sync
+// Cookie Change Listener (PRIMARY mechanism)
 // =============================================================================
 
-async function getInstagramCookies() {
-  const cookiePromises = INSTAGRAM_COOKIES.map((name) =>
-    chrome.cookies.get({ url: 'https://www.instagram.com', name })
-  );
-
-  const cookies = await Promise.all(cookiePromises);
+chrome.cookies.onChanged.addListener((changeInfo) => {
+  const platform = getPlatformForCookie(changeInfo.cookie);
+  if (platform) {
+    handleCookieChange(platform, changeInfo)
+      .catch(reportFailure(`Handling a ${platform.name} cookie change`, platform.id));
+  }
+});
 
-  return {
-    sessionid: cookies[0]?.value || null,
-    csrftoken: cookies[1]?.value || null,
-    ds_user_id: cookies[2]?.value || null,
-    mid: cookies[3]?.value || null,
-    user_agent: navigator.userAgent, // CRITICAL: Include real browser UA
-  };
-}
+/**
+ * A platform cookie changed: sync the session once changes settle.
+ * Failures are reported on the platform by the listener above.
+ */
+async function handleCookieChange(platform, changeInfo) {
+  const { cookie, removed, cause } = changeInfo;
+
+  // The session is in use (or was just kept alive) - see lib/keepalive.js.
+  // Noted even when the change isn't synced, so the keepalive doesn't
+  // ping a session the user is actively browsing.
+  const store = await getCookieStore(cookie.storeId);
+  if (!removed && store?.isDefault) {
+    noteCookieRefresh(platform.id).catch((error) => {
+      log.error('Recording a cookie refresh failed:', error.message);
+    });
+  }
 
-async function syncInstagramCookies() {
-  // Get auth token
-  const storage = await chrome.storage.local.get(['auth_token', 'instagram_account_id']);
-  const authToken = storage.auth_token;
+  // The worker may have just woken up for this event
+  await loadSettings();
+  if (!getSettings().auto_sync_enabled || !isSyncEnabled(platform.id)) {
+    return;
+  }
 
-  if (!authToken) {
-    console.log('[DialogBrain] No auth token - user not logged in to extension');
-    syncStatus.instagram = { syncing: false, lastSync: null, error: 'Not logged in' };
+  // Incognito and other stores only sync if the user allowed them
+  if (!store || !isStoreAllowed(store)) {
     return;
   }
 
-  // Get cookies
-  const cookies = await getInstagramCookies();
+  log.debug(`${platform.name} cookie change detected: ${cookie.name} (${removed ? `removed: ${cause}` : 'updated'})`);
 
-  if (!cookies.sessionid) {
-    console.log('[DialogBrain] No Instagram session - user not logged in');
-    syncStatus.instagram = { syncing: false, lastSync: null, error: 'Not logged in to Instagram' };
+  // Outside sync hours the change is synced when they begin
+  if (!isSyncTime()) {
+    deferSync(platform.id, { trigger: TRIGGERS.COOKIE_CHANGE })
+      .catch(reportFailure(`Deferring the ${platform.name} sync`, platform.id));
     return;
   }
 
-  syncStatus.instagram.syncing = true;
+  // Debounce: wait for multiple cookie changes to settle.
+  // A removed session cookie is re-checked after the debounce - logging
+  // in again (or a plain overwrite) sets a new one in the meantime.
+  scheduleSync(platform.id, {
+    storeId: store.id,
+    removalCause: getSessionEndCause(platform, changeInfo),
+  });
+}
 
-  try {
-    const apiUrl = getApiUrl();
-    let endpoint;
-    let method = 'POST';
-
-    // If we have an existing account ID, use sync endpoint
-    // Otherwise, use connect endpoint
-    if (storage.instagram_account_id) {
-      endpoint = `${apiUrl}/api/channels/instagram/accounts/${storage.instagram_account_id}/sync-cookie`;
-    } else {
-      endpoint = `${apiUrl}/api/channels/instagram/accounts/connect/cookie`;
+// =============================================================================
+// Scheduled Sync (per platform, see lib/schedule.js)
+// =============================================================================
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  const scheduledPlatform = getSyncAlarmPlatform(alarm.name);
+  if (scheduledPlatform) {
+    if (getPlatform(scheduledPlatform)) {
+      runScheduledSync(scheduledPlatform).catch((error) => {
+        log.error('Scheduled sync failed:', error.message);
+      });
     }
+    return;
+  }
 
-    const response = await fetch(endpoint, {
-      method,
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${authToken}`,
-      },
-      body: JSON.stringify(cookies), // NEVER log this!
+  if (alarm.name === COMMANDS_ALARM) {
+    runCommandPoll().catch((error) => {
+      log.error('Command poll failed:', error.message);
     });
+    return;
+  }
 
-    if (response.ok) {
-      const data = await response.json();
-
-      // Store account ID if this was a connect
-      if (data.account_id && !storage.instagram_account_id) {
-        await chrome.storage.local.set({ instagram_account_id: data.account_id });
-      }
+  if (alarm.name === KEEPALIVE_ALARM) {
+    runKeepalive().catch((error) => {
+      log.error('Keepalive failed:', error.message);
+    });
+    return;
+  }
 
-      console.log('[DialogBrain] Instagram cookies synced successfully');
-      syncStatus.instagram = {
-        syncing: false,
-        lastSync: new Date().toISOString(),
-        error: null,
-        status: data.status || 'connected',
-      };
-    } else {
-      const errorText = await response.text();
-      console.error(`[DialogBrain] Instagram sync failed: ${response.status}`);
-      syncStatus.instagram = {
-        syncing: false,
-        lastSync: null,
-        error: `HTTP ${response.status}`,
-      };
+  // Sessions are waiting for the network - see if it's back
+  if (alarm.name === OFFLINE_ALARM) {
+    if (navigator.onLine) {
+      flushRetryQueue({ waitingOnly: true }).catch((error) => {
+        log.error('Retry queue flush failed:', error.message);
+      });
     }
-  } catch (error) {
-    console.error('[DialogBrain] Instagram sync error:', error.message); // Don't log full error (may contain cookies)
-    syncStatus.instagram = {
-      syncing: false,
-      lastSync: null,
-      error: error.message,
-    };
+    return;
   }
-}
+
+  const retrySession = getRetryAlarmSession(alarm.name);
+  if (retrySession) {
+    log.info(`Retrying ${retrySession} sync`);
+    retrySync(retrySession);
+  }
+});
 
 // =============================================================================
-// LinkedIn Cookie Sync
+// Retry Queue (network recovery)
 // =============================================================================
 
-async function getLinkedInCookies() {
-  const cookiePromises = [
-    chrome.cookies.get({ url: 'https://www.linkedin.com', name: 'li_at' }),
-    chrome.cookies.get({ url: 'https://www.linkedin.com', name: 'li_a' }),
-    chrome.cookies.get({ url: 'https://www.linkedin.com', name: 'JSESSIONID' }),
-  ];
-
-  const cookies = await Promise.all(cookiePromises);
+/**
+ * Retry one queued session. Keys queued before cookie stores were
+ * tracked carry no store and retry every store.
+ */
+function retrySync(sessionKey) {
+  const { platformId, storeId } = parseSessionKey(sessionKey);
+  if (getPlatform(platformId)) {
+    syncPlatform(platformId, TRIGGERS.RETRY, { storeId }).catch((error) => {
+      log.error(`Retry of ${sessionKey} failed:`, error.message);
+    });
+  }
+}
 
-  return {
-    li_at: cookies[0]?.value || null,
-    li_a: cookies[1]?.value || null,
-    jsessionid: cookies[2]?.value || null,
-    user_agent: navigator.userAgent,
-  };
+/**
+ * Retry queued sessions right away, e.g. when the network comes back.
+ * With waitingOnly, only sessions queued while offline are retried.
+ */
+async function flushRetryQueue({ waitingOnly = false } = {}) {
+  const sessionKeys = waitingOnly ? await getWaitingSessions() : await getQueuedSessions();
+  if (sessionKeys.length > 0) {
+    log.info(`Network available - retrying ${sessionKeys.length} queued sync(s)`);
+  }
+  for (const sessionKey of sessionKeys) {
+    retrySync(sessionKey);
+  }
 }
 
-async function syncLinkedInCookies() {
-  // Get auth token
-  const storage = await chrome.storage.local.get(['auth_token', 'linkedin_account_id']);
-  const authToken = storage.auth_token;
+self.addEventListener('online', () => flushRetryQueue());
 
-  if (!authToken) {
-    console.log('[DialogBrain] No auth token - user not logged in to extension');
-    syncStatus.linkedin = { syncing: false, lastSync: null, error: 'Not logged in' };
-    return;
+// =============================================================================
+// Auth
+// =============================================================================
+
+/**
+ * Store tokens from a verified web app handoff:
+ * { token, refreshToken?, expiresAt? } (expiresAt in epoch ms).
+ * There is no unverified way in - the popup only links to the web app.
+ */
+async function saveAuthTokens(message) {
+  try {
+    await setTokens({
+      accessToken: message.token,
+      refreshToken: message.refreshToken,
+      expiresAt: message.expiresAt,
+    });
+  } catch (error) {
+    log.warn('Rejected auth token:', error.message);
+    return { success: false, error: describeError(error) };
   }
 
-  // Get cookies
-  const cookies = await getLinkedInCookies();
+  clearNotification(NOTIFICATION_TYPES.AUTH_EXPIRED);
+  refreshBadge();
+  return { success: true };
+}
 
-  if (!cookies.li_at) {
-    console.log('[DialogBrain] No LinkedIn session - user not logged in');
-    syncStatus.linkedin = { syncing: false, lastSync: null, error: 'Not logged in to LinkedIn' };
-    return;
+/**
+ * Forget the DialogBrain account: tokens, accounts, retries and status.
+ * Administrators can forbid it (see lib/policy.js).
+ */
+async function logOut() {
+  await loadSettings();
+  if (isLogoutDisabled()) {
+    return { success: false, error: 'Logout is disabled by your administrator' };
   }
 
-  syncStatus.linkedin.syncing = true;
+  await clearTokens();
+  log.info('Logged out');
+  await clearAccounts();
+  await clearAllRetries();
+  await clearFingerprints();
+  await resetStatus('Not logged in');
+  return { success: true };
+}
+
+// =============================================================================
+// Notifications & Badge
+// =============================================================================
 
+// Open the page that fixes what the notification is about
+chrome.notifications.onClicked.addListener((notificationId) => {
+  handleNotificationClick(notificationId).catch((error) => {
+    log.error('Notification click failed:', error.message);
+  });
+});
+
+/**
+ * Redraw the toolbar badge from the current status (see lib/badge.js).
+ */
+async function refreshBadge() {
   try {
-    const apiUrl = getApiUrl();
-    let endpoint;
-
-    // If we have an existing account ID, use sync endpoint
-    if (storage.linkedin_account_id) {
-      endpoint = `${apiUrl}/api/channels/linkedin/accounts/${storage.linkedin_account_id}/sync-cookie`;
-    } else {
-      endpoint = `${apiUrl}/api/channels/linkedin/accounts/connect/cookie`;
-    }
+    await updateBadge(await getAllStatus());
+  } catch (error) {
+    log.error('Badge update failed:', error.message);
+  }
+}
 
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${authToken}`,
-      },
-      body: JSON.stringify(cookies),
-    });
+onStatusChanged((platformId, events) => {
+  refreshBadge();
+  pushStatus(platformId, events).catch((error) => {
+    log.error('Status push failed:', error.message);
+  });
+});
 
-    if (response.ok) {
-      const data = await response.json();
+// =============================================================================
+// Helpers
+// =============================================================================
 
-      // Store account ID if this was a connect
-      if (data.account_id && !storage.linkedin_account_id) {
-        await chrome.storage.local.set({ linkedin_account_id: data.account_id });
-      }
+/**
+ * Handler for background work nobody waits for: log the failure and show
+ * it in the platform's status (every platform's, without one), so it
+ * doesn't end as an unhandled rejection nobody sees.
+ */
+function reportFailure(task, platformId = null) {
+  return async (error) => {
+    const message = `${task} failed: ${describeError(error)}`;
+    log.error(message);
+
+    const platformIds = platformId ? [platformId] : PLATFORMS.map((platform) => platform.id);
+    await Promise.all(platformIds.map((id) => updateStatus(id, { error: message }))).catch((statusError) => {
+      log.error('Failed to record the failure:', statusError.message);
+    });
+  };
+}
 
-      console.log('[DialogBrain] LinkedIn cookies synced successfully');
-      syncStatus.linkedin = {
-        syncing: false,
-        lastSync: new Date().toISOString(),
-        error: null,
-        status: data.status || 'connected',
-      };
-    } else {
-      console.error(`[DialogBrain] LinkedIn sync failed: ${response.status}`);
-      syncStatus.linkedin = {
-        syncing: false,
-        lastSync: null,
-        error: `HTTP ${response.status}`,
-      };
-    }
-  } catch (error) {
-    console.error('[DialogBrain] LinkedIn sync error:', error.message);
-    syncStatus.linkedin = {
-      syncing: false,
-      lastSync: null,
-      error: error.message,
-    };
+/**
+ * Sync the requested platform, or every platform for 'all'.
+ */
+async function syncRequested(platformId, trigger, options) {
+  if (platformId === 'all') {
+    await syncAll(trigger, options);
+  } else if (getPlatform(platformId)) {
+    await syncPlatform(platformId, trigger, options);
   }
 }
 
+/**
+ * What the popup's diagnostics panel shows. Cookie presence only - never
+ * values.
+ */
+async function getDiagnostics() {
+  await loadSettings();
+  const environment = getActiveEnvironment();
+  return {
+    version: chrome.runtime.getManifest().version,
+    environment: { id: environment.id, name: environment.name, apiUrl: environment.apiUrl },
+    loggedIn: await hasTokens(),
+    cookies: await getCookiePresence(),
+  };
+}
+
+/**
+ * Status for every platform merged with current session presence.
+ */
+async function getStatusWithSessions() {
+  const [status, sessions] = await Promise.all([getAllStatus(), getSessionSummary()]);
+  return Object.fromEntries(PLATFORMS.map((platform) => [
+    platform.id,
+    { ...status[platform.id], ...sessions[platform.id] },
+  ]));
+}
+
 // =============================================================================
 // Message Handlers (for popup communication)
 // =============================================================================
 
+// Answer a failed request with its error, so the page isn't left waiting
+function respondWithError(sendResponse, task) {
+  return (error) => {
+    log.error(`${task} failed:`, error.message);
+    sendResponse({ error: describeError(error) });
+  };
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Content scripts only relay web app messages (see lib/browser.js)
+  if (!isExtensionSender(sender)) {
+    return;
+  }
+
   if (message.type === 'GET_STATUS') {
-    sendResponse({
-      instagram: syncStatus.instagram,
-      linkedin: syncStatus.linkedin,
-    });
+    getAllStatus().then(sendResponse, respondWithError(sendResponse, 'Reading status'));
+    return true;
+  }
+
+  if (message.type === 'GET_HISTORY') {
+    readHistory().then((history) => {
+      sendResponse(message.platform ? { [message.platform]: history[message.platform] || [] } : history);
+    }, respondWithError(sendResponse, 'Reading history'));
     return true;
   }
 
   if (message.type === 'MANUAL_SYNC') {
-    if (message.platform === 'instagram') {
-      syncInstagramCookies().then(() => {
-        sendResponse({ success: true, status: syncStatus.instagram });
-      });
-    } else if (message.platform === 'linkedin') {
-      syncLinkedInCookies().then(() => {
-        sendResponse({ success: true, status: syncStatus.linkedin });
-      });
+    if (message.platform === 'all') {
+      syncAll(TRIGGERS.MANUAL)
+        .then(async () => sendResponse({ success: true, status: await getAllStatus() }))
+        .catch((error) => sendResponse({ success: false, error: describeError(error) }));
+      return true;
     }
+
+    if (!getPlatform(message.platform)) {
+      sendResponse({ success: false, error: 'Unknown platform' });
+      return;
+    }
+
+    syncPlatform(message.platform, TRIGGERS.MANUAL, { storeId: message.storeId || null })
+      .then((status) => sendResponse({ success: true, status }))
+      .catch((error) => sendResponse({ success: false, error: describeError(error) }));
     return true; // Keep message channel open for async response
   }
 
-  if (message.type === 'SET_AUTH_TOKEN') {
-    chrome.storage.local.set({ auth_token: message.token }).then(() => {
-      console.log('[DialogBrain] Auth token updated');
-      sendResponse({ success: true });
-    });
+  if (message.type === 'LOGOUT') {
+    logOut().then(sendResponse, respondWithError(sendResponse, 'Logout'));
     return true;
   }
 
-  if (message.type === 'LOGOUT') {
-    chrome.storage.local.remove(['auth_token', 'instagram_account_id', 'linkedin_account_id']).then(() => {
-      console.log('[DialogBrain] Logged out');
-      syncStatus = {
-        instagram: { syncing: false, lastSync: null, error: 'Not logged in' },
-        linkedin: { syncing: false, lastSync: null, error: 'Not logged in' },
-      };
-      sendResponse({ success: true });
-    });
+  if (message.type === 'CHECK_COOKIES') {
+    getSessionSummary().then(sendResponse, respondWithError(sendResponse, 'Checking cookies'));
     return true;
   }
 
-  if (message.type === 'CHECK_COOKIES') {
-    (async () => {
-      const instagram = await getInstagramCookies();
-      const linkedin = await getLinkedInCookies();
-      sendResponse({
-        instagram: { hasSession: !!instagram.sessionid },
-        linkedin: { hasSession: !!linkedin.li_at },
-      });
-    })();
+  if (message.type === 'GET_DIAGNOSTICS') {
+    getDiagnostics().then(sendResponse, respondWithError(sendResponse, 'Reading diagnostics'));
     return true;
   }
 });
 
+// Live status for the popup (see lib/status-push.js). While anyone is
+// subscribed, backend commands are long-polled (see lib/commands.js).
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === STATUS_PORT && isExtensionSender(port.sender)) {
+    addSubscriber(port);
+    startLongPoll();
+  }
+});
+
 // =============================================================================
 // External Message Handlers (for web page communication)
 // =============================================================================
 
-// Allow the DialogBrain web app to detect if extension is installed
-chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
-  // Verify sender is from allowed origins
-  const allowedOrigins = [
-    'https://dialogbrain.com',
-    'https://app.dialogbrain.com',
-    'http://localhost:3000',
-  ];
-
-  if (!allowedOrigins.some(origin => sender.origin?.startsWith(origin))) {
-    console.warn('[DialogBrain] Rejected message from unauthorized origin:', sender.origin);
-    sendResponse({ error: 'Unauthorized origin' });
+// Versioned protocol for the DialogBrain web app (see lib/external.js),
+// delivered through externally_connectable or, in Firefox, the content
+// script bridge (see lib/browser.js). Every message is origin- and
+// schema-checked before it is handled.
+addExternalMessageListener(async (message, sender) => {
+  const response = await handleExternalMessage(message, sender).catch((error) => {
+    log.error('External message error:', error.message);
+    return { error: 'Internal error' };
+  });
+  return { v: PROTOCOL_VERSION, ...response };
+});
+
+// Live status for the web app; subscriptions follow the same origin and
+// version rules as messages
+addExternalConnectListener(async (port) => {
+  await loadSettings();
+
+  const rejection = checkExternalPort(port);
+  if (rejection) {
+    await recordRejection({ type: 'CONNECT' }, port.sender, rejection);
+    port.disconnect();
     return;
   }
+  addSubscriber(port, { external: true });
+  startLongPoll();
+});
 
-  if (message.type === 'PING') {
-    // Simple ping to check if extension is installed
-    sendResponse({
-      installed: true,
-      version: chrome.runtime.getManifest().version,
-    });
-    return true;
+async function handleExternalMessage(message, sender) {
+  // The allowlist depends on settings - make sure they're loaded after a wake-up
+  await loadSettings();
+
+  const rejection = checkExternalMessage(message, sender);
+  if (rejection) {
+    await recordRejection(message, sender, rejection);
+    return { error: rejection };
   }
 
-  if (message.type === 'GET_STATUS') {
-    // Check cookies and include hasSession in response
-    (async () => {
-      const instagram = await getInstagramCookies();
-      const linkedin = await getLinkedInCookies();
-      sendResponse({
+  switch (message.type) {
+    case 'PING':
+      // Simple ping to check if extension is installed
+      return {
         installed: true,
         version: chrome.runtime.getManifest().version,
-        instagram: {
-          ...syncStatus.instagram,
-          hasSession: !!instagram.sessionid
-        },
-        linkedin: {
-          ...syncStatus.linkedin,
-          hasSession: !!linkedin.li_at
-        },
-      });
-    })();
-    return true;
-  }
-
-  if (message.type === 'SET_AUTH_TOKEN') {
-    chrome.storage.local.set({ auth_token: message.token }).then(() => {
-      console.log('[DialogBrain] Auth token set from web app');
-      sendResponse({ success: true });
-    });
-    return true;
-  }
+      };
 
-  if (message.type === 'CHECK_COOKIES') {
-    (async () => {
-      const instagram = await getInstagramCookies();
-      const linkedin = await getLinkedInCookies();
-      sendResponse({
+    case 'GET_STATUS':
+      // Check cookies and include hasSession in response
+      return {
         installed: true,
-        instagram: { hasSession: !!instagram.sessionid },
-        linkedin: { hasSession: !!linkedin.li_at },
-      });
-    })();
-    return true;
-  }
+        version: chrome.runtime.getManifest().version,
+        ...(await getStatusWithSessions()),
+      };
+
+    case 'CHECK_COOKIES':
+      return { installed: true, ...(await getSessionSummary()) };
 
-  if (message.type === 'TRIGGER_SYNC') {
-    (async () => {
-      if (message.platform === 'instagram' || message.platform === 'all') {
-        await syncInstagramCookies();
+    case 'TRIGGER_SYNC':
+      await syncRequested(message.platform, TRIGGERS.EXTERNAL, { force: message.force === true });
+      return { success: true, ...(await getAllStatus()) };
+
+    case 'AUTH_CHALLENGE':
+      // First half of a token handoff: the backend signs this nonce with the token
+      return { nonce: await createHandoffNonce(sender.origin) };
+
+    case 'SET_AUTH_TOKEN': {
+      const handoffError = await verifyTokenHandoff(message, sender.origin);
+      if (handoffError) {
+        await recordRejection(message, sender, handoffError);
+        return { success: false, error: handoffError };
       }
-      if (message.platform === 'linkedin' || message.platform === 'all') {
-        await syncLinkedInCookies();
+
+      const result = await saveAuthTokens(message);
+      if (result.success) {
+        log.info('Auth token set from web app');
       }
-      sendResponse({
-        success: true,
-        instagram: syncStatus.instagram,
-        linkedin: syncStatus.linkedin,
-      });
-    })();
-    return true;
+      return result;
+    }
   }
-});
+}
 
 // =============================================================================
 // Initialization
 // =============================================================================
 
-console.log('[DialogBrain] Cookie Sync extension initialized');
+loadSettings().then((settings) => {
+  initSchedule();
+  scheduleKeepalive(settings.keepalive_enabled);
+  scheduleCommandPoll();
+  refreshBadge();
+  log.info('Cookie Sync extension initialized');
+}).catch((error) => {
+  log.error('Initialization failed:', error.message);
+});
+
+// Syncs queued while offline wait for the network - pick them up if we're
+// back online (OFFLINE_ALARM keeps checking otherwise)
+if (navigator.onLine) {
+  flushRetryQueue({ waitingOnly: true }).catch((error) => {
+    log.error('Retry queue flush failed:', error.message);
+  });
+}
+
+// Initial sync on install/update - once the user has consented to it
+chrome.runtime.onInstalled.addListener(async () => {
+  await migrateSettings();
+
+  await loadSettings();
+  if (!hasConsent()) {
+    log.info('Extension installed/updated - asking for consent before syncing');
+    openConsentPage();
+    return;
+  }
 
-// Initial sync on install/update
-chrome.runtime.onInstalled.addListener(() => {
-  console.log('[DialogBrain] Extension installed/updated, running initial sync');
-  // Delay initial sync to allow service worker to fully initialize
+  log.info('Extension installed/updated, running initial sync');
+  // Delay initial sync to allow service worker to fully initialize, and
+  // spread it so an update rolled out to every install doesn't sync them all at once
   setTimeout(() => {
-    syncInstagramCookies();
-    syncLinkedInCookies();
-  }, 5000);
+    syncAll(TRIGGERS.INSTALL).catch(reportFailure('Initial sync'));
+  }, CONFIG.INSTALL_SYNC_DELAY_MS + Math.random() * CONFIG.INSTALL_SYNC_JITTER_MS);
 });
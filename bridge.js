@@ -0,0 +1,89 @@
+/**
+ * DialogBrain Cookie Sync - Web App Bridge (Firefox content script)
+ *
+ * Firefox has no `externally_connectable`, so DialogBrain pages can't call
+ * runtime.sendMessage(extensionId, ...) or runtime.connect(extensionId, ...).
+ * This script runs on the same origins (see dev/build.mjs) and relays both
+ * over window.postMessage:
+ *
+ *   page -> { source: 'dialogbrain-page', id, message }      one message
+ *   ext  -> { source: 'dialogbrain-extension', id, response }
+ *
+ *   page -> { source: 'dialogbrain-page', id, connect: name } open a port
+ *   ext  -> { source: 'dialogbrain-extension', id, message }  each push
+ *   ext  -> { source: 'dialogbrain-extension', id, disconnected: true }
+ *   page -> { source: 'dialogbrain-page', id, disconnect: true }
+ *
+ * and announces itself with { source: 'dialogbrain-extension', ready: true }.
+ * The bridge only relays: the background checks the page's origin and
+ * every message exactly as for Chrome (see lib/browser.js, lib/external.js).
+ *
+ * Content scripts can't be modules - keep BRIDGE_MESSAGE and
+ * BRIDGE_PORT_PREFIX in sync with lib/browser.js.
+ */
+
+(() => {
+  const BRIDGE_MESSAGE = 'DIALOGBRAIN_BRIDGE';
+  const BRIDGE_PORT_PREFIX = 'dialogbrain-bridge:';
+
+  const PAGE_SOURCE = 'dialogbrain-page';
+  const EXTENSION_SOURCE = 'dialogbrain-extension';
+
+  // Ports opened by the page, by the id it chose
+  const ports = new Map();
+
+  function reply(data) {
+    window.postMessage({ source: EXTENSION_SOURCE, ...data }, window.location.origin);
+  }
+
+  async function relayMessage(id, message) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: BRIDGE_MESSAGE, message });
+      reply({ id, response });
+    } catch {
+      // The extension was reloaded or removed under the page
+      reply({ id, response: { error: 'Extension unavailable' } });
+    }
+  }
+
+  function openPort(id, name) {
+    if (typeof name !== 'string' || ports.has(id)) {
+      return;
+    }
+
+    const port = chrome.runtime.connect({ name: `${BRIDGE_PORT_PREFIX}${name}` });
+    ports.set(id, port);
+    port.onMessage.addListener((message) => reply({ id, message }));
+    port.onDisconnect.addListener(() => {
+      ports.delete(id);
+      reply({ id, disconnected: true });
+    });
+  }
+
+  function closePort(id) {
+    ports.get(id)?.disconnect();
+    ports.delete(id);
+  }
+
+  window.addEventListener('message', (event) => {
+    // Only the page itself - not other frames or windows
+    if (event.source !== window || event.origin !== window.location.origin) {
+      return;
+    }
+
+    const data = event.data;
+    if (data?.source !== PAGE_SOURCE || data.id === undefined) {
+      return;
+    }
+
+    if ('message' in data) {
+      relayMessage(data.id, data.message);
+    } else if ('connect' in data) {
+      openPort(data.id, data.connect);
+    } else if (data.disconnect) {
+      closePort(data.id);
+    }
+  });
+
+  reply({ ready: true });
+})();
@@ -0,0 +1,118 @@
+/**
+ * DialogBrain Cookie Sync - Consent Page Script
+ *
+ * Lists exactly which cookies each platform sends and where, and saves
+ * the user's choice as the `sync_consent` setting (see lib/consent.js).
+ * The background worker picks it up through chrome.storage.onChanged and
+ * starts (or stops) syncing.
+ */
+
+import { PLATFORMS, getEndpointPath } from './lib/platforms.js';
+import { readSettings } from './lib/settings.js';
+import { getActiveEnvironment } from './lib/environments.js';
+import { CONSENT_POLICY_VERSION, createConsent, isOptedIn } from './lib/consent.js';
+import { isPlatformAllowed } from './lib/policy.js';
+
+const platformsEl = document.getElementById('platforms');
+const apiUrlEl = document.getElementById('api-url');
+const policyVersionEl = document.getElementById('policy-version');
+const allowBtn = document.getElementById('allow-btn');
+const cancelBtn = document.getElementById('cancel-btn');
+const statusMessage = document.getElementById('status-message');
+
+function appendCodeList(parent, values) {
+  values.forEach((value, index) => {
+    if (index > 0) parent.append(', ');
+    const code = document.createElement('code');
+    code.textContent = value;
+    parent.appendChild(code);
+  });
+}
+
+// One toggle per platform, on for the platforms already consented to.
+// Platforms the administrator blocked can't be turned on.
+async function render() {
+  const settings = await readSettings();
+  const environment = getActiveEnvironment(settings);
+
+  apiUrlEl.textContent = environment.apiUrl;
+  policyVersionEl.textContent = CONSENT_POLICY_VERSION;
+  platformsEl.replaceChildren();
+
+  for (const platform of PLATFORMS) {
+    const row = document.createElement('div');
+    row.className = 'option-row';
+
+    const text = document.createElement('div');
+    const label = document.createElement('div');
+    label.className = 'option-label';
+    label.textContent = platform.name;
+
+    const cookies = document.createElement('div');
+    cookies.className = 'option-description';
+    cookies.append('Cookies sent: ');
+    appendCodeList(cookies, platform.cookies);
+
+    const destination = document.createElement('div');
+    destination.className = 'option-description';
+    destination.append('Sent to: ');
+    appendCodeList(destination, [`${environment.apiUrl}${getEndpointPath(platform, 'connect')}`]);
+
+    text.append(label, cookies, destination);
+
+    const allowed = isPlatformAllowed(platform.id, settings);
+    if (!allowed) {
+      const managed = document.createElement('div');
+      managed.className = 'option-description';
+      managed.textContent = 'Blocked by your administrator';
+      text.appendChild(managed);
+    }
+
+    const toggle = document.createElement('label');
+    toggle.className = 'toggle';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.dataset.platformId = platform.id;
+    input.checked = allowed && isOptedIn(platform.id, settings);
+    input.disabled = !allowed;
+    if (!allowed) {
+      input.dataset.blocked = 'true';
+    }
+    const slider = document.createElement('span');
+    slider.className = 'toggle-slider';
+    toggle.append(input, slider);
+
+    row.append(text, toggle);
+    platformsEl.appendChild(row);
+  }
+}
+
+async function allow() {
+  const chosen = Array.from(
+    platformsEl.querySelectorAll('input[data-platform-id]:checked'),
+    (input) => input.dataset.platformId
+  );
+  if (chosen.length === 0) {
+    showStatus('Turn on at least one platform, or choose "Not Now"', 'error');
+    return;
+  }
+
+  // Blocked platforms keep the user's choice for when they're allowed again
+  const { sync_consent: previous } = await readSettings();
+  const blocked = Array.from(platformsEl.querySelectorAll('input[data-blocked]'), (input) => input.dataset.platformId)
+    .filter((platformId) => previous?.platforms.includes(platformId));
+  await chrome.storage.local.set({ sync_consent: createConsent([...chosen, ...blocked]) });
+
+  const names = PLATFORMS.filter((platform) => chosen.includes(platform.id)).map((platform) => platform.name);
+  showStatus(`Syncing ${names.join(', ')}. You can change this on the options page.`, 'success');
+}
+
+function showStatus(message, type) {
+  statusMessage.textContent = message;
+  statusMessage.className = `status-message ${type}`;
+}
+
+allowBtn.addEventListener('click', allow);
+cancelBtn.addEventListener('click', () => window.close());
+
+render();
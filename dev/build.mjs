@@ -0,0 +1,136 @@
+/**
+ * DialogBrain Cookie Sync - Browser Builds
+ *
+ * manifest.json is the Chrome manifest, loadable unpacked as is. This
+ * script writes a ready-to-load copy of the extension per browser, with
+ * the manifest that browser needs:
+ *
+ *   dist/chrome/    manifest.json unchanged
+ *   dist/firefox/   background as a module event page (no service worker),
+ *                   externally_connectable replaced by the bridge.js
+ *                   content script on the same origins, options_ui,
+ *                   container names and a gecko id; no managed storage
+ *                   schema (Firefox takes policies from policies.json)
+ *
+ * Both builds run the same background.js and lib/ - browser differences
+ * are handled at runtime (see lib/browser.js).
+ *
+ * Usage:
+ *   npm run build                    # every browser
+ *   node dev/build.mjs firefox       # one browser
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DIST = path.join(ROOT, 'dist');
+
+export const BROWSERS = ['chrome', 'firefox'];
+
+// Files and directories every build ships
+const EXTENSION_FILES = [
+  'background.js',
+  'popup.html',
+  'popup.js',
+  'options.html',
+  'options.js',
+  'consent.html',
+  'consent.js',
+  'lib',
+  'icons',
+];
+
+// Shipped only where web pages can't message the extension directly
+const BRIDGE_SCRIPT = 'bridge.js';
+
+const FIREFOX_EXTENSION_ID = 'cookie-sync@dialogbrain.com';
+
+// Firefox 127 grants host_permissions at install, like Chrome
+const FIREFOX_MIN_VERSION = '127.0';
+
+// =============================================================================
+// Manifests
+// =============================================================================
+
+function buildFirefoxManifest(manifest) {
+  const {
+    background,
+    externally_connectable: externallyConnectable,
+    options_page: optionsPage,
+    ...rest
+  } = manifest;
+  // Firefox reads managed policy from policies.json, not a schema
+  delete rest.storage;
+
+  return {
+    ...rest,
+    // Containers are cookie stores; their names label them on the options page
+    permissions: [...rest.permissions, 'contextualIdentities'],
+    background: { scripts: [background.service_worker], type: background.type },
+    options_ui: { page: optionsPage, open_in_tab: true },
+    content_scripts: [
+      {
+        matches: externallyConnectable.matches,
+        js: [BRIDGE_SCRIPT],
+        run_at: 'document_start',
+      },
+    ],
+    browser_specific_settings: {
+      gecko: { id: FIREFOX_EXTENSION_ID, strict_min_version: FIREFOX_MIN_VERSION },
+    },
+  };
+}
+
+/**
+ * The manifest for a browser, from the Chrome manifest.
+ */
+export function buildManifest(manifest, browser) {
+  switch (browser) {
+    case 'chrome':
+      return structuredClone(manifest);
+    case 'firefox':
+      return buildFirefoxManifest(structuredClone(manifest));
+    default:
+      throw new Error(`Unknown browser: ${browser}`);
+  }
+}
+
+// =============================================================================
+// Build
+// =============================================================================
+
+/**
+ * Write dist/<browser>/ and return its path.
+ */
+export function build(browser, { outDir = path.join(DIST, browser) } = {}) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const browserManifest = buildManifest(manifest, browser);
+
+  const files = [...EXTENSION_FILES];
+  if (browserManifest.content_scripts?.some((script) => script.js.includes(BRIDGE_SCRIPT))) {
+    files.push(BRIDGE_SCRIPT);
+  }
+  // Only where the manifest points at it (not Firefox)
+  if (browserManifest.storage?.managed_schema) {
+    files.push(browserManifest.storage.managed_schema);
+  }
+
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const file of files) {
+    fs.cpSync(path.join(ROOT, file), path.join(outDir, file), { recursive: true });
+  }
+  fs.writeFileSync(path.join(outDir, 'manifest.json'), `${JSON.stringify(browserManifest, null, 2)}\n`);
+
+  return outDir;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const requested = process.argv.slice(2);
+  for (const browser of requested.length > 0 ? requested : BROWSERS) {
+    const outDir = build(browser);
+    console.log(`[build] ${browser}: ${path.relative(ROOT, outDir)}`);
+  }
+}
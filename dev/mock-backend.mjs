@@ -0,0 +1,334 @@
+/**
+ * DialogBrain Cookie Sync - Mock Backend
+ *
+ * Minimal stand-in for the DialogBrain API, serving the connect and
+ * sync-cookie/disconnect endpoints for every platform in lib/platforms.js,
+ * plus the health check, auth token refresh and token handoff endpoints.
+ * Connects honor the Idempotency-Key header: a repeated key returns the
+ * account it created the first time.
+ *
+ * Commands for the extension (see lib/commands.js) are queued with
+ * backend.enqueueCommand() and delivered on every poll until acknowledged;
+ * a poll with ?wait= is held until one is queued.
+ *
+ * Usage:
+ *   node dev/mock-backend.mjs            # listens on http://localhost:8000
+ *   PORT=8001 node dev/mock-backend.mjs
+ *   SESSION_STATUS=challenge_required node dev/mock-backend.mjs   # see lib/health.js
+ *
+ * Then switch to the "Local" environment on the options page.
+ * The test suite starts it in-process through startMockBackend().
+ *
+ * SECURITY: only payload field NAMES are logged, never values.
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { PLATFORMS, getPlatform } from '../lib/platforms.js';
+
+// Lifetime of access tokens issued by the refresh endpoint
+const ACCESS_TOKEN_TTL_SECONDS = 3600;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * The session field the extension sends for a platform.
+ */
+function sessionField(platform) {
+  return platform.payload[platform.sessionCookie];
+}
+
+// =============================================================================
+// Routes
+// =============================================================================
+
+const CONNECT_RE = /^\/api\/channels\/([^/]+)\/accounts\/connect\/cookie$/;
+const SYNC_RE = /^\/api\/channels\/([^/]+)\/accounts\/([^/]+)\/sync-cookie$/;
+const DISCONNECT_RE = /^\/api\/channels\/([^/]+)\/accounts\/([^/]+)\/disconnect$/;
+const REFRESH_PATH = '/api/auth/refresh';
+const HANDOFF_KEY_PATH = '/api/extension/handoff-key';
+const HANDOFF_PATH = '/api/extension/handoff';
+const HEALTH_PATH = '/api/health';
+const COMMANDS_PATH = '/api/extension/commands';
+const COMMAND_ACK_RE = /^\/api\/extension\/commands\/([^/]+)\/ack$/;
+
+// Longest a long poll is held
+const MAX_COMMAND_WAIT_SECONDS = 30;
+
+/**
+ * @typedef {Object} MockBackend
+ * @property {string} url - Base URL, e.g. http://localhost:8000
+ * @property {Map<string, {platform: string, username: string, syncs: number, sessionActive: boolean}>} accounts - Connected accounts by id
+ * @property {Array<{method: string, path: string, fields: string[], idempotencyKey: string|null, token: string}>} requests - Platform endpoint calls (field NAMES only, and the bearer token)
+ * @property {string} sessionStatus - Validation result reported for every uploaded session
+ * @property {Set<string>} expiredTokens - Bearer tokens platform endpoints answer with 401
+ * @property {number|null} failWith - When set, platform endpoints answer with this HTTP status
+ * @property {string} failDetail - Error `detail` sent with failWith
+ * @property {Array<{id: string, type: string}>} commands - Commands not acknowledged yet
+ * @property {Array<{id: string, result: string, error?: string, data?: Object}>} acks - Command acknowledgements received
+ * @property {number} commandPolls - Command polls answered
+ * @property {number|null} pollAfterSeconds - When set, sent as poll_after_seconds
+ * @property {(command: {id: string, type: string}) => void} enqueueCommand
+ * @property {() => Promise<void>} close
+ */
+
+/**
+ * Start a mock backend. Port 0 picks a free port.
+ *
+ * @param {{port?: number, sessionStatus?: string, quiet?: boolean}} [options]
+ * @returns {Promise<MockBackend>}
+ */
+export function startMockBackend({ port = 8000, sessionStatus = 'connected', quiet = false } = {}) {
+  const log = quiet ? () => {} : (message) => console.log(`[mock] ${message}`);
+
+  // Signs token handoffs (see lib/external.js); a fresh key per backend
+  const handoffKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+  let nextAccountId = 1;
+  let nextTokenId = 1;
+
+  // Idempotency-Key -> account id created by that connect
+  const connectKeys = new Map();
+
+  // Long polls waiting for a command
+  const commandWaiters = new Set();
+
+  function waitForCommand(seconds) {
+    return new Promise((resolve) => {
+      const wake = () => {
+        clearTimeout(timer);
+        commandWaiters.delete(wake);
+        resolve();
+      };
+      const timer = setTimeout(wake, seconds * 1000);
+      commandWaiters.add(wake);
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      log(`Request failed: ${error.message}`);
+      sendJson(res, 400, { detail: 'Bad request' });
+    });
+  });
+
+  /** @type {MockBackend} */
+  const backend = {
+    url: null,
+    accounts: new Map(),
+    requests: [],
+    sessionStatus,
+    expiredTokens: new Set(),
+    failWith: null,
+    failDetail: 'Forced failure',
+    commands: [],
+    acks: [],
+    commandPolls: 0,
+    pollAfterSeconds: null,
+    enqueueCommand(command) {
+      backend.commands.push(command);
+      for (const wake of commandWaiters) wake();
+    },
+    close: () => new Promise((resolve) => {
+      for (const wake of commandWaiters) wake();
+      server.closeAllConnections();
+      server.close(() => resolve());
+    }),
+  };
+  const { accounts } = backend;
+
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, backend.url);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
+      });
+      res.end();
+      return;
+    }
+
+    if (req.method === 'GET' && pathname === HEALTH_PATH) {
+      sendJson(res, 200, { status: 'ok' });
+      return;
+    }
+
+    if (req.method === 'GET' && pathname === HANDOFF_KEY_PATH) {
+      sendJson(res, 200, handoffKeys.publicKey.export({ format: 'jwk' }));
+      return;
+    }
+
+    if (req.method === 'POST' && pathname === REFRESH_PATH) {
+      const body = await readJson(req);
+      if (!body.refresh_token) {
+        sendJson(res, 401, { detail: 'Invalid refresh token' });
+        return;
+      }
+      log(`POST ${pathname}`);
+      sendJson(res, 200, { access_token: `mock-access-${nextTokenId++}`, expires_in: ACCESS_TOKEN_TTL_SECONDS });
+      return;
+    }
+
+    if (!req.headers.authorization?.startsWith('Bearer ')) {
+      sendJson(res, 401, { detail: 'Missing bearer token' });
+      return;
+    }
+    const token = req.headers.authorization.slice('Bearer '.length);
+
+    if (req.method === 'POST' && pathname === HANDOFF_PATH) {
+      // The web app asks us to vouch for the token it is handing to the extension,
+      // together with the refresh token and expiry it will hand over
+      const { nonce, origin, refresh_token: refreshToken = null, expires_at: expiresAt = null } = await readJson(req);
+      if (!nonce || !origin) {
+        sendJson(res, 422, { detail: 'Missing nonce or origin' });
+        return;
+      }
+      const signed = JSON.stringify(['dialogbrain-token-handoff:v2', nonce, origin, token, refreshToken, expiresAt]);
+      const signature = crypto.sign('sha256', Buffer.from(signed), { key: handoffKeys.privateKey, dsaEncoding: 'ieee-p1363' });
+      log(`POST ${pathname}`);
+      sendJson(res, 200, { signature: signature.toString('base64url') });
+      return;
+    }
+
+    if (req.method === 'GET' && pathname === COMMANDS_PATH) {
+      const wait = Math.min(Number(new URL(req.url, backend.url).searchParams.get('wait')) || 0, MAX_COMMAND_WAIT_SECONDS);
+      if (backend.commands.length === 0 && wait > 0) {
+        await waitForCommand(wait);
+      }
+      backend.commandPolls++;
+      const body = { commands: backend.commands };
+      if (backend.pollAfterSeconds) {
+        body.poll_after_seconds = backend.pollAfterSeconds;
+      }
+      sendJson(res, 200, body);
+      return;
+    }
+
+    const ack = pathname.match(COMMAND_ACK_RE);
+    if (req.method === 'POST' && ack) {
+      const id = decodeURIComponent(ack[1]);
+      const body = await readJson(req);
+      log(`POST ${pathname} result=${body.result}`);
+      backend.acks.push({ id, ...body });
+      backend.commands = backend.commands.filter((command) => command.id !== id);
+      sendJson(res, 200, { id, status: 'acknowledged' });
+      return;
+    }
+
+    const connect = pathname.match(CONNECT_RE);
+    const sync = pathname.match(SYNC_RE);
+    const disconnect = pathname.match(DISCONNECT_RE);
+    const platform = getPlatform((connect || sync || disconnect)?.[1]);
+
+    if (req.method !== 'POST' || !platform) {
+      sendJson(res, 404, { detail: 'Not found' });
+      return;
+    }
+
+    const body = await readJson(req);
+    const idempotencyKey = req.headers['idempotency-key'] || null;
+    log(`${req.method} ${pathname} fields=${Object.keys(body).join(',')}`);
+    backend.requests.push({ method: req.method, path: pathname, fields: Object.keys(body), idempotencyKey, token });
+
+    if (backend.expiredTokens.has(token)) {
+      sendJson(res, 401, { detail: 'Token expired' });
+      return;
+    }
+    if (backend.failWith) {
+      sendJson(res, backend.failWith, { detail: backend.failDetail });
+      return;
+    }
+
+    if (disconnect) {
+      const account = accounts.get(disconnect[2]);
+      if (!account || account.platform !== platform.id) {
+        sendJson(res, 404, { detail: 'Account not found' });
+        return;
+      }
+      account.sessionActive = false;
+      sendJson(res, 200, { account_id: disconnect[2], status: 'session_ended' });
+      return;
+    }
+
+    if (!body[sessionField(platform)]) {
+      sendJson(res, 422, { detail: `Missing ${sessionField(platform)}` });
+      return;
+    }
+
+    if (connect) {
+      const repeated = connectKeys.get(idempotencyKey);
+      if (repeated) {
+        const account = accounts.get(repeated);
+        account.syncs++;
+        account.sessionActive = true;
+        sendJson(res, 200, { account_id: repeated, status: backend.sessionStatus, username: account.username });
+        return;
+      }
+
+      const accountId = `${platform.id}-${nextAccountId++}`;
+      const username = `${platform.id}_user_${nextAccountId - 1}`;
+      accounts.set(accountId, { platform: platform.id, username, syncs: 1, sessionActive: true });
+      if (idempotencyKey) {
+        connectKeys.set(idempotencyKey, accountId);
+      }
+      sendJson(res, 200, { account_id: accountId, status: backend.sessionStatus, username });
+      return;
+    }
+
+    const account = accounts.get(sync[2]);
+    if (!account || account.platform !== platform.id) {
+      sendJson(res, 404, { detail: 'Account not found' });
+      return;
+    }
+
+    account.syncs++;
+    account.sessionActive = true;
+    sendJson(res, 200, { account_id: sync[2], status: backend.sessionStatus });
+  }
+
+  return new Promise((resolve) => {
+    server.listen(port, () => {
+      backend.url = `http://localhost:${server.address().port}`;
+      resolve(backend);
+    });
+  });
+}
+
+// =============================================================================
+// Server
+// =============================================================================
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const backend = await startMockBackend({
+    port: Number(process.env.PORT) || 8000,
+    sessionStatus: process.env.SESSION_STATUS || 'connected',
+  });
+  console.log(`[mock] DialogBrain mock backend on ${backend.url}`);
+  console.log(`[mock] Platforms: ${PLATFORMS.map((platform) => platform.id).join(', ')}`);
+}
@@ -0,0 +1,236 @@
+/**
+ * DialogBrain Cookie Sync - Accounts
+ *
+ * Maps each platform identity (the user id behind the browser session)
+ * to its own DialogBrain account id, so switching accounts on a platform
+ * connects the new one instead of pushing its cookies into the old one.
+ *
+ * Stored as { platformId: { identity: { accountId, username, connectedAt } } },
+ * separately per environment (see environments.js).
+ *
+ * An identity being connected also gets an idempotency key, sent with
+ * every connect attempt until one succeeds, so a connect repeated after a
+ * timeout, a worker restart or from a second cookie store resolves to
+ * the same backend account instead of creating another.
+ *
+ * SECURITY: identities are platform user ids, never cookie values.
+ * Session cookies are only hashed (salted) to cache identity lookups.
+ */
+
+import { PLATFORMS } from './platforms.js';
+import { computeFingerprint } from './fingerprint.js';
+import { scopedKey } from './environments.js';
+import { log } from './logger.js';
+
+const ACCOUNTS_KEY = 'platform_accounts';
+const IDENTITY_CACHE_KEY = 'identity_cache';
+const CONNECT_KEYS_KEY = 'connect_keys';
+
+// Cached lookups kept per platform (one per recent session)
+const IDENTITY_CACHE_LIMIT = 5;
+
+// Serialize read-modify-write cycles; platforms sync in parallel
+let accountsLock = Promise.resolve();
+
+async function readAccounts() {
+  const key = await scopedKey(ACCOUNTS_KEY);
+  const stored = await chrome.storage.local.get(key);
+  return stored[key] || {};
+}
+
+function withAccountsLock(task) {
+  const run = accountsLock.then(task);
+  accountsLock = run.catch(() => {});
+  return run;
+}
+
+function updateAccounts(mutate) {
+  return withAccountsLock(async () => {
+    const accounts = await readAccounts();
+    mutate(accounts);
+    await chrome.storage.local.set({ [await scopedKey(ACCOUNTS_KEY)]: accounts });
+  });
+}
+
+async function readConnectKeys() {
+  const key = await scopedKey(CONNECT_KEYS_KEY);
+  const stored = await chrome.storage.local.get(key);
+  return stored[key] || {};
+}
+
+async function writeConnectKeys(keys) {
+  await chrome.storage.local.set({ [await scopedKey(CONNECT_KEYS_KEY)]: keys });
+}
+
+// =============================================================================
+// Identity Detection
+// =============================================================================
+
+/**
+ * Identity from a cookie value, optionally extracted with a pattern
+ * (first capture group), e.g. X's twid cookie "u=12345".
+ */
+function identityFromCookie(spec, cookies) {
+  const value = cookies[spec.cookie];
+  if (!value) return null;
+  if (!spec.pattern) return value;
+
+  return value.match(spec.pattern)?.[1] || null;
+}
+
+/**
+ * Identity from an authenticated lookup on the platform itself, for
+ * platforms that don't expose the user id in a cookie (LinkedIn).
+ * The browser attaches the platform cookies; we only add the CSRF header.
+ *
+ * The browser attaches cookies from the default store only, so the
+ * lookup is only meaningful for sessions in that store.
+ */
+async function identityFromLookup(spec, cookies) {
+  const headers = { 'Accept': 'application/json' };
+  if (spec.csrfCookie) {
+    headers['csrf-token'] = (cookies[spec.csrfCookie] || '').replace(/"/g, '');
+  }
+
+  const response = await fetch(spec.url, { headers, credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`Identity lookup failed: HTTP ${response.status}`);
+  }
+
+  const value = (await response.json())[spec.field];
+  return value != null ? String(value) : null;
+}
+
+/**
+ * Whether sessions in a cookie store can be identified at all. Lookups
+ * only answer for the default store (see identityFromLookup), so a
+ * platform that needs one can't be synced from any other store.
+ */
+export function canIdentify(platform, store) {
+  return !!platform.identity.cookie || store.isDefault;
+}
+
+/**
+ * Work out which platform user a session belongs to.
+ * Lookup results are cached per session cookie so the platform is only
+ * asked again after a new login.
+ *
+ * @param {import('./platforms.js').PlatformDescriptor} platform
+ * @param {Object<string, string|null>} cookies - The session's cookies
+ * @param {import('./cookie-stores.js').CookieStore} store - Store they were read from
+ * @returns {Promise<string|null>} Identity, or null if it can't be determined
+ */
+export async function resolveIdentity(platform, cookies, store) {
+  const spec = platform.identity;
+  if (spec.cookie) {
+    return identityFromCookie(spec, cookies);
+  }
+
+  const sessionHash = await computeFingerprint({ session: cookies[platform.sessionCookie] });
+  const stored = await chrome.storage.local.get(IDENTITY_CACHE_KEY);
+  const cached = stored[IDENTITY_CACHE_KEY]?.[platform.id]?.[sessionHash];
+
+  if (cached) {
+    return cached;
+  }
+  if (!store.isDefault) {
+    // A lookup would answer for the default store's session, not this one
+    return null;
+  }
+
+  const identity = await identityFromLookup(spec, cookies);
+  if (identity) {
+    const latest = (await chrome.storage.local.get(IDENTITY_CACHE_KEY))[IDENTITY_CACHE_KEY] || {};
+    const entries = Object.entries(latest[platform.id] || {}).slice(-(IDENTITY_CACHE_LIMIT - 1));
+    latest[platform.id] = Object.fromEntries([...entries, [sessionHash, identity]]);
+    await chrome.storage.local.set({ [IDENTITY_CACHE_KEY]: latest });
+  }
+  return identity;
+}
+
+// =============================================================================
+// Account Mapping
+// =============================================================================
+
+/**
+ * DialogBrain account for a platform identity, or null if not connected yet.
+ *
+ * Installs from before multi-account support kept a single
+ * `<platform>_account_id`; the first identity seen adopts it.
+ */
+export async function getAccountId(platform, identity) {
+  const accounts = await readAccounts();
+  const known = accounts[platform.id]?.[identity];
+  if (known) {
+    return known.accountId;
+  }
+
+  const legacy = (await chrome.storage.local.get(platform.accountIdKey))[platform.accountIdKey];
+  if (legacy && Object.keys(accounts[platform.id] || {}).length === 0) {
+    log.info(`Migrating ${platform.name} account to identity-keyed storage`);
+    await setAccount(platform.id, identity, { accountId: legacy });
+    await chrome.storage.local.remove(platform.accountIdKey);
+    return legacy;
+  }
+
+  return null;
+}
+
+/**
+ * Record (or update) the DialogBrain account for a platform identity.
+ * Its connect idempotency key has served its purpose and is dropped.
+ */
+export async function setAccount(platformId, identity, { accountId, username = null }) {
+  await updateAccounts((accounts) => {
+    const existing = accounts[platformId]?.[identity];
+    accounts[platformId] = {
+      ...accounts[platformId],
+      [identity]: {
+        accountId,
+        username: username || existing?.username || null,
+        connectedAt: existing?.connectedAt || new Date().toISOString(),
+      },
+    };
+  });
+
+  await withAccountsLock(async () => {
+    const keys = await readConnectKeys();
+    if (keys[platformId]?.[identity]) {
+      delete keys[platformId][identity];
+      await writeConnectKeys(keys);
+    }
+  });
+}
+
+/**
+ * Idempotency key for connecting a platform identity: created on the
+ * first connect attempt and reused by every attempt until one succeeds.
+ */
+export function getConnectKey(platformId, identity) {
+  return withAccountsLock(async () => {
+    const keys = await readConnectKeys();
+    const existing = keys[platformId]?.[identity];
+    if (existing) {
+      return existing;
+    }
+
+    const created = crypto.randomUUID();
+    keys[platformId] = { ...keys[platformId], [identity]: created };
+    await writeConnectKeys(keys);
+    return created;
+  });
+}
+
+/**
+ * Forget the environment's account mappings and every cached identity
+ * (e.g. on logout).
+ */
+export async function clearAccounts() {
+  await accountsLock;
+  await chrome.storage.local.remove([
+    await scopedKey(ACCOUNTS_KEY),
+    await scopedKey(CONNECT_KEYS_KEY),
+    IDENTITY_CACHE_KEY,
+    ...PLATFORMS.map((platform) => platform.accountIdKey),
+  ]);
+}
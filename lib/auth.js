@@ -0,0 +1,358 @@
+/**
+ * DialogBrain Cookie Sync - Auth Tokens
+ *
+ * Keeps the DialogBrain access and refresh tokens encrypted at rest.
+ * Tokens are sealed with AES-GCM under a non-extractable WebCrypto key;
+ * the key itself lives in IndexedDB (the only extension storage that can
+ * hold a CryptoKey), so the ciphertext in chrome.storage.local is useless
+ * on its own.
+ *
+ * Access tokens are refreshed shortly before they expire, and a request
+ * rejected with 401 gets one refresh-and-retry before the user is
+ * treated as logged out.
+ *
+ * Tokens are kept per environment (see environments.js).
+ *
+ * SECURITY: NEVER log token values.
+ */
+
+import { CONFIG, getApiUrl } from './config.js';
+import { scopedKey } from './environments.js';
+import { NOTIFICATION_TYPES, notify } from './notifications.js';
+import { log } from './logger.js';
+
+const TOKENS_KEY = 'auth_tokens';
+
+// Plaintext token saved by versions before encryption; migrated on first read
+const LEGACY_TOKEN_KEY = 'auth_token';
+
+const KEY_DB_NAME = 'dialogbrain-keys';
+const KEY_STORE_NAME = 'keys';
+const KEY_ID = 'auth-tokens';
+
+/**
+ * @typedef {Object} AuthTokens
+ * @property {string} accessToken
+ * @property {string|null} refreshToken
+ * @property {number|null} expiresAt - Epoch ms, null if unknown
+ */
+
+// Decrypted tokens for this worker/page lifetime: { key, tokens }
+let cached = null;
+
+// Refresh in flight, shared by concurrent callers
+let refreshing = null;
+
+// =============================================================================
+// Encryption Key
+// =============================================================================
+
+function openKeyDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(KEY_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(KEY_STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function keyDbRequest(mode, run) {
+  return openKeyDb().then((db) => new Promise((resolve, reject) => {
+    const request = run(db.transaction(KEY_STORE_NAME, mode).objectStore(KEY_STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).finally(() => db.close()));
+}
+
+let keyLoading = null;
+
+/**
+ * The token encryption key, created on first use. Non-extractable: it can
+ * encrypt and decrypt but its bytes can never be read back.
+ */
+function getKey() {
+  if (!keyLoading) {
+    keyLoading = (async () => {
+      const existing = await keyDbRequest('readonly', (store) => store.get(KEY_ID));
+      if (existing) {
+        return existing;
+      }
+
+      const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+      await keyDbRequest('readwrite', (store) => store.put(key, KEY_ID));
+      return key;
+    })();
+    keyLoading.catch(() => { keyLoading = null; });
+  }
+  return keyLoading;
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+async function seal(tokens) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(tokens));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await getKey(), plaintext);
+  return { iv: toBase64(iv), data: toBase64(ciphertext) };
+}
+
+async function unseal(sealed) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(sealed.iv) },
+    await getKey(),
+    fromBase64(sealed.data)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+// =============================================================================
+// Token Storage
+// =============================================================================
+
+/**
+ * Expiry of a JWT access token (epoch ms), or null if it isn't a JWT
+ * or carries no `exp` claim.
+ */
+export function decodeExpiry(token) {
+  const part = token.split('.')[1];
+  if (!part) return null;
+
+  try {
+    const json = atob(part.replace(/-/g, '+').replace(/_/g, '/'));
+    const { exp } = JSON.parse(json);
+    return typeof exp === 'number' ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Encrypt and store a new set of tokens. The expiry defaults to the
+ * access token's own `exp` claim.
+ *
+ * @param {{accessToken: string, refreshToken?: string|null, expiresAt?: number|null}} tokens
+ */
+export async function setTokens({ accessToken, refreshToken = null, expiresAt = null }) {
+  if (typeof accessToken !== 'string' || accessToken.length === 0) {
+    throw new Error('Invalid access token');
+  }
+
+  const tokens = {
+    accessToken,
+    refreshToken: refreshToken || null,
+    expiresAt: expiresAt ?? decodeExpiry(accessToken),
+  };
+  if (tokens.expiresAt && tokens.expiresAt <= Date.now() && !tokens.refreshToken) {
+    throw new Error('Access token already expired');
+  }
+
+  const key = await scopedKey(TOKENS_KEY);
+  await chrome.storage.local.set({ [key]: await seal(tokens) });
+  await chrome.storage.local.remove(LEGACY_TOKEN_KEY);
+  cached = { key, tokens };
+}
+
+/**
+ * Stored tokens, decrypted, or null if the user isn't logged in.
+ * @returns {Promise<AuthTokens|null>}
+ */
+export async function getTokens() {
+  const key = await scopedKey(TOKENS_KEY);
+  if (cached?.key === key) {
+    return cached.tokens;
+  }
+
+  const stored = await chrome.storage.local.get([key, LEGACY_TOKEN_KEY]);
+
+  if (stored[key]) {
+    try {
+      cached = { key, tokens: await unseal(stored[key]) };
+      return cached.tokens;
+    } catch (error) {
+      // Key lost (e.g. site data cleared) - the tokens can't be recovered
+      log.error('Stored auth tokens could not be decrypted:', error.message);
+      await clearTokens();
+      return null;
+    }
+  }
+
+  if (stored[LEGACY_TOKEN_KEY]) {
+    log.info('Encrypting stored auth token');
+    await setTokens({ accessToken: stored[LEGACY_TOKEN_KEY] }).catch(() => clearTokens());
+    return cached?.tokens || null;
+  }
+
+  return null;
+}
+
+/**
+ * Whether tokens are stored, without decrypting them (for the popup).
+ */
+export async function hasTokens() {
+  const key = await scopedKey(TOKENS_KEY);
+  const stored = await chrome.storage.local.get([key, LEGACY_TOKEN_KEY]);
+  return !!(stored[key] || stored[LEGACY_TOKEN_KEY]);
+}
+
+/**
+ * Forget the tokens of the current environment (logout).
+ */
+export async function clearTokens() {
+  cached = null;
+  await chrome.storage.local.remove([await scopedKey(TOKENS_KEY), LEGACY_TOKEN_KEY]);
+}
+
+/**
+ * Drop the in-memory copy after another context changed the stored tokens.
+ * Must be wired from a chrome.storage.onChanged listener.
+ */
+export function handleTokenStorageChange(changes, areaName) {
+  if (areaName === 'local' && (cached?.key in changes || LEGACY_TOKEN_KEY in changes)) {
+    cached = null;
+  }
+}
+
+// =============================================================================
+// Refresh
+// =============================================================================
+
+/**
+ * Trade the refresh token for a new access token.
+ * Concurrent callers share one request.
+ *
+ * @returns {Promise<AuthTokens|null>} New tokens, or null if the refresh
+ *   was rejected (the user has to log in again)
+ */
+export function refreshTokens() {
+  if (!refreshing) {
+    refreshing = doRefresh().finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+async function doRefresh() {
+  const tokens = await getTokens();
+  if (!tokens?.refreshToken) {
+    return null;
+  }
+
+  const response = await fetch(`${getApiUrl()}${CONFIG.AUTH_REFRESH_PATH}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refresh_token: tokens.refreshToken }), // NEVER log this!
+  });
+
+  if (!response.ok) {
+    log.error(`Auth token refresh failed: ${response.status}`);
+    if (response.status === 400 || response.status === 401) {
+      return null;
+    }
+    throw new Error(`Token refresh failed: HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  await setTokens({
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || tokens.refreshToken,
+    expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+  });
+  log.info('Auth token refreshed');
+  return cached.tokens;
+}
+
+/**
+ * A usable access token, refreshed first if it expires soon.
+ * Null if the user isn't logged in or the session can't be renewed.
+ */
+export async function getAccessToken() {
+  const tokens = await getTokens();
+  if (!tokens) {
+    return null;
+  }
+
+  const expiresSoon = tokens.expiresAt && tokens.expiresAt - Date.now() < CONFIG.AUTH_REFRESH_MARGIN_MS;
+  if (!expiresSoon) {
+    return tokens.accessToken;
+  }
+
+  if (tokens.refreshToken) {
+    try {
+      const refreshed = await refreshTokens();
+      if (!refreshed) {
+        await expireSession();
+        return null;
+      }
+      return refreshed.accessToken;
+    } catch (error) {
+      log.error('Auth token refresh error:', error.message);
+    }
+  }
+
+  // Can't renew right now - the current token may still be good
+  if (tokens.expiresAt > Date.now()) {
+    return tokens.accessToken;
+  }
+  await expireSession();
+  return null;
+}
+
+/**
+ * The DialogBrain session can't be renewed: forget the tokens and tell
+ * the user to log in again.
+ */
+export async function expireSession() {
+  log.warn('DialogBrain session expired - logged out');
+  await clearTokens();
+
+  await notify(NOTIFICATION_TYPES.AUTH_EXPIRED, {
+    title: 'DialogBrain Cookie Sync',
+    message: 'Your DialogBrain session expired. Log in again to keep your accounts syncing.',
+  });
+}
+
+/**
+ * fetch() against the DialogBrain API with the bearer token attached.
+ *
+ * A 401 refreshes the token and retries once; if that fails too the
+ * user is logged out (see expireSession) and the 401 response returned.
+ * Resolves with null when there is no usable token at all.
+ *
+ * @returns {Promise<Response|null>}
+ */
+export async function authorizedFetch(url, options = {}) {
+  const accessToken = await getAccessToken();
+  if (!accessToken) {
+    return null;
+  }
+
+  const send = (token) => fetch(url, {
+    ...options,
+    headers: { ...options.headers, 'Authorization': `Bearer ${token}` },
+  });
+
+  const response = await send(accessToken);
+  if (response.status !== 401) {
+    return response;
+  }
+
+  let refreshed;
+  try {
+    refreshed = await refreshTokens();
+  } catch (error) {
+    // Backend unreachable - don't log the user out over it
+    log.error('Auth token refresh error:', error.message);
+    return response;
+  }
+
+  const retried = refreshed ? await send(refreshed.accessToken) : response;
+  if (retried.status === 401) {
+    await expireSession();
+  }
+  return retried;
+}
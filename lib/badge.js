@@ -0,0 +1,100 @@
+/**
+ * DialogBrain Cookie Sync - Toolbar Badge
+ *
+ * Sums up every platform's status on the toolbar icon:
+ * - red with the number of platforms needing attention (sync errors,
+ *   sessions the platform rejected or wants a security check for)
+ * - amber when a session expires soon
+ * - green "OK" when everything connected synced fine
+ * - grey "OFF" when logged out of DialogBrain, instead of every platform
+ *   failing for lack of a login
+ * - nothing when no platform is connected
+ * Platforms that aren't synced (paused, opted out, blocked by policy or
+ * without consent - see consent.js) are left out.
+ */
+
+import { PLATFORMS } from './platforms.js';
+import { HEALTH_STATES } from './health.js';
+import { hasTokens } from './auth.js';
+import { getSyncBlock } from './consent.js';
+
+const BADGE_COLORS = {
+  error: '#dc2626',
+  expiring: '#d97706',
+  ok: '#16a34a',
+  loggedOut: '#6b7280',
+};
+
+const TITLE = 'DialogBrain Cookie Sync';
+
+/**
+ * How one platform's status shows on the badge: 'error', 'expiring',
+ * 'ok' or null if there is nothing to show.
+ *
+ * @param {import('./platforms.js').PlatformDescriptor} platform
+ * @param {import('./status-store.js').PlatformStatus} status
+ */
+function getBadgeState(platform, status) {
+  const healthState = status.health?.state;
+
+  // No platform session is not a problem - there's just nothing to sync
+  if ((status.error && status.error !== `Not logged in to ${platform.name}`) ||
+      healthState === HEALTH_STATES.CHALLENGE_REQUIRED || healthState === HEALTH_STATES.INVALID) {
+    return 'error';
+  }
+  if (healthState === HEALTH_STATES.EXPIRING) {
+    return 'expiring';
+  }
+  // Ended sessions and ones the user withdrew (see consent.js) aren't synced
+  if (status.lastSync && status.accountId && !['session_ended', 'revoked'].includes(status.status)) {
+    return 'ok';
+  }
+  return null;
+}
+
+/**
+ * Redraw the badge and tooltip from every platform's status.
+ *
+ * @param {Object<string, import('./status-store.js').PlatformStatus>} allStatus
+ */
+export async function updateBadge(allStatus) {
+  const loggedIn = await hasTokens();
+  const names = { error: [], expiring: [], ok: [] };
+  for (const platform of PLATFORMS) {
+    if (!loggedIn || getSyncBlock(platform.id)) {
+      continue;
+    }
+    const state = getBadgeState(platform, allStatus[platform.id]);
+    if (state) {
+      names[state].push(platform.name);
+    }
+  }
+
+  let text = '';
+  let color = null;
+  let title = TITLE;
+
+  if (!loggedIn) {
+    text = 'OFF';
+    color = BADGE_COLORS.loggedOut;
+    title = `${TITLE} - logged out of DialogBrain`;
+  } else if (names.error.length > 0) {
+    text = String(names.error.length);
+    color = BADGE_COLORS.error;
+    title = `${TITLE} - needs attention: ${names.error.join(', ')}`;
+  } else if (names.expiring.length > 0) {
+    text = '!';
+    color = BADGE_COLORS.expiring;
+    title = `${TITLE} - expiring soon: ${names.expiring.join(', ')}`;
+  } else if (names.ok.length > 0) {
+    text = 'OK';
+    color = BADGE_COLORS.ok;
+    title = `${TITLE} - synced: ${names.ok.join(', ')}`;
+  }
+
+  await chrome.action.setBadgeText({ text });
+  if (color) {
+    await chrome.action.setBadgeBackgroundColor({ color });
+  }
+  await chrome.action.setTitle({ title });
+}
@@ -0,0 +1,130 @@
+/**
+ * DialogBrain Cookie Sync - Browser Platform Layer
+ *
+ * One codebase runs in Chrome and Firefox. Both expose the MV3 extension
+ * APIs as promises under `chrome.*`, so shared code awaits chrome.* calls
+ * directly - never callbacks or chrome.runtime.lastError. What really
+ * differs between the browsers is handled here:
+ *
+ * - Background context: a module service worker in Chrome, a module
+ *   event page in Firefox (see dev/build.mjs). Only APIs common to both
+ *   (`self`, `navigator.onLine`, timers) are used in background.js.
+ * - Cookie stores: Firefox has one store per container, named through
+ *   contextualIdentities (see cookie-stores.js).
+ * - Web app messaging: Chrome delivers messages from DialogBrain pages
+ *   through `externally_connectable`. Firefox has no such thing, so a
+ *   content script (bridge.js) relays them as runtime messages and ports,
+ *   and they are unwrapped here. Either way the background gets the same
+ *   (message, sender) with the page's origin, and checks it the same way
+ *   (see external.js).
+ */
+
+// Relayed by bridge.js - content scripts can't import, keep the two in sync
+export const BRIDGE_MESSAGE = 'DIALOGBRAIN_BRIDGE';
+export const BRIDGE_PORT_PREFIX = 'dialogbrain-bridge:';
+
+// =============================================================================
+// Senders
+// =============================================================================
+
+/**
+ * Whether a message or port comes from one of our own pages (popup,
+ * options, consent) rather than a content script.
+ */
+export function isExtensionSender(sender) {
+  return sender?.id === chrome.runtime.id && (!sender.url || sender.url.startsWith(chrome.runtime.getURL('')));
+}
+
+/**
+ * Whether a message or port comes from our content script in a web page.
+ */
+function isBridgeSender(sender) {
+  return sender?.id === chrome.runtime.id && !!sender.tab && !isExtensionSender(sender);
+}
+
+/**
+ * Origin of the page a sender belongs to. Firefox only gives the URL.
+ */
+function getSenderOrigin(sender) {
+  if (sender.origin) {
+    return sender.origin;
+  }
+  try {
+    return new URL(sender.url).origin;
+  } catch {
+    return null;
+  }
+}
+
+function describePageSender(sender) {
+  return { ...sender, origin: getSenderOrigin(sender) };
+}
+
+// =============================================================================
+// Web App Messaging
+// =============================================================================
+
+/**
+ * Match patterns of the pages the browser lets message the extension:
+ * externally_connectable in Chrome, where the bridge runs in Firefox.
+ * No other page can reach the background, whatever external.js allows.
+ */
+export function getWebAppMatches(manifest = chrome.runtime.getManifest()) {
+  if (manifest.externally_connectable) {
+    return manifest.externally_connectable.matches || [];
+  }
+  const bridge = manifest.content_scripts?.find((script) => script.js?.includes('bridge.js'));
+  return bridge?.matches || [];
+}
+
+/**
+ * Handle messages from web pages, whichever way the browser delivers them.
+ *
+ * @param {(message: any, sender: { origin: string|null, url?: string }) => Promise<any>} handler
+ *   Resolves to the response for the page
+ */
+export function addExternalMessageListener(handler) {
+  const respond = (message, sender, sendResponse) => {
+    handler(message, sender).then(sendResponse);
+    return true; // Keep message channel open for async response
+  };
+
+  chrome.runtime.onMessageExternal?.addListener(respond);
+
+  chrome.runtime.onMessage.addListener((envelope, sender, sendResponse) => {
+    if (envelope?.type !== BRIDGE_MESSAGE || !isBridgeSender(sender)) {
+      return;
+    }
+    return respond(envelope.message, describePageSender(sender), sendResponse);
+  });
+}
+
+/**
+ * The page's end of a relayed port, as the background sees it: named and
+ * sent by the page rather than the content script.
+ */
+function unwrapBridgePort(port) {
+  return {
+    name: port.name.slice(BRIDGE_PORT_PREFIX.length),
+    sender: describePageSender(port.sender),
+    onMessage: port.onMessage,
+    onDisconnect: port.onDisconnect,
+    postMessage: (message) => port.postMessage(message),
+    disconnect: () => port.disconnect(),
+  };
+}
+
+/**
+ * Handle ports opened by web pages, whichever way the browser delivers them.
+ *
+ * @param {(port: chrome.runtime.Port) => any} handler
+ */
+export function addExternalConnectListener(handler) {
+  chrome.runtime.onConnectExternal?.addListener(handler);
+
+  chrome.runtime.onConnect.addListener((port) => {
+    if (port.name.startsWith(BRIDGE_PORT_PREFIX) && isBridgeSender(port.sender)) {
+      handler(unwrapBridgePort(port));
+    }
+  });
+}
@@ -0,0 +1,383 @@
+/**
+ * DialogBrain Cookie Sync - Backend Commands
+ *
+ * The backend can't reach the extension, so the extension asks it for
+ * work: GET /api/extension/commands returns
+ *   { commands: [{ id, type, ...arguments }], poll_after_seconds? }
+ * and every command is acknowledged once it has run, with
+ * POST /api/extension/commands/{id}/ack
+ *   { result: 'ok' | 'failed' | 'rejected', error?, data? }
+ *
+ * Commands:
+ * - resync { platform, account_id?, force? }: sync a platform ('all' for
+ *   every platform), or only the cookie store of one of its accounts
+ * - disconnect { platform, account_id? }: delete the platform's stored
+ *   sessions on the backend (see revokeSessions in session.js); the
+ *   platform syncs again on its next cookie change, as the user consented
+ * - refresh_token: renew the DialogBrain access token now
+ * - report_diagnostics: send the debug bundle (see debug-bundle.js) with
+ *   the acknowledgement
+ *
+ * Unknown or malformed commands, and commands for platforms the user
+ * doesn't sync, are rejected. A command the backend delivers again (e.g.
+ * its acknowledgement was lost) is acknowledged again, not run twice.
+ *
+ * Polling runs on an alarm whose delay adapts: soon after commands
+ * arrived, backing off while there are none (the backend may ask for a
+ * delay with poll_after_seconds). While the popup or web app is connected
+ * for live status (see status-push.js) the worker is awake anyway, and
+ * commands are long-polled (`?wait=` seconds) so they run right away.
+ * A long poll the backend held for its full wait is followed right away;
+ * one answered early starts at least COMMANDS_POLL_MIN_SECONDS after the
+ * last, so a backend ignoring ?wait= can't keep the worker in a busy
+ * loop. poll_after_seconds, when sent, sets the pause instead.
+ */
+
+import { CONFIG, getApiUrl } from './config.js';
+import { PLATFORMS, getPlatform } from './platforms.js';
+import { loadSettings } from './settings.js';
+import { getSyncBlock } from './consent.js';
+import { TRIGGERS, getStoredStatus } from './status-store.js';
+import { REVOKE_REASONS, revokeSessions } from './session.js';
+import { hasTokens, refreshTokens, authorizedFetch } from './auth.js';
+import { buildDebugBundle } from './debug-bundle.js';
+import { hasSubscribers, whenNoSubscribers } from './status-push.js';
+import { syncPlatform, syncAll } from './sync.js';
+import { log, describeError } from './logger.js';
+
+export const COMMANDS_ALARM = 'commands';
+
+export const COMMAND_TYPES = {
+  RESYNC: 'resync',
+  DISCONNECT: 'disconnect',
+  REFRESH_TOKEN: 'refresh_token',
+  REPORT_DIAGNOSTICS: 'report_diagnostics',
+};
+
+// { delaySeconds, handled: [{ id, result, error }] }
+const STATE_KEY = 'command_state';
+
+// Acknowledgements remembered for commands delivered again (oldest dropped first)
+const HANDLED_LIMIT = 100;
+
+/**
+ * @typedef {Object} CommandAck
+ * @property {string} result - 'ok' | 'failed' | 'rejected'
+ * @property {string} [error]
+ * @property {Object} [data]
+ */
+
+class CommandRejected extends Error {}
+
+async function readState() {
+  const stored = await chrome.storage.local.get(STATE_KEY);
+  return { delaySeconds: null, handled: [], ...stored[STATE_KEY] };
+}
+
+// Serialize read-modify-write cycles, and command runs: the alarm and the
+// long poll may both receive the same command
+let stateLock = Promise.resolve();
+
+function withStateLock(task) {
+  const run = stateLock.then(task);
+  stateLock = run.catch(() => {});
+  return run;
+}
+
+function updateState(patch) {
+  return withStateLock(async () => {
+    const state = await readState();
+    await chrome.storage.local.set({ [STATE_KEY]: { ...state, ...patch } });
+  });
+}
+
+// =============================================================================
+// Commands
+// =============================================================================
+
+/**
+ * The platform a command names. Platforms the user doesn't sync are
+ * rejected: the backend can't override the user's choices.
+ */
+function getCommandPlatform(command) {
+  const platform = getPlatform(command.platform);
+  if (!platform) {
+    throw new CommandRejected('Unknown platform');
+  }
+
+  const block = getSyncBlock(platform.id);
+  if (block) {
+    throw new CommandRejected(`Sync disabled (${block})`);
+  }
+  return platform;
+}
+
+/**
+ * The cookie store an account's session was last synced from.
+ */
+async function getAccountStore(platform, accountId) {
+  const status = await getStoredStatus(platform.id);
+  const account = Object.values(status.accounts).find((candidate) => candidate.accountId === accountId);
+  if (!account) {
+    throw new CommandRejected('Unknown account');
+  }
+  return account.storeId || null;
+}
+
+async function resync(command) {
+  const force = command.force === true;
+
+  if (command.platform === 'all') {
+    const statuses = await syncAll(TRIGGERS.COMMAND, { force });
+    return { status: Object.fromEntries(PLATFORMS.map((platform, index) => [platform.id, statuses[index]?.status ?? null])) };
+  }
+
+  const platform = getCommandPlatform(command);
+  const storeId = command.account_id ? await getAccountStore(platform, command.account_id) : null;
+  const status = await syncPlatform(platform.id, TRIGGERS.COMMAND, { force, storeId });
+  return { status: status?.status ?? null };
+}
+
+async function disconnect(command) {
+  const platform = getPlatform(command.platform);
+  if (!platform) {
+    throw new CommandRejected('Unknown platform');
+  }
+  if (command.account_id) {
+    await getAccountStore(platform, command.account_id);
+  }
+
+  await revokeSessions(platform, REVOKE_REASONS.BACKEND_REQUEST, {
+    accountId: command.account_id || null,
+    trigger: TRIGGERS.COMMAND,
+  });
+  return null;
+}
+
+async function refreshToken() {
+  if (!(await refreshTokens())) {
+    throw new Error('Token refresh rejected');
+  }
+  return null;
+}
+
+async function reportDiagnostics() {
+  return { bundle: await buildDebugBundle() };
+}
+
+const HANDLERS = {
+  [COMMAND_TYPES.RESYNC]: resync,
+  [COMMAND_TYPES.DISCONNECT]: disconnect,
+  [COMMAND_TYPES.REFRESH_TOKEN]: refreshToken,
+  [COMMAND_TYPES.REPORT_DIAGNOSTICS]: reportDiagnostics,
+};
+
+/**
+ * Run one command.
+ * @returns {Promise<CommandAck>}
+ */
+async function runCommand(command) {
+  const handler = HANDLERS[command.type];
+  if (!handler) {
+    return { result: 'rejected', error: 'Unknown command' };
+  }
+
+  try {
+    const data = await handler(command);
+    return data ? { result: 'ok', data } : { result: 'ok' };
+  } catch (error) {
+    if (error instanceof CommandRejected) {
+      return { result: 'rejected', error: error.message };
+    }
+    return { result: 'failed', error: describeError(error) };
+  }
+}
+
+async function acknowledge(id, ack) {
+  try {
+    const response = await authorizedFetch(`${getApiUrl()}${CONFIG.COMMANDS_PATH}/${encodeURIComponent(id)}/ack`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(ack),
+    });
+    if (response && !response.ok) {
+      log.error(`Command ${id} acknowledgement failed: ${response.status}`);
+    }
+  } catch (error) {
+    // Delivered again on a later poll, and acknowledged then
+    log.error(`Command ${id} acknowledgement error:`, error.message);
+  }
+}
+
+/**
+ * Run a command unless it already ran, and acknowledge it either way.
+ */
+function handleCommand(command) {
+  return withStateLock(async () => {
+    const state = await readState();
+    const handled = state.handled.find((entry) => entry.id === command.id);
+    if (handled) {
+      return { id: command.id, result: handled.result, ...(handled.error && { error: handled.error }) };
+    }
+
+    log.info(`Backend command ${command.id}: ${command.type}`);
+    const ack = await runCommand(command);
+    log.info(`Backend command ${command.id}: ${ack.result}${ack.error ? ` (${ack.error})` : ''}`);
+
+    const entry = { id: command.id, result: ack.result, ...(ack.error && { error: ack.error }) };
+    const handledNow = [...state.handled, entry].slice(-HANDLED_LIMIT);
+    await chrome.storage.local.set({ [STATE_KEY]: { ...state, handled: handledNow } });
+    return { id: command.id, ...ack };
+  }).then(async ({ id, ...ack }) => {
+    await acknowledge(id, ack);
+    return { id, ...ack };
+  });
+}
+
+// =============================================================================
+// Polling
+// =============================================================================
+
+/**
+ * Fetch pending commands and run them.
+ *
+ * @param {{wait?: number}} [options] - Seconds the backend may hold the
+ *   request open until a command arrives (long poll)
+ * @returns {Promise<{acks: Array<CommandAck & {id: string}>, pollAfterSeconds: number|null}|null>}
+ *   Null if not logged in or the backend couldn't be asked
+ */
+export async function pollCommands({ wait = 0 } = {}) {
+  await loadSettings();
+  if (!(await hasTokens())) {
+    return null;
+  }
+
+  const url = `${getApiUrl()}${CONFIG.COMMANDS_PATH}${wait > 0 ? `?wait=${wait}` : ''}`;
+  const response = await authorizedFetch(url, {
+    cache: 'no-store',
+    signal: AbortSignal.timeout((wait + CONFIG.COMMANDS_TIMEOUT_SECONDS) * 1000),
+  });
+  if (!response) {
+    return null;
+  }
+  if (!response.ok) {
+    log.error(`Command poll failed: ${response.status}`);
+    return null;
+  }
+
+  const body = await response.json();
+  const commands = (Array.isArray(body.commands) ? body.commands : [])
+    .filter((command) => typeof command?.id === 'string' && command.id);
+
+  const acks = [];
+  for (const command of commands) {
+    acks.push(await handleCommand(command));
+  }
+
+  const pollAfterSeconds = Number(body.poll_after_seconds);
+  return { acks, pollAfterSeconds: pollAfterSeconds > 0 ? pollAfterSeconds : null };
+}
+
+/**
+ * Seconds until the next poll: soon after commands arrived, twice as long
+ * as last time while there are none, or what the backend asked for.
+ */
+export function getNextPollDelay(previousSeconds, outcome) {
+  const min = CONFIG.COMMANDS_POLL_MIN_SECONDS;
+  const max = CONFIG.COMMANDS_POLL_MAX_SECONDS;
+  const clamp = (seconds) => Math.min(Math.max(seconds, min), max);
+
+  if (outcome?.pollAfterSeconds) {
+    return clamp(outcome.pollAfterSeconds);
+  }
+  if (outcome?.acks.length > 0) {
+    return min;
+  }
+  return clamp((previousSeconds || min) * 2);
+}
+
+function scheduleNextPoll(delaySeconds) {
+  chrome.alarms.create(COMMANDS_ALARM, { delayInMinutes: delaySeconds / 60 });
+}
+
+/**
+ * Create the poll alarm if there is none.
+ * An existing alarm is left alone so worker restarts don't reset its timer.
+ */
+export async function scheduleCommandPoll() {
+  if (!(await chrome.alarms.get(COMMANDS_ALARM))) {
+    scheduleNextPoll(CONFIG.COMMANDS_POLL_MIN_SECONDS);
+  }
+}
+
+/**
+ * Poll once and schedule the next poll. Must be wired from the
+ * COMMANDS_ALARM alarm.
+ */
+export async function runCommandPoll() {
+  let outcome = null;
+  try {
+    outcome = await pollCommands();
+  } catch (error) {
+    log.error('Command poll error:', error.message);
+  }
+
+  const { delaySeconds } = await readState();
+  const next = getNextPollDelay(delaySeconds, outcome);
+  await updateState({ delaySeconds: next });
+  scheduleNextPoll(next);
+  return outcome;
+}
+
+let longPolling = false;
+
+/**
+ * Wait before the next long poll, or until the last subscriber leaves.
+ */
+async function pauseLongPoll(seconds) {
+  let timer;
+  await Promise.race([
+    new Promise((resolve) => { timer = setTimeout(resolve, seconds * 1000); }),
+    whenNoSubscribers(),
+  ]);
+  clearTimeout(timer);
+}
+
+/**
+ * Long-poll for commands while anyone is subscribed to live status.
+ * Call when a subscriber connects; does nothing if already running.
+ * Stops when not logged in or the backend fails - the alarm keeps
+ * polling, and the next subscriber tries again.
+ */
+export async function startLongPoll() {
+  if (longPolling) {
+    return;
+  }
+  longPolling = true;
+  log.debug('Command long poll started');
+
+  try {
+    while (hasSubscribers()) {
+      const wait = CONFIG.COMMANDS_LONG_POLL_SECONDS;
+      const startedAt = Date.now();
+      const outcome = await pollCommands({ wait });
+      if (!outcome) {
+        break;
+      }
+
+      // A poll held for its full wait can be followed right away; one that
+      // came back early (e.g. the backend ignores ?wait=) is spaced out
+      const heldSeconds = (Date.now() - startedAt) / 1000;
+      const heldFully = wait > 0 && heldSeconds >= wait;
+      const pauseSeconds = outcome.pollAfterSeconds ?? (heldFully ? 0 : CONFIG.COMMANDS_POLL_MIN_SECONDS - heldSeconds);
+      if (pauseSeconds > 0) {
+        await pauseLongPoll(pauseSeconds);
+      }
+    }
+  } catch (error) {
+    log.error('Command long poll error:', error.message);
+  } finally {
+    longPolling = false;
+    log.debug('Command long poll stopped');
+  }
+}
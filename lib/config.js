@@ -0,0 +1,62 @@
+/**
+ * DialogBrain Cookie Sync - Configuration
+ *
+ * Static configuration shared by the background worker modules.
+ */
+
+import { getActiveEnvironment, resolveEnvironment } from './environments.js';
+
+export const CONFIG = {
+  // Force the local environment regardless of the options page (see environments.js)
+  IS_DEV: false, // Set to true for local development
+
+  // Sync settings (defaults; set per platform on the options page, see schedule.js)
+  DEBOUNCE_MS: 2000, // Wait 2s for cookie changes to settle
+  FALLBACK_SYNC_HOURS: 6, // Periodic sync interval
+  SYNC_JITTER_MINUTES: 15, // Spread scheduled syncs over this many minutes
+  INSTALL_SYNC_DELAY_MS: 5000, // Let the worker initialize before the install sync
+  INSTALL_SYNC_JITTER_MS: 15 * 1000, // Spread install syncs (e.g. after an update) over this long
+
+  // Retry settings (failed syncs are retried through chrome.alarms)
+  RETRY_BASE_MS: 60 * 1000, // First retry after ~1 min
+  RETRY_MAX_MS: 60 * 60 * 1000, // Never wait more than 1 hour between retries
+  RETRY_MAX_ATTEMPTS: 8, // Give up after this many consecutive failures
+  OFFLINE_RECHECK_MINUTES: 5, // Check for the network this often while syncs wait for it
+
+  // Unchanged payloads are re-sent anyway once the last upload is this old
+  // (default; set on the options page, see fingerprint.js)
+  FINGERPRINT_MAX_AGE_HOURS: 24,
+
+  // Notifications (see notifications.js)
+  NOTIFICATION_MIN_INTERVAL_MS: 6 * 60 * 60 * 1000, // Same notification at most every 6 hours
+  FAILURE_NOTIFY_ATTEMPTS: 3, // Tell the user once a session failed this many times in a row
+
+  // Sessions whose cookie expires within this many days are flagged as expiring
+  SESSION_EXPIRING_DAYS: 3,
+
+  // Session keepalive (see keepalive.js)
+  KEEPALIVE_CHECK_MINUTES: 60, // How often sessions are checked
+  KEEPALIVE_DEFAULT_HOURS: 24, // Keep a session alive once unrefreshed this long
+
+  // Backend commands (see commands.js)
+  COMMANDS_PATH: '/api/extension/commands',
+  COMMANDS_POLL_MIN_SECONDS: 60, // Poll this soon after commands arrived
+  COMMANDS_POLL_MAX_SECONDS: 30 * 60, // Back off to this while there are none
+  COMMANDS_LONG_POLL_SECONDS: 25, // How long the backend may hold a long poll
+  COMMANDS_TIMEOUT_SECONDS: 15, // Give up on a poll this long after its wait
+
+  // Auth tokens
+  AUTH_REFRESH_PATH: '/api/auth/refresh',
+  AUTH_REFRESH_MARGIN_MS: 5 * 60 * 1000, // Refresh access tokens expiring within 5 min
+
+  // External messaging (see external.js)
+  EXTERNAL_ORIGINS: ['https://dialogbrain.com', 'https://app.dialogbrain.com'],
+  DEV_EXTERNAL_ORIGINS: ['http://localhost:3000'], // Only allowed with the local environment
+  HANDOFF_KEY_PATH: '/api/extension/handoff-key',
+  HANDOFF_NONCE_TTL_MS: 2 * 60 * 1000, // A token handoff must complete within 2 min
+};
+
+// Get current API URL based on the selected environment
+export function getApiUrl() {
+  return CONFIG.IS_DEV ? resolveEnvironment('local').apiUrl : getActiveEnvironment().apiUrl;
+}
@@ -0,0 +1,77 @@
+/**
+ * DialogBrain Cookie Sync - Consent
+ *
+ * Nothing is synced until the user has agreed, on the consent page, to
+ * send a platform's cookies to DialogBrain. Platforms are opt-in one by
+ * one; an opted-in platform can be paused (its stored session is kept
+ * but no longer updated).
+ *
+ * The consent is a setting (`sync_consent`):
+ *   { policyVersion, grantedAt, platforms: [platformId] }
+ * A consent given for an older policy version no longer counts, so
+ * changing what is sent means bumping CONSENT_POLICY_VERSION.
+ *
+ * Revoking consent, or opting a platform out, stops its syncs and asks
+ * the backend to delete the stored session (see revokeSessions in
+ * session.js, wired from the background worker). So does an
+ * administrator's policy leaving a platform out (see policy.js), whatever
+ * the user consented to.
+ */
+
+import { getSettings } from './settings.js';
+import { isPlatformAllowed } from './policy.js';
+
+// Bump when the cookies sent or their use change; users consent again
+export const CONSENT_POLICY_VERSION = 1;
+
+/**
+ * Whether the user has consented to the current policy.
+ */
+export function hasConsent(settings = getSettings()) {
+  return settings.sync_consent?.policyVersion === CONSENT_POLICY_VERSION;
+}
+
+/**
+ * Whether the user opted in to syncing a platform.
+ */
+export function isOptedIn(platformId, settings = getSettings()) {
+  return hasConsent(settings) && settings.sync_consent.platforms.includes(platformId);
+}
+
+export function isPaused(platformId, settings = getSettings()) {
+  return settings.paused_platforms?.[platformId] === true;
+}
+
+/**
+ * Why a platform doesn't sync ('no_consent', 'blocked_by_policy',
+ * 'opted_out' or 'paused'), or null if it does.
+ */
+export function getSyncBlock(platformId, settings = getSettings()) {
+  if (!hasConsent(settings)) return 'no_consent';
+  if (!isPlatformAllowed(platformId, settings)) return 'blocked_by_policy';
+  if (!isOptedIn(platformId, settings)) return 'opted_out';
+  if (isPaused(platformId, settings)) return 'paused';
+  return null;
+}
+
+export function isSyncEnabled(platformId, settings = getSettings()) {
+  return getSyncBlock(platformId, settings) === null;
+}
+
+/**
+ * A consent record for the given platforms, to be saved as `sync_consent`.
+ */
+export function createConsent(platformIds) {
+  return {
+    policyVersion: CONSENT_POLICY_VERSION,
+    grantedAt: new Date().toISOString(),
+    platforms: [...new Set(platformIds)],
+  };
+}
+
+/**
+ * Open the consent page (first run, or to change which platforms sync).
+ */
+export function openConsentPage() {
+  return chrome.tabs.create({ url: chrome.runtime.getURL('consent.html') });
+}
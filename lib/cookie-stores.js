@@ -0,0 +1,105 @@
+/**
+ * DialogBrain Cookie Sync - Cookie Stores
+ *
+ * A browser can hold several independent cookie jars: the default store,
+ * the incognito store (when the extension is allowed in incognito) and,
+ * in Firefox, one per container. The same platform can be logged in to
+ * a different account in each, so sessions are tracked per store.
+ *
+ * Which stores may sync is a user setting (`cookie_store_sync`);
+ * incognito is off unless explicitly enabled.
+ */
+
+import { getSettings } from './settings.js';
+
+/**
+ * @typedef {Object} CookieStore
+ * @property {string} id - chrome.cookies store id
+ * @property {boolean} incognito
+ * @property {boolean} isDefault - The regular browsing store
+ * @property {string|null} container - Firefox container name, if the store is one
+ */
+
+// Store ids of the regular browsing store (Chrome, Firefox)
+const DEFAULT_STORE_IDS = ['0', 'firefox-default'];
+
+// Chrome doesn't flag incognito stores; its incognito store id is '1'
+const CHROME_INCOGNITO_STORE_ID = '1';
+
+// Firefox container stores are 'firefox-container-<n>'
+const FIREFOX_CONTAINER_PREFIX = 'firefox-container-';
+
+/**
+ * Name the user gave a Firefox container (null if containers are
+ * turned off or the store isn't one).
+ */
+async function getContainerName(storeId) {
+  if (!storeId.startsWith(FIREFOX_CONTAINER_PREFIX) || !chrome.contextualIdentities) {
+    return null;
+  }
+  try {
+    return (await chrome.contextualIdentities.get(storeId)).name;
+  } catch {
+    return null;
+  }
+}
+
+async function describeStore(store) {
+  return {
+    id: store.id,
+    incognito: store.incognito ?? store.id === CHROME_INCOGNITO_STORE_ID,
+    isDefault: DEFAULT_STORE_IDS.includes(store.id),
+    container: await getContainerName(store.id),
+  };
+}
+
+/**
+ * Every cookie store the extension can currently see.
+ * @returns {Promise<CookieStore[]>}
+ */
+export async function listCookieStores() {
+  const stores = await chrome.cookies.getAllCookieStores();
+  return Promise.all(stores.map(describeStore));
+}
+
+/**
+ * Whether the user allows syncing from a store.
+ * Without an explicit choice, regular stores sync and incognito doesn't.
+ */
+export function isStoreAllowed(store, settings = getSettings()) {
+  const choice = settings.cookie_store_sync?.[store.id];
+  return choice ?? !store.incognito;
+}
+
+/**
+ * Cookie stores allowed to sync.
+ * @returns {Promise<CookieStore[]>}
+ */
+export async function listSyncableStores() {
+  return (await listCookieStores()).filter((store) => isStoreAllowed(store));
+}
+
+/**
+ * Look up one store by id (null if it no longer exists, e.g. incognito closed).
+ * @returns {Promise<CookieStore|null>}
+ */
+export async function getCookieStore(storeId) {
+  return (await listCookieStores()).find((store) => store.id === storeId) || null;
+}
+
+// =============================================================================
+// Session Keys
+// =============================================================================
+
+// A session is one platform in one cookie store: `${platformId}@${storeId}`
+
+export function getSessionKey(platformId, storeId) {
+  return `${platformId}@${storeId}`;
+}
+
+export function parseSessionKey(sessionKey) {
+  const at = sessionKey.indexOf('@');
+  return at === -1
+    ? { platformId: sessionKey, storeId: null }
+    : { platformId: sessionKey.slice(0, at), storeId: sessionKey.slice(at + 1) };
+}
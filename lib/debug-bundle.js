@@ -0,0 +1,117 @@
+/**
+ * DialogBrain Cookie Sync - Debug Bundle
+ *
+ * A JSON snapshot for support tickets: versions, environment, settings,
+ * sync status and history, and rejected web app messages.
+ *
+ * It must never carry a secret. Every string goes through redact()
+ * (logger.js), platform identities are replaced by placeholders, and as
+ * a last check every cookie value and token the browser holds right now
+ * is searched for in the final JSON and masked if found. The bundle
+ * records how many values were checked.
+ */
+
+import { PLATFORMS } from './platforms.js';
+import { readSettings } from './settings.js';
+import { getActiveEnvironment } from './environments.js';
+import { getAllStatus, readHistory } from './status-store.js';
+import { readAuditLog, PROTOCOL_VERSION } from './external.js';
+import { listCookieStores } from './cookie-stores.js';
+import { readCookies } from './sync.js';
+import { getTokens, hasTokens } from './auth.js';
+import { redact, REDACTED } from './logger.js';
+
+export const DEBUG_BUNDLE_FORMAT = 1;
+
+// Shorter values (e.g. "0", "en") are too common to search for
+const MIN_SECRET_LENGTH = 6;
+
+/**
+ * Every cookie value and token the browser holds right now.
+ */
+async function collectSecrets() {
+  const values = [];
+
+  for (const store of await listCookieStores()) {
+    for (const platform of PLATFORMS) {
+      values.push(...Object.values(await readCookies(platform, store.id)));
+    }
+  }
+
+  const tokens = await getTokens().catch(() => null);
+  values.push(tokens?.accessToken, tokens?.refreshToken);
+
+  return [...new Set(values.filter((value) => typeof value === 'string' && value.length >= MIN_SECRET_LENGTH))];
+}
+
+function redactDeep(value) {
+  if (typeof value === 'string') {
+    return redact(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactDeep);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, redactDeep(entry)]));
+  }
+  return value;
+}
+
+/**
+ * Replace platform identities (user ids read from cookies) with
+ * "account-1", "account-2", ... consistently within a platform's status.
+ */
+function pseudonymizeStatus(status) {
+  const names = new Map();
+  const alias = (identity) => {
+    if (identity == null) return identity;
+    if (!names.has(identity)) names.set(identity, `account-${names.size + 1}`);
+    return names.get(identity);
+  };
+
+  return {
+    ...status,
+    identity: alias(status.identity),
+    accounts: Object.fromEntries(Object.entries(status.accounts || {}).map(([identity, account]) => [alias(identity), account])),
+    stores: Object.fromEntries(Object.entries(status.stores || {}).map(([storeId, identity]) => [storeId, alias(identity)])),
+  };
+}
+
+/**
+ * Build the bundle. Runs in an extension page (options) or the worker.
+ */
+export async function buildDebugBundle() {
+  const manifest = chrome.runtime.getManifest();
+  const settings = await readSettings();
+  const environment = getActiveEnvironment(settings);
+  const status = await getAllStatus();
+
+  const bundle = redactDeep({
+    format: DEBUG_BUNDLE_FORMAT,
+    generatedAt: new Date().toISOString(),
+    versions: {
+      extension: manifest.version,
+      manifest: manifest.manifest_version,
+      protocol: PROTOCOL_VERSION,
+      browser: navigator.userAgent,
+    },
+    environment: { id: environment.id, apiUrl: environment.apiUrl },
+    loggedIn: await hasTokens(),
+    settings,
+    status: Object.fromEntries(Object.entries(status).map(([platformId, entry]) => [platformId, pseudonymizeStatus(entry)])),
+    history: await readHistory(),
+    externalAuditLog: await readAuditLog(),
+  });
+
+  // Last line of defense: nothing the browser holds as a secret may remain
+  const secrets = await collectSecrets();
+  let json = JSON.stringify(bundle);
+  let masked = 0;
+  for (const secret of secrets) {
+    const parts = json.split(JSON.stringify(secret).slice(1, -1));
+    masked += parts.length - 1;
+    json = parts.join(REDACTED);
+  }
+
+  return { ...JSON.parse(json), verification: { secretsChecked: secrets.length, secretsMasked: masked } };
+}
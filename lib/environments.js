@@ -0,0 +1,155 @@
+/**
+ * DialogBrain Cookie Sync - Environments
+ *
+ * The backend the extension talks to: production, staging, a local
+ * development server or a custom (self-hosted) URL, chosen on the
+ * options page.
+ *
+ * Each environment also has a web app: where the user logs in, and an
+ * origin allowed to message the extension while the environment is
+ * active (see external.js). A custom environment's web app is set on the
+ * options page, or derived from its API URL.
+ *
+ * Each environment has its own auth token, account ids, sync status and
+ * fingerprints: storage keys for those are scoped per environment (see
+ * scopedKey), so switching back and forth never mixes accounts between
+ * backends. Production keeps the unscoped keys used before environments
+ * existed.
+ */
+
+import { loadSettings, getSettings } from './settings.js';
+import { describeError } from './logger.js';
+
+/**
+ * @typedef {Object} Environment
+ * @property {string} id
+ * @property {string} name
+ * @property {string} apiUrl - Base URL without a trailing slash
+ * @property {string} webAppUrl - Web app base URL without a trailing slash
+ */
+
+export const ENVIRONMENTS = [
+  { id: 'production', name: 'Production', apiUrl: 'https://api.dialogbrain.com', webAppUrl: 'https://dialogbrain.com' },
+  { id: 'staging', name: 'Staging', apiUrl: 'https://api.staging.dialogbrain.com', webAppUrl: 'https://staging.dialogbrain.com' },
+  { id: 'local', name: 'Local', apiUrl: 'http://localhost:8000', webAppUrl: 'http://localhost:3000' },
+  { id: 'custom', name: 'Custom URL', apiUrl: null, webAppUrl: null },
+];
+
+// Answers { status: 'ok' } when the backend is up
+export const HEALTH_CHECK_PATH = '/api/health';
+
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Canonical API (or web app) base URL, or null if it isn't usable: https
+ * only (http for localhost), no credentials, query or fragment, no
+ * trailing slash.
+ */
+export function normalizeApiUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+
+  const isLocal = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+    return null;
+  }
+  if (url.username || url.password || url.search || url.hash) {
+    return null;
+  }
+  return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Web app URL for a self-hosted API: its origin without a leading "api."
+ * (https://api.example.com -> https://example.com).
+ */
+export function deriveWebAppUrl(apiUrl) {
+  const url = new URL(apiUrl);
+  url.hostname = url.hostname.replace(/^api\./, '');
+  return url.origin;
+}
+
+/**
+ * An environment by id; 'custom' takes its API URL from customUrl and
+ * its web app URL from customWebAppUrl, derived from the API URL if empty.
+ * @returns {Environment|null}
+ */
+export function resolveEnvironment(id, customUrl = '', customWebAppUrl = '') {
+  const environment = ENVIRONMENTS.find((env) => env.id === id);
+  if (!environment) {
+    return null;
+  }
+  if (id !== 'custom') {
+    return environment;
+  }
+
+  const apiUrl = normalizeApiUrl(customUrl);
+  if (!apiUrl) {
+    return null;
+  }
+  const webAppUrl = customWebAppUrl ? normalizeApiUrl(customWebAppUrl) : deriveWebAppUrl(apiUrl);
+  return webAppUrl ? { ...environment, apiUrl, webAppUrl } : null;
+}
+
+/**
+ * The selected environment, falling back to production if the
+ * selection is unusable (e.g. custom without a valid URL).
+ * @returns {Environment}
+ */
+export function getActiveEnvironment(settings = getSettings()) {
+  return resolveEnvironment(settings.environment, settings.custom_api_url, settings.custom_web_app_url) || ENVIRONMENTS[0];
+}
+
+/**
+ * Storage scope of an environment. Custom URLs are scoped by host, so
+ * two self-hosted backends don't share tokens either.
+ */
+function getEnvironmentScope(environment) {
+  return environment.id === 'custom' ? `custom@${new URL(environment.apiUrl).host}` : environment.id;
+}
+
+/**
+ * Storage key for per-environment data, e.g. 'auth_tokens:staging'.
+ * Waits for settings so a freshly woken worker reads the right scope.
+ */
+export async function scopedKey(key) {
+  await loadSettings();
+  const scope = getEnvironmentScope(getActiveEnvironment());
+  return scope === 'production' ? key : `${key}:${scope}`;
+}
+
+/**
+ * Host permission pattern covering an API URL (match patterns ignore ports).
+ */
+export function getHostPermission(apiUrl) {
+  const url = new URL(apiUrl);
+  return `${url.protocol}//${url.hostname}/*`;
+}
+
+/**
+ * Ask the backend whether it's a healthy DialogBrain API.
+ * Needs host permission for the URL.
+ *
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+export async function checkHealth(apiUrl) {
+  try {
+    const response = await fetch(`${apiUrl}${HEALTH_CHECK_PATH}`, {
+      signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      return { ok: false, error: `Health check failed: HTTP ${response.status}` };
+    }
+
+    const data = await response.json().catch(() => null);
+    return data?.status === 'ok'
+      ? { ok: true }
+      : { ok: false, error: 'Not a DialogBrain API' };
+  } catch (error) {
+    return { ok: false, error: `Backend unreachable: ${describeError(error)}` };
+  }
+}
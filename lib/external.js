@@ -0,0 +1,399 @@
+/**
+ * DialogBrain Cookie Sync - External Messaging Protocol
+ *
+ * Rules for messages from DialogBrain web pages (onMessageExternal, or
+ * relayed by the Firefox content script - see browser.js):
+ * - The sender's origin must exactly match the allowlist (built-in
+ *   origins, the active environment's web app, and any the user adds on
+ *   the options page). The environment's web app and added origins only
+ *   count if the manifest lets their pages message the extension - a
+ *   self-hosted web app elsewhere is never listed, since the browser
+ *   wouldn't deliver its messages anyway. An administrator's policy can
+ *   narrow the list (see policy.js).
+ * - Every message carries the protocol version and must match the
+ *   schema for its type; unknown fields are rejected
+ * - Auth tokens are only accepted with a one-time nonce, issued by the
+ *   extension and signed by the backend, proving the token came out of
+ *   a real DialogBrain login
+ *
+ * The same origin and version rules apply to status subscriptions
+ * (onConnectExternal, or relayed ports). Rejected messages and
+ * subscriptions are kept in a bounded audit log.
+ *
+ * SECURITY: NEVER log or audit message payloads - they may hold tokens.
+ */
+
+import { CONFIG, getApiUrl } from './config.js';
+import { getSettings } from './settings.js';
+import { getActiveEnvironment } from './environments.js';
+import { getPlatform } from './platforms.js';
+import { getWebAppMatches } from './browser.js';
+import { log } from './logger.js';
+
+export const PROTOCOL_VERSION = 1;
+
+// Name web pages pass to runtime.connect() to subscribe to status pushes
+export const EXTERNAL_STATUS_PORT = `dialogbrain-status:v${PROTOCOL_VERSION}`;
+
+const NONCES_KEY = 'external_nonces';
+const AUDIT_LOG_KEY = 'external_audit_log';
+
+// Max audit entries kept (oldest dropped first)
+export const AUDIT_LOG_LIMIT = 100;
+
+// Longest string accepted in any message field
+const MAX_FIELD_LENGTH = 8192;
+
+// What the backend signs for a token handoff: a JSON array of this
+// context followed by the nonce, origin and every field that is stored
+const HANDOFF_CONTEXT = 'dialogbrain-token-handoff:v2';
+
+// =============================================================================
+// Origins
+// =============================================================================
+
+/**
+ * Canonical origin for a URL-like string ("https://host[:port]"), or null
+ * if it isn't a plain https origin (http is allowed for localhost only).
+ */
+export function normalizeOrigin(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+
+  const isLocal = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+    return null;
+  }
+  if (url.username || url.password || url.pathname !== '/' || url.search || url.hash) {
+    return null;
+  }
+  return url.origin;
+}
+
+// Whether a URL matches a manifest match pattern ("https://*.host/*").
+// A pattern without a port matches every port.
+function matchesPattern(url, pattern) {
+  const match = /^(\*|https?):\/\/([^/]+)\//.exec(pattern);
+  if (!match) {
+    return false;
+  }
+  const [, scheme, host] = match;
+  if (scheme === '*' ? !['http:', 'https:'].includes(url.protocol) : url.protocol !== `${scheme}:`) {
+    return false;
+  }
+  const actual = host.includes(':') ? url.host : url.hostname;
+  if (host.startsWith('*.')) {
+    const domain = host.slice(2);
+    return actual === domain || actual.endsWith(`.${domain}`);
+  }
+  return host === '*' || actual === host;
+}
+
+/**
+ * Whether pages on an origin can message the extension at all - the
+ * browser only delivers messages from pages the manifest lists.
+ */
+export function isReachableOrigin(origin, matches = getWebAppMatches()) {
+  const normalized = normalizeOrigin(origin);
+  return !!normalized && matches.some((pattern) => matchesPattern(new URL(normalized), pattern));
+}
+
+/**
+ * Origins allowed to message the extension.
+ * Localhost web apps are only allowed with the local environment, the
+ * environment's web app only while it is active, and only the origins a
+ * policy lists when it has allowed_origins.
+ */
+export function getAllowedOrigins(settings = getSettings()) {
+  const origins = [...CONFIG.EXTERNAL_ORIGINS];
+  const environment = getActiveEnvironment(settings);
+  if (CONFIG.IS_DEV || environment.id === 'local') {
+    origins.push(...CONFIG.DEV_EXTERNAL_ORIGINS);
+  }
+  for (const origin of [new URL(environment.webAppUrl).origin, ...settings.extra_allowed_origins]) {
+    if (isReachableOrigin(origin) && !origins.includes(normalizeOrigin(origin))) {
+      origins.push(normalizeOrigin(origin));
+    }
+  }
+
+  const restricted = settings.policy?.allowed_origins;
+  return restricted ? origins.filter((origin) => restricted.includes(origin)) : origins;
+}
+
+/**
+ * Exact origin match - "https://dialogbrain.com.evil.net" is not
+ * "https://dialogbrain.com".
+ */
+export function isAllowedOrigin(origin, settings = getSettings()) {
+  return typeof origin === 'string' && getAllowedOrigins(settings).includes(origin);
+}
+
+// =============================================================================
+// Message Schemas
+// =============================================================================
+
+// Field -> type per message type; a trailing '?' marks optional fields.
+// 'platform' is a platform id or 'all'.
+const MESSAGE_SCHEMAS = {
+  PING: {},
+  GET_STATUS: {},
+  CHECK_COOKIES: {},
+  TRIGGER_SYNC: { platform: 'platform', force: 'boolean?' },
+  AUTH_CHALLENGE: {},
+  SET_AUTH_TOKEN: {
+    token: 'string',
+    refreshToken: 'string?',
+    expiresAt: 'number?',
+    nonce: 'string',
+    signature: 'string',
+  },
+};
+
+// Present on every message
+const ENVELOPE_FIELDS = ['v', 'type'];
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' && value.length > 0 && value.length <= MAX_FIELD_LENGTH;
+    case 'number':
+      return Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'platform':
+      return value === 'all' || (typeof value === 'string' && !!getPlatform(value));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Why a message breaks the protocol, or null if it's well-formed.
+ */
+export function validateMessage(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return 'Malformed message';
+  }
+  if (message.v !== PROTOCOL_VERSION) {
+    return `Unsupported protocol version (expected v${PROTOCOL_VERSION})`;
+  }
+
+  const schema = MESSAGE_SCHEMAS[message.type];
+  if (!schema) {
+    return 'Unknown message type';
+  }
+
+  for (const key of Object.keys(message)) {
+    if (!ENVELOPE_FIELDS.includes(key) && !(key in schema)) {
+      return `Unexpected field: ${key}`;
+    }
+  }
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith('?');
+    const value = message[field];
+    if (value === undefined && optional) {
+      continue;
+    }
+    if (!matchesType(value, optional ? spec.slice(0, -1) : spec)) {
+      return `Invalid field: ${field}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Why an external message must be rejected, or null if it may be handled.
+ */
+export function checkExternalMessage(message, sender) {
+  if (!isAllowedOrigin(sender.origin)) {
+    return 'Unauthorized origin';
+  }
+  return validateMessage(message);
+}
+
+/**
+ * Why a status subscription from a web page (onConnectExternal) must be
+ * refused, or null if it may subscribe. The port name carries the
+ * protocol version.
+ */
+export function checkExternalPort(port) {
+  if (!isAllowedOrigin(port.sender?.origin)) {
+    return 'Unauthorized origin';
+  }
+  if (port.name !== EXTERNAL_STATUS_PORT) {
+    return 'Unsupported port';
+  }
+  return null;
+}
+
+// =============================================================================
+// Token Handoff
+// =============================================================================
+
+// Nonces live in session storage: they only need to survive worker
+// restarts, not browser restarts
+
+async function readNonces() {
+  const stored = await chrome.storage.session.get(NONCES_KEY);
+  const now = Date.now();
+  return Object.fromEntries(
+    Object.entries(stored[NONCES_KEY] || {}).filter(([, entry]) => entry.expiresAt > now)
+  );
+}
+
+// Serialize read-modify-write cycles: a nonce must never be lost to a
+// concurrent challenge, nor be used up twice
+let nonceLock = Promise.resolve();
+
+function withNonceLock(task) {
+  const run = nonceLock.then(task);
+  nonceLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Issue a one-time nonce for a token handoff from an origin.
+ * The web app has the backend sign it together with the token.
+ */
+export function createHandoffNonce(origin) {
+  const nonce = Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, '0')).join('');
+  return withNonceLock(async () => {
+    const nonces = await readNonces();
+    nonces[nonce] = { origin, expiresAt: Date.now() + CONFIG.HANDOFF_NONCE_TTL_MS };
+    await chrome.storage.session.set({ [NONCES_KEY]: nonces });
+    return nonce;
+  });
+}
+
+/**
+ * Use up a nonce. True if it was issued to this origin and hasn't expired.
+ */
+function consumeNonce(nonce, origin) {
+  return withNonceLock(async () => {
+    const nonces = await readNonces();
+    const entry = nonces[nonce];
+    delete nonces[nonce];
+    await chrome.storage.session.set({ [NONCES_KEY]: nonces });
+    return entry?.origin === origin;
+  });
+}
+
+// Backend verification key, per API URL
+const signingKeys = {};
+
+/**
+ * The backend's public key for token handoffs (ECDSA P-256, JWK),
+ * fetched over HTTPS from the DialogBrain API.
+ */
+function getSigningKey() {
+  const apiUrl = getApiUrl();
+  if (!signingKeys[apiUrl]) {
+    signingKeys[apiUrl] = (async () => {
+      const response = await fetch(`${apiUrl}${CONFIG.HANDOFF_KEY_PATH}`);
+      if (!response.ok) {
+        throw new Error(`Signing key unavailable: HTTP ${response.status}`);
+      }
+      const jwk = await response.json();
+      return crypto.subtle.importKey('jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+    })();
+    signingKeys[apiUrl].catch(() => { delete signingKeys[apiUrl]; });
+  }
+  return signingKeys[apiUrl];
+}
+
+function fromBase64Url(text) {
+  return Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), (char) => char.charCodeAt(0));
+}
+
+/**
+ * What the backend signs for a SET_AUTH_TOKEN handoff. Absent optional
+ * fields are signed as null, so none can be added or changed afterwards.
+ */
+export function getHandoffPayload(message, origin) {
+  return JSON.stringify([
+    HANDOFF_CONTEXT,
+    message.nonce,
+    origin,
+    message.token,
+    message.refreshToken ?? null,
+    message.expiresAt ?? null,
+  ]);
+}
+
+/**
+ * Check a SET_AUTH_TOKEN handoff: the nonce must be one we issued to the
+ * sender's origin, and the backend must have signed the token together
+ * with the refresh token and expiry (see getHandoffPayload).
+ *
+ * @returns {Promise<string|null>} Why the handoff is rejected, or null if valid
+ */
+export async function verifyTokenHandoff(message, origin) {
+  if (!(await consumeNonce(message.nonce, origin))) {
+    return 'Unknown or expired nonce';
+  }
+
+  const signed = new TextEncoder().encode(getHandoffPayload(message, origin));
+  try {
+    const valid = await crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      await getSigningKey(),
+      fromBase64Url(message.signature),
+      signed
+    );
+    return valid ? null : 'Invalid signature';
+  } catch (error) {
+    log.error('Token handoff verification error:', error.message);
+    return 'Signature could not be verified';
+  }
+}
+
+// =============================================================================
+// Audit Log
+// =============================================================================
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} at - ISO timestamp
+ * @property {string|null} origin - Sender origin
+ * @property {string|null} type - Message type, if it had one
+ * @property {string} reason - Why it was rejected
+ */
+
+// Serialize read-modify-write cycles
+let auditLock = Promise.resolve();
+
+/**
+ * Record a rejected external message (type and reason only).
+ */
+export function recordRejection(message, sender, reason) {
+  log.warn(`Rejected external message from ${sender.origin}: ${reason}`);
+
+  const type = typeof message?.type === 'string' ? message.type.slice(0, 64) : null;
+  const entry = { at: new Date().toISOString(), origin: sender.origin || null, type, reason };
+
+  const run = auditLock.then(async () => {
+    const entries = await readAuditLog();
+    entries.push(entry);
+    if (entries.length > AUDIT_LOG_LIMIT) {
+      entries.splice(0, entries.length - AUDIT_LOG_LIMIT);
+    }
+    await chrome.storage.local.set({ [AUDIT_LOG_KEY]: entries });
+  });
+  auditLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Rejected external messages, oldest first.
+ * @returns {Promise<AuditEntry[]>}
+ */
+export async function readAuditLog() {
+  const stored = await chrome.storage.local.get(AUDIT_LOG_KEY);
+  return stored[AUDIT_LOG_KEY] || [];
+}
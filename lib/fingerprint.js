@@ -0,0 +1,128 @@
+/**
+ * DialogBrain Cookie Sync - Payload Fingerprints
+ *
+ * Remembers a salted SHA-256 hash of the last payload successfully sent
+ * per platform account, so syncs whose cookies haven't actually changed
+ * (re-set cookies, alarm ticks, popup opens) can skip the upload.
+ *
+ * SECURITY: only the hash is stored. The salt is random per install, so
+ * the stored value can't be matched against known cookie values.
+ */
+
+import { CONFIG } from './config.js';
+import { getSettings } from './settings.js';
+import { scopedKey } from './environments.js';
+
+const FINGERPRINTS_KEY = 'sync_fingerprints';
+const SALT_KEY = 'fingerprint_salt';
+
+// Longest max age accepted (a week)
+export const MAX_FINGERPRINT_AGE_HOURS = 168;
+
+let saltPromise = null;
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Per-install random salt, created on first use.
+ */
+function getSalt() {
+  if (!saltPromise) {
+    saltPromise = chrome.storage.local.get(SALT_KEY).then(async (stored) => {
+      if (stored[SALT_KEY]) {
+        return stored[SALT_KEY];
+      }
+      const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+      await chrome.storage.local.set({ [SALT_KEY]: salt });
+      return salt;
+    });
+  }
+  return saltPromise;
+}
+
+/**
+ * Salted hash of a sync payload. Keys are sorted so field order doesn't matter.
+ */
+export async function computeFingerprint(payload) {
+  const canonical = JSON.stringify(Object.keys(payload).sort().map((key) => [key, payload[key]]));
+  const data = new TextEncoder().encode(`${await getSalt()}:${canonical}`);
+  return toHex(await crypto.subtle.digest('SHA-256', data));
+}
+
+// Kept per environment: account ids are only unique within one backend
+async function readFingerprints() {
+  const key = await scopedKey(FINGERPRINTS_KEY);
+  const stored = await chrome.storage.local.get(key);
+  return stored[key] || {};
+}
+
+// Serialize read-modify-write cycles; platforms sync in parallel
+let fingerprintLock = Promise.resolve();
+
+function updateFingerprints(mutate) {
+  const run = fingerprintLock.then(async () => {
+    const fingerprints = await readFingerprints();
+    mutate(fingerprints);
+    await chrome.storage.local.set({ [await scopedKey(FINGERPRINTS_KEY)]: fingerprints });
+  });
+  fingerprintLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Whether a fingerprint max age (hours) is one we accept.
+ */
+export function isValidMaxAge(hours) {
+  return Number.isInteger(hours) && hours >= 1 && hours <= MAX_FINGERPRINT_AGE_HOURS;
+}
+
+/**
+ * Hours after which an unchanged payload is uploaded anyway. Invalid
+ * stored values fall back to the default.
+ */
+export function getFingerprintMaxAge(settings = getSettings()) {
+  const hours = settings.fingerprint_max_age_hours;
+  return isValidMaxAge(hours) ? hours : CONFIG.FINGERPRINT_MAX_AGE_HOURS;
+}
+
+/**
+ * Whether this fingerprint was already sent for the account recently
+ * enough (see getFingerprintMaxAge) to skip the upload.
+ */
+export async function isUnchanged(platformId, accountId, fingerprint, settings = getSettings()) {
+  const entry = (await readFingerprints())[platformId]?.[accountId];
+  if (!entry || entry.hash !== fingerprint) {
+    return false;
+  }
+
+  const ageMs = Date.now() - new Date(entry.sentAt).getTime();
+  return ageMs < getFingerprintMaxAge(settings) * 60 * 60 * 1000;
+}
+
+/**
+ * Remember the fingerprint of a payload the backend accepted.
+ */
+export function storeFingerprint(platformId, accountId, fingerprint) {
+  return updateFingerprints((fingerprints) => {
+    fingerprints[platformId] = {
+      ...fingerprints[platformId],
+      [accountId]: { hash: fingerprint, sentAt: new Date().toISOString() },
+    };
+  });
+}
+
+/**
+ * Forget fingerprints so the next sync uploads regardless.
+ * Without a platform id every fingerprint is dropped (e.g. on logout).
+ */
+export function clearFingerprints(platformId) {
+  return updateFingerprints((fingerprints) => {
+    for (const key of Object.keys(fingerprints)) {
+      if (!platformId || key === platformId) {
+        delete fingerprints[key];
+      }
+    }
+  });
+}
@@ -0,0 +1,111 @@
+/**
+ * DialogBrain Cookie Sync - Session Health
+ *
+ * A session cookie being present doesn't mean the session works. Each
+ * sync grades the session twice:
+ * - before upload, from the session cookie's expirationDate
+ * - after upload, from the backend's validation result (`data.status`)
+ *
+ * The resulting state is kept with the account status and drives the
+ * popup, the web app's GET_STATUS and (optionally) notifications.
+ */
+
+import { CONFIG } from './config.js';
+import { NOTIFICATION_TYPES, notify } from './notifications.js';
+
+export const HEALTH_STATES = {
+  VALID: 'valid',
+  EXPIRING: 'expiring',
+  CHALLENGE_REQUIRED: 'challenge_required',
+  INVALID: 'invalid',
+};
+
+// Backend `status` values meaning the platform wants a security check
+// (checkpoint, captcha, 2FA) before the session can be used
+const BACKEND_CHALLENGE_STATUSES = ['challenge_required', 'checkpoint_required', 'verification_required'];
+
+// Backend `status` values meaning the platform rejected the session
+const BACKEND_INVALID_STATUSES = ['invalid', 'session_invalid', 'expired', 'login_required'];
+
+/**
+ * @typedef {Object} SessionHealth
+ * @property {string} state - One of HEALTH_STATES
+ * @property {number|null} expiresAt - Session cookie expiry (epoch ms), null for browser-session cookies
+ * @property {string|null} message - What the user should do, null when valid
+ * @property {string} checkedAt - ISO timestamp
+ */
+
+function healthMessage(platform, state, expiresAt) {
+  switch (state) {
+    case HEALTH_STATES.EXPIRING:
+      return `${platform.name} session expires ${new Date(expiresAt).toLocaleDateString()} - open ${platform.name} to renew it`;
+    case HEALTH_STATES.CHALLENGE_REQUIRED:
+      return `${platform.name} wants a security check - open ${platform.name} and complete it`;
+    case HEALTH_STATES.INVALID:
+      return `${platform.name} rejected this session - log in to ${platform.name} again`;
+    default:
+      return null;
+  }
+}
+
+function makeHealth(platform, state, expiresAt) {
+  return {
+    state,
+    expiresAt,
+    message: healthMessage(platform, state, expiresAt),
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Expiry of the platform's session cookie in a store (epoch ms), or null
+ * if it's a browser-session cookie or missing.
+ */
+export async function getSessionExpiry(platform, storeId) {
+  const cookie = await chrome.cookies.get({ url: platform.cookieUrl, name: platform.sessionCookie, storeId });
+  return cookie?.expirationDate ? Math.round(cookie.expirationDate * 1000) : null;
+}
+
+/**
+ * Pre-upload check: grade the session by its cookie expiry.
+ * @returns {SessionHealth}
+ */
+export function assessSession(platform, expiresAt, now = Date.now()) {
+  if (expiresAt && expiresAt <= now) {
+    return makeHealth(platform, HEALTH_STATES.INVALID, expiresAt);
+  }
+
+  const expiringMs = CONFIG.SESSION_EXPIRING_DAYS * 24 * 60 * 60 * 1000;
+  const state = expiresAt && expiresAt - now < expiringMs ? HEALTH_STATES.EXPIRING : HEALTH_STATES.VALID;
+  return makeHealth(platform, state, expiresAt);
+}
+
+/**
+ * Post-upload check: fold the backend's validation result into the
+ * pre-upload health. Unknown statuses keep the pre-upload grade.
+ * @returns {SessionHealth}
+ */
+export function applyBackendStatus(platform, health, backendStatus) {
+  if (BACKEND_CHALLENGE_STATUSES.includes(backendStatus)) {
+    return makeHealth(platform, HEALTH_STATES.CHALLENGE_REQUIRED, health.expiresAt);
+  }
+  if (BACKEND_INVALID_STATUSES.includes(backendStatus)) {
+    return makeHealth(platform, HEALTH_STATES.INVALID, health.expiresAt);
+  }
+  return health;
+}
+
+/**
+ * Alert the user when a session newly needs attention.
+ */
+export function notifyHealthChange(platform, previous, next) {
+  if (next.state === HEALTH_STATES.VALID || next.state === previous?.state) {
+    return;
+  }
+
+  return notify(NOTIFICATION_TYPES.SESSION_HEALTH, {
+    platformId: platform.id,
+    title: `DialogBrain - ${platform.name}`,
+    message: next.message,
+  });
+}
@@ -0,0 +1,234 @@
+/**
+ * DialogBrain Cookie Sync - Session Keepalive
+ *
+ * Platforms rotate their session cookies while they're used. A user who
+ * doesn't visit a platform for a while leaves DialogBrain holding cookies
+ * that only age until they expire. When enabled (`keepalive_enabled`), an
+ * hourly alarm checks every platform the user syncs and, if its cookies
+ * haven't been refreshed for the platform's interval or its session
+ * expires soon, makes one lightweight authenticated request to the
+ * platform so it rotates them. The cookie listener then syncs the new
+ * cookies like any other change.
+ *
+ * - intervals are per platform (`keepalive_intervals`, in hours)
+ * - nothing runs during quiet hours (`keepalive_quiet_hours`)
+ * - every run is recorded in a log shown on the options page
+ *
+ * The browser attaches cookies from the default store only, so only
+ * sessions in that store are kept alive.
+ */
+
+import { CONFIG } from './config.js';
+import { PLATFORMS } from './platforms.js';
+import { getSettings, loadSettings } from './settings.js';
+import { isSyncEnabled } from './consent.js';
+import { listCookieStores } from './cookie-stores.js';
+import { getSessionExpiry } from './health.js';
+import { isWithinHours } from './schedule.js';
+import { readCookies, hasSession } from './sync.js';
+import { log, describeError } from './logger.js';
+
+export const KEEPALIVE_ALARM = 'keepalive';
+
+// { platformId: { lastRefresh, lastRun } } (epoch ms)
+const STATE_KEY = 'keepalive_state';
+const LOG_KEY = 'keepalive_log';
+
+// Max log entries kept (oldest dropped first)
+export const KEEPALIVE_LOG_LIMIT = 50;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} KeepaliveEntry
+ * @property {string} at - ISO timestamp
+ * @property {string} platform - Platform id
+ * @property {string} reason - 'idle' | 'expiring'
+ * @property {string} result - 'ok' | 'failed'
+ * @property {number|null} httpStatus
+ * @property {string|null} error
+ */
+
+// Serialize read-modify-write cycles; cookie changes arrive in bursts
+let stateLock = Promise.resolve();
+
+function withStateLock(task) {
+  const run = stateLock.then(task);
+  stateLock = run.catch(() => {});
+  return run;
+}
+
+async function readState() {
+  const stored = await chrome.storage.local.get(STATE_KEY);
+  return stored[STATE_KEY] || {};
+}
+
+function updatePlatformState(platformId, patch) {
+  return withStateLock(async () => {
+    const state = await readState();
+    state[platformId] = { ...state[platformId], ...patch };
+    await chrome.storage.local.set({ [STATE_KEY]: state });
+  });
+}
+
+// =============================================================================
+// Policy
+// =============================================================================
+
+/**
+ * Hours between keepalives for a platform.
+ */
+export function getKeepaliveInterval(platformId, settings = getSettings()) {
+  const hours = Number(settings.keepalive_intervals?.[platformId]);
+  return hours > 0 ? hours : CONFIG.KEEPALIVE_DEFAULT_HOURS;
+}
+
+/**
+ * Whether a time falls within quiet hours. No quiet hours: never quiet.
+ */
+export function isQuietTime(quietHours, date = new Date()) {
+  return isWithinHours(quietHours, date);
+}
+
+/**
+ * Why a platform's session needs a keepalive now ('expiring' or 'idle'),
+ * or null. A platform is kept alive at most once per interval.
+ */
+function getKeepaliveReason(platform, { lastRefresh, lastRun }, expiresAt, now) {
+  const intervalMs = getKeepaliveInterval(platform.id) * HOUR_MS;
+
+  if (lastRun && now - lastRun < intervalMs) {
+    return null;
+  }
+  if (expiresAt && expiresAt - now < CONFIG.SESSION_EXPIRING_DAYS * 24 * HOUR_MS) {
+    return 'expiring';
+  }
+  if (lastRefresh && now - lastRefresh >= intervalMs) {
+    return 'idle';
+  }
+  return null;
+}
+
+// =============================================================================
+// Scheduler
+// =============================================================================
+
+/**
+ * Create or clear the keepalive alarm.
+ * An existing alarm is left alone so worker restarts don't reset its timer.
+ */
+export async function scheduleKeepalive(enabled) {
+  if (!enabled) {
+    if (await chrome.alarms.clear(KEEPALIVE_ALARM)) {
+      log.info('Session keepalive disabled');
+    }
+    return;
+  }
+
+  if (!(await chrome.alarms.get(KEEPALIVE_ALARM))) {
+    chrome.alarms.create(KEEPALIVE_ALARM, { periodInMinutes: CONFIG.KEEPALIVE_CHECK_MINUTES });
+    log.info('Session keepalive enabled');
+  }
+}
+
+/**
+ * Remember that a platform's cookies were just refreshed in the default
+ * store (call from the cookie listener).
+ */
+export function noteCookieRefresh(platformId) {
+  return updatePlatformState(platformId, { lastRefresh: Date.now() });
+}
+
+/**
+ * Ask the platform for a page with the session's cookies, so it rotates them.
+ */
+async function pingPlatform(platform, reason) {
+  /** @type {KeepaliveEntry} */
+  const entry = { at: new Date().toISOString(), platform: platform.id, reason, result: 'failed', httpStatus: null, error: null };
+
+  try {
+    const response = await fetch(platform.keepaliveUrl, { credentials: 'include', cache: 'no-store' });
+    entry.httpStatus = response.status;
+    entry.result = response.ok ? 'ok' : 'failed';
+  } catch (error) {
+    entry.error = describeError(error);
+  }
+
+  log.info(`${platform.name} keepalive (${reason}): ${entry.result}${entry.httpStatus ? ` (HTTP ${entry.httpStatus})` : ''}`);
+  await recordKeepalive(entry);
+  return entry;
+}
+
+/**
+ * Check every platform and keep alive the sessions that need it.
+ * Must be wired from the KEEPALIVE_ALARM alarm.
+ *
+ * @returns {Promise<KeepaliveEntry[]>} The keepalives that ran
+ */
+export async function runKeepalive(now = Date.now()) {
+  await loadSettings();
+  const settings = getSettings();
+  if (!settings.keepalive_enabled) {
+    return [];
+  }
+  if (isQuietTime(settings.keepalive_quiet_hours, new Date(now))) {
+    log.debug('Quiet hours - keepalive postponed');
+    return [];
+  }
+
+  const store = (await listCookieStores()).find((candidate) => candidate.isDefault);
+  if (!store) {
+    return [];
+  }
+
+  const state = await readState();
+  const entries = [];
+
+  for (const platform of PLATFORMS) {
+    if (!isSyncEnabled(platform.id) || !hasSession(platform, await readCookies(platform, store.id))) {
+      continue;
+    }
+
+    const platformState = state[platform.id] || {};
+    if (!platformState.lastRefresh) {
+      // Not seen refreshed yet - start the clock now
+      await updatePlatformState(platform.id, { lastRefresh: now });
+    }
+
+    const reason = getKeepaliveReason(platform, platformState, await getSessionExpiry(platform, store.id), now);
+    if (reason) {
+      await updatePlatformState(platform.id, { lastRun: now });
+      entries.push(await pingPlatform(platform, reason));
+    }
+  }
+
+  return entries;
+}
+
+// =============================================================================
+// Log
+// =============================================================================
+
+let logLock = Promise.resolve();
+
+function recordKeepalive(entry) {
+  const run = logLock.then(async () => {
+    const entries = await readKeepaliveLog();
+    entries.push(entry);
+    if (entries.length > KEEPALIVE_LOG_LIMIT) {
+      entries.splice(0, entries.length - KEEPALIVE_LOG_LIMIT);
+    }
+    await chrome.storage.local.set({ [LOG_KEY]: entries });
+  });
+  logLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Recent keepalive runs, oldest first (usable from the options page).
+ * @returns {Promise<KeepaliveEntry[]>}
+ */
+export async function readKeepaliveLog() {
+  const stored = await chrome.storage.local.get(LOG_KEY);
+  return stored[LOG_KEY] || [];
+}
@@ -0,0 +1,119 @@
+/**
+ * DialogBrain Cookie Sync - Logger
+ *
+ * Every log line and every error message that leaves the sync pipeline
+ * (status, popup, web app, notifications) goes through redact():
+ * - values of known cookie and credential names are masked
+ *   ("sessionid=abc" -> "sessionid=[REDACTED]")
+ * - token-shaped strings are masked: bearer tokens, JWTs and long
+ *   opaque letter/digit runs - except UUIDs, which are account and
+ *   command ids
+ * - messages are capped in length
+ *
+ * So a stray error.message from fetch, or an error body echoed back by
+ * the backend, can't carry a secret anywhere. The log level is set on
+ * the options page (`log_level`).
+ */
+
+import { PLATFORMS } from './platforms.js';
+import { getSettings } from './settings.js';
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const LOG_PREFIX = '[DialogBrain]';
+
+export const REDACTED = '[REDACTED]';
+
+// Longest log line / stored error message kept
+const MAX_LOG_LENGTH = 1000;
+export const MAX_ERROR_LENGTH = 200;
+
+// Names whose values are secrets wherever they show up (name=value, "name": "value")
+const SECRET_NAMES = [
+  ...new Set(PLATFORMS.flatMap((platform) => [...platform.cookies, ...Object.values(platform.payload)])),
+  'token',
+  'access_token',
+  'accessToken',
+  'refresh_token',
+  'refreshToken',
+  'authorization',
+  'password',
+  'secret',
+  'signature',
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// name=value, name:value and "name": "value" - but not prose such as
+// "Rejected auth token: Invalid access token"
+const NAMED_VALUE_RE = new RegExp(
+  `(["']?\\b(?:${SECRET_NAMES.map(escapeRegExp).join('|')})\\b["']?(?:\\s*=\\s*|\\s*:\\s*(?=["'])|:))("[^"]*"|'[^']*'|[^\\s&;,"'}]+)`,
+  'gi'
+);
+const BEARER_RE = /\bBearer\s+[A-Za-z0-9._~+/=-]+/gi;
+const JWT_RE = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]*)?/g;
+// 24+ chars of token alphabet mixing letters and digits
+const OPAQUE_RE = /(?=[A-Za-z0-9_%+=-]*[A-Za-z])(?=[A-Za-z0-9_%+=-]*\d)[A-Za-z0-9_%+=-]{24,}/g;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Mask secrets in a string and cap its length.
+ */
+export function redact(text, maxLength = MAX_LOG_LENGTH) {
+  const masked = String(text)
+    .replace(BEARER_RE, `Bearer ${REDACTED}`)
+    .replace(JWT_RE, REDACTED)
+    .replace(NAMED_VALUE_RE, (match, name, value) => {
+      const quote = /^["']/.test(value) ? value[0] : '';
+      return `${name}${quote}${REDACTED}${quote}`;
+    })
+    .replace(OPAQUE_RE, (match) => (UUID_RE.test(match) ? match : REDACTED));
+  return truncate(masked, maxLength);
+}
+
+/**
+ * A redacted, length-capped message for an error (safe to store and show).
+ */
+export function describeError(error) {
+  return redact(error?.message ?? error, MAX_ERROR_LENGTH);
+}
+
+function formatArg(arg) {
+  if (arg instanceof Error) {
+    return `${arg.name}: ${arg.message}`;
+  }
+  if (typeof arg === 'object' && arg !== null) {
+    try {
+      return JSON.stringify(arg);
+    } catch {
+      return String(arg);
+    }
+  }
+  return String(arg);
+}
+
+function isEnabled(level) {
+  const configured = LOG_LEVELS.indexOf(getSettings().log_level);
+  return LOG_LEVELS.indexOf(level) <= (configured === -1 ? LOG_LEVELS.indexOf('info') : configured);
+}
+
+function write(level, args) {
+  if (!isEnabled(level)) {
+    return;
+  }
+  const method = level === 'debug' ? 'log' : level;
+  console[method](LOG_PREFIX, redact(args.map(formatArg).join(' ')));
+}
+
+export const log = {
+  error: (...args) => write('error', args),
+  warn: (...args) => write('warn', args),
+  info: (...args) => write('info', args),
+  debug: (...args) => write('debug', args),
+};
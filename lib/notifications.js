@@ -0,0 +1,130 @@
+/**
+ * DialogBrain Cookie Sync - Notifications
+ *
+ * Browser notifications for transitions the user has to act on. Each
+ * type can be turned off on the options page (`notification_types`),
+ * and repeats of the same type for the same platform are rate limited.
+ *
+ * Notification ids are `${type}:${platformId}` (platformId may be empty),
+ * so a click can be routed to the page that fixes the problem.
+ */
+
+import { CONFIG } from './config.js';
+import { loadSettings, getSettings } from './settings.js';
+import { getActiveEnvironment } from './environments.js';
+import { getPlatform } from './platforms.js';
+
+export const NOTIFICATION_TYPES = {
+  SESSION_LOST: 'session_lost',
+  SESSION_HEALTH: 'session_health',
+  AUTH_EXPIRED: 'auth_expired',
+  REPEATED_FAILURES: 'repeated_failures',
+};
+
+// When each notification (by id) was last shown
+const NOTIFICATION_LOG_KEY = 'notification_log';
+
+/**
+ * Whether the user wants notifications of a type (on unless turned off).
+ */
+export function isNotificationEnabled(type, settings = getSettings()) {
+  return settings.notification_types?.[type] ?? true;
+}
+
+function getNotificationId(type, platformId) {
+  return `${type}:${platformId || ''}`;
+}
+
+function parseNotificationId(notificationId) {
+  const at = notificationId.indexOf(':');
+  return at === -1
+    ? { type: notificationId, platformId: null }
+    : { type: notificationId.slice(0, at), platformId: notificationId.slice(at + 1) || null };
+}
+
+// Serialize read-modify-write cycles of the notification log
+let logLock = Promise.resolve();
+
+/**
+ * Record a notification as shown now. False if the same one was shown
+ * within CONFIG.NOTIFICATION_MIN_INTERVAL_MS.
+ */
+function claimNotification(notificationId) {
+  const run = logLock.then(async () => {
+    const stored = await chrome.storage.local.get(NOTIFICATION_LOG_KEY);
+    const log = stored[NOTIFICATION_LOG_KEY] || {};
+    const now = Date.now();
+
+    if (log[notificationId] && now - log[notificationId] < CONFIG.NOTIFICATION_MIN_INTERVAL_MS) {
+      return false;
+    }
+
+    log[notificationId] = now;
+    await chrome.storage.local.set({ [NOTIFICATION_LOG_KEY]: log });
+    return true;
+  });
+  logLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Show a notification unless its type is off or the same one was shown
+ * within CONFIG.NOTIFICATION_MIN_INTERVAL_MS.
+ *
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {{platformId?: string|null, title: string, message: string}} content
+ */
+export async function notify(type, { platformId = null, title, message }) {
+  if (!isNotificationEnabled(type)) {
+    return;
+  }
+
+  const notificationId = getNotificationId(type, platformId);
+  if (!(await claimNotification(notificationId))) {
+    return;
+  }
+
+  chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title,
+    message,
+  });
+}
+
+/**
+ * Take down a notification that no longer applies (e.g. after logging in again).
+ */
+export function clearNotification(type, platformId = null) {
+  return chrome.notifications.clear(getNotificationId(type, platformId));
+}
+
+/**
+ * Open whatever fixes the problem a clicked notification is about:
+ * the platform's login page, the environment's web app, or the options
+ * page. Must be wired from a chrome.notifications.onClicked listener.
+ */
+export async function handleNotificationClick(notificationId) {
+  const { type, platformId } = parseNotificationId(notificationId);
+  const platform = platformId ? getPlatform(platformId) : null;
+
+  switch (type) {
+    case NOTIFICATION_TYPES.SESSION_LOST:
+    case NOTIFICATION_TYPES.SESSION_HEALTH:
+      if (platform) {
+        chrome.tabs.create({ url: platform.loginUrl });
+      }
+      break;
+    case NOTIFICATION_TYPES.AUTH_EXPIRED:
+      await loadSettings();
+      chrome.tabs.create({ url: getActiveEnvironment().webAppUrl });
+      break;
+    case NOTIFICATION_TYPES.REPEATED_FAILURES:
+      chrome.runtime.openOptionsPage();
+      break;
+    default:
+      return;
+  }
+
+  chrome.notifications.clear(notificationId);
+}
@@ -0,0 +1,157 @@
+/**
+ * DialogBrain Cookie Sync - Platform Registry
+ *
+ * Declarative description of every platform the extension syncs.
+ * The sync pipeline, cookie listener, message handlers and popup cards
+ * are all driven from this list, so adding a platform means adding one
+ * descriptor here (plus its host permission in manifest.json).
+ *
+ * SECURITY: descriptors only name cookies - they never hold values.
+ *
+ * Only platforms whose web session lives in cookies can be listed.
+ * WhatsApp Web and Telegram Web are not supported: both keep their
+ * session in IndexedDB/localStorage, which chrome.cookies can neither
+ * read nor watch. Syncing them would need a content script on their
+ * pages and a different backend payload.
+ */
+
+/**
+ * @typedef {Object} PlatformDescriptor
+ * @property {string} id - Stable key used in storage, messages and API paths
+ * @property {string} name - Display name
+ * @property {string} icon - Icon path, relative to the extension root
+ * @property {string} loginUrl - Where to send the user to log in
+ * @property {string} cookieUrl - URL the cookies are read from
+ * @property {string} cookieDomain - Domain whose cookie changes we listen to
+ * @property {string[]} cookies - Cookie names to read
+ * @property {string} sessionCookie - Cookie whose presence marks a live session
+ * @property {Object<string, string>} payload - Cookie name -> payload field name
+ * @property {{connect: string, sync: string, disconnect: string}} endpoints - API paths; `{accountId}` is substituted
+ * @property {IdentitySpec} identity - How to tell which platform user is logged in
+ * @property {string} keepaliveUrl - Page requested to make the platform rotate idle session cookies (see keepalive.js)
+ * @property {string} accountIdKey - Legacy single-account storage key (migrated by accounts.js)
+ */
+
+/**
+ * Either read from a cookie, or looked up from the platform with the
+ * session's own cookies (see accounts.js).
+ *
+ * @typedef {Object} IdentitySpec
+ * @property {string} [cookie] - Cookie holding the platform user id
+ * @property {RegExp} [pattern] - Extracts the id (first group) from the cookie value
+ * @property {string} [url] - Authenticated endpoint returning the user as JSON
+ * @property {string} [csrfCookie] - Cookie whose value is sent as the csrf-token header
+ * @property {string} [field] - JSON field of the lookup response holding the id
+ */
+
+/**
+ * Fill in the conventional defaults for a descriptor.
+ * Every field can be overridden by the descriptor itself.
+ *
+ * @param {Object} descriptor
+ * @returns {PlatformDescriptor}
+ */
+function definePlatform(descriptor) {
+  const { id, cookies, cookieUrl } = descriptor;
+
+  return Object.freeze({
+    payload: Object.fromEntries(cookies.map((name) => [name, name])),
+    keepaliveUrl: `${cookieUrl}/`,
+    endpoints: {
+      connect: `/api/channels/${id}/accounts/connect/cookie`,
+      sync: `/api/channels/${id}/accounts/{accountId}/sync-cookie`,
+      disconnect: `/api/channels/${id}/accounts/{accountId}/disconnect`,
+    },
+    accountIdKey: `${id}_account_id`,
+    ...descriptor,
+  });
+}
+
+// =============================================================================
+// Registry
+// =============================================================================
+
+/** @type {PlatformDescriptor[]} */
+export const PLATFORMS = [
+  definePlatform({
+    id: 'instagram',
+    name: 'Instagram',
+    icon: 'icons/platforms/instagram.svg',
+    loginUrl: 'https://www.instagram.com/accounts/login/',
+    cookieUrl: 'https://www.instagram.com',
+    cookieDomain: 'instagram.com',
+    cookies: ['sessionid', 'csrftoken', 'ds_user_id', 'mid'],
+    sessionCookie: 'sessionid',
+    identity: { cookie: 'ds_user_id' },
+  }),
+
+  definePlatform({
+    id: 'linkedin',
+    name: 'LinkedIn',
+    icon: 'icons/platforms/linkedin.svg',
+    loginUrl: 'https://www.linkedin.com/login',
+    cookieUrl: 'https://www.linkedin.com',
+    cookieDomain: 'linkedin.com',
+    cookies: ['li_at', 'li_a', 'JSESSIONID'],
+    sessionCookie: 'li_at',
+    payload: { li_at: 'li_at', li_a: 'li_a', JSESSIONID: 'jsessionid' },
+    // No cookie carries the member id, so ask LinkedIn who is logged in
+    identity: {
+      url: 'https://www.linkedin.com/voyager/api/me',
+      csrfCookie: 'JSESSIONID',
+      field: 'plainId',
+    },
+  }),
+
+  definePlatform({
+    id: 'twitter',
+    name: 'X (Twitter)',
+    icon: 'icons/platforms/twitter.svg',
+    loginUrl: 'https://x.com/i/flow/login',
+    cookieUrl: 'https://x.com',
+    cookieDomain: 'x.com',
+    cookies: ['auth_token', 'ct0', 'twid'],
+    sessionCookie: 'auth_token',
+    identity: { cookie: 'twid', pattern: /u(?:=|%3D)(\d+)/ },
+  }),
+
+  definePlatform({
+    id: 'facebook',
+    name: 'Facebook Messenger',
+    icon: 'icons/platforms/facebook.svg',
+    loginUrl: 'https://www.facebook.com/login/',
+    cookieUrl: 'https://www.facebook.com',
+    cookieDomain: 'facebook.com',
+    cookies: ['c_user', 'xs', 'fr'],
+    sessionCookie: 'xs',
+    identity: { cookie: 'c_user' },
+  }),
+];
+
+// =============================================================================
+// Lookups
+// =============================================================================
+
+export function getPlatform(id) {
+  return PLATFORMS.find((platform) => platform.id === id) || null;
+}
+
+/**
+ * Find the platform a changed cookie belongs to.
+ * Returns null for cookies we don't track.
+ */
+export function getPlatformForCookie(cookie) {
+  const domain = cookie.domain.replace(/^\./, '');
+
+  return PLATFORMS.find((platform) =>
+    (domain === platform.cookieDomain || domain.endsWith(`.${platform.cookieDomain}`)) &&
+    platform.cookies.includes(cookie.name)
+  ) || null;
+}
+
+/**
+ * Build the API path for a platform endpoint ('connect', 'sync' or 'disconnect').
+ */
+export function getEndpointPath(platform, kind, accountId) {
+  return platform.endpoints[kind].replace('{accountId}', encodeURIComponent(accountId ?? ''));
+}
@@ -0,0 +1,146 @@
+/**
+ * DialogBrain Cookie Sync - Managed Policy
+ *
+ * IT administrators can lock settings for every user of a managed
+ * browser. Chrome reads the policy from chrome.storage.managed (schema in
+ * managed_schema.json); Firefox reads the same keys from the extension's
+ * "3rdparty" section in policies.json.
+ *
+ * - api_url: DialogBrain API base URL (locks the environment)
+ * - allowed_platforms: platform ids that may sync; others never do
+ * - force_auto_sync: keep cookie-change and periodic sync on
+ * - sync_interval_hours: hours between periodic syncs of every platform
+ *   (keeps them on)
+ * - allowed_origins: the built-in web app origins still allowed to
+ *   message the extension; users can't add their own
+ * - disable_logout: users can't disconnect their DialogBrain account
+ *
+ * Policy values win over the user's settings: settings.js applies them
+ * to every settings object and keeps the normalized policy as
+ * `settings.policy`. Locked settings are shown disabled on the options
+ * page.
+ */
+
+import { getSettings } from './settings.js';
+import { PLATFORMS, getPlatform } from './platforms.js';
+import { ENVIRONMENTS, normalizeApiUrl } from './environments.js';
+import { normalizeOrigin } from './external.js';
+
+/**
+ * @typedef {Object} Policy
+ * @property {string} [api_url]
+ * @property {string[]} [allowed_platforms]
+ * @property {boolean} [force_auto_sync]
+ * @property {number} [sync_interval_hours]
+ * @property {string[]} [allowed_origins]
+ * @property {boolean} [disable_logout]
+ */
+
+export const POLICY_KEYS = [
+  'api_url',
+  'allowed_platforms',
+  'force_auto_sync',
+  'sync_interval_hours',
+  'allowed_origins',
+  'disable_logout',
+];
+
+// Longest periodic sync interval accepted (a week)
+const MAX_SYNC_INTERVAL_HOURS = 168;
+
+/**
+ * Keep the well-formed policy values; anything else is ignored (Firefox
+ * doesn't enforce the schema).
+ * @returns {Policy}
+ */
+export function normalizePolicy(managed = {}) {
+  const policy = {};
+
+  if (typeof managed.api_url === 'string' && normalizeApiUrl(managed.api_url)) {
+    policy.api_url = normalizeApiUrl(managed.api_url);
+  }
+  if (Array.isArray(managed.allowed_platforms)) {
+    policy.allowed_platforms = managed.allowed_platforms.filter((id) => typeof id === 'string' && getPlatform(id));
+  }
+  if (typeof managed.force_auto_sync === 'boolean') {
+    policy.force_auto_sync = managed.force_auto_sync;
+  }
+  if (Number.isInteger(managed.sync_interval_hours) &&
+      managed.sync_interval_hours >= 1 && managed.sync_interval_hours <= MAX_SYNC_INTERVAL_HOURS) {
+    policy.sync_interval_hours = managed.sync_interval_hours;
+  }
+  if (Array.isArray(managed.allowed_origins)) {
+    policy.allowed_origins = [...new Set(managed.allowed_origins.map(normalizeOrigin).filter(Boolean))];
+  }
+  if (typeof managed.disable_logout === 'boolean') {
+    policy.disable_logout = managed.disable_logout;
+  }
+
+  return policy;
+}
+
+/**
+ * The policy from managed storage ({} when there is none - Firefox
+ * throws without one).
+ * @returns {Promise<Policy>}
+ */
+export async function readPolicy() {
+  try {
+    return normalizePolicy(await chrome.storage.managed.get(POLICY_KEYS));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * The settings a policy locks, with the values it locks them to.
+ */
+function getPolicyOverrides(policy) {
+  const overrides = {};
+
+  if (policy.api_url) {
+    const environment = ENVIRONMENTS.find((candidate) => candidate.apiUrl === policy.api_url);
+    overrides.environment = environment ? environment.id : 'custom';
+    overrides.custom_api_url = environment ? '' : policy.api_url;
+  }
+  if (policy.force_auto_sync) {
+    overrides.auto_sync_enabled = true;
+    overrides.periodic_sync_enabled = true;
+  }
+  if (policy.sync_interval_hours) {
+    overrides.periodic_sync_enabled = true;
+    overrides.sync_intervals = Object.fromEntries(PLATFORMS.map((platform) => [platform.id, policy.sync_interval_hours]));
+  }
+  if (policy.allowed_origins) {
+    // external.js narrows the built-in origins to the policy's
+    overrides.extra_allowed_origins = [];
+  }
+
+  return overrides;
+}
+
+/**
+ * Settings with the policy applied (see settings.js).
+ */
+export function applyPolicy(settings, policy) {
+  return { ...settings, ...getPolicyOverrides(policy), policy };
+}
+
+/**
+ * Setting keys locked by the administrator.
+ */
+export function getLockedSettings(settings = getSettings()) {
+  return Object.keys(getPolicyOverrides(settings.policy || {}));
+}
+
+/**
+ * Whether the administrator lets a platform sync at all.
+ */
+export function isPlatformAllowed(platformId, settings = getSettings()) {
+  const allowed = settings.policy?.allowed_platforms;
+  return !allowed || allowed.includes(platformId);
+}
+
+export function isLogoutDisabled(settings = getSettings()) {
+  return settings.policy?.disable_logout === true;
+}
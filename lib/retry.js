@@ -0,0 +1,198 @@
+/**
+ * DialogBrain Cookie Sync - Retry Queue
+ *
+ * Failed syncs are queued per session (platform + cookie store, see
+ * cookie-stores.js) and retried with jittered
+ * exponential backoff. Retries are driven by chrome.alarms because
+ * setTimeout doesn't survive service worker suspension, and the queue
+ * lives in chrome.storage.local for the same reason.
+ *
+ * While the browser is offline no retry is scheduled; sessions wait for
+ * the worker to see an 'online' event. The worker is usually stopped
+ * while offline and isn't reliably woken by that event, so an alarm
+ * (OFFLINE_ALARM) checks for the network while any session waits.
+ */
+
+import { CONFIG } from './config.js';
+
+const QUEUE_KEY = 'retry_queue';
+
+// Alarm names are `${RETRY_ALARM_PREFIX}${sessionKey}`
+export const RETRY_ALARM_PREFIX = 'retry:';
+
+// Set while sessions wait for the network (see getWaitingSessions)
+export const OFFLINE_ALARM = 'offlineRetry';
+
+// Longest Retry-After we honor, so a bad header can't park a platform for days
+const MAX_RETRY_AFTER_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} RetryEntry
+ * @property {number} attempts - Consecutive failures so far
+ * @property {number|null} nextAttemptAt - Epoch ms, null while waiting for network
+ * @property {number|null} httpStatus - Status of the last failure (null = network error)
+ */
+
+// =============================================================================
+// Policy
+// =============================================================================
+
+/**
+ * Whether a failure is worth retrying.
+ * Network errors, timeouts, rate limits and server errors are transient;
+ * other 4xx responses (auth errors in particular) won't fix themselves.
+ */
+export function isRetryable(httpStatus) {
+  if (httpStatus == null) return true;
+  return httpStatus === 408 || httpStatus === 429 || httpStatus >= 500;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds.
+ * Returns null when absent or unparseable.
+ */
+export function parseRetryAfter(header, now = Date.now()) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  const delayMs = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - now;
+
+  if (!Number.isFinite(delayMs)) return null;
+  return Math.min(Math.max(delayMs, 0), MAX_RETRY_AFTER_MS);
+}
+
+/**
+ * Jittered exponential backoff: half the capped delay plus a random half,
+ * so installs that failed together don't retry together.
+ */
+export function getBackoffDelay(attempts) {
+  const capped = Math.min(CONFIG.RETRY_BASE_MS * 2 ** (attempts - 1), CONFIG.RETRY_MAX_MS);
+  return Math.round(capped / 2 + Math.random() * (capped / 2));
+}
+
+// =============================================================================
+// Queue
+// =============================================================================
+
+async function readQueue() {
+  const stored = await chrome.storage.local.get(QUEUE_KEY);
+  return stored[QUEUE_KEY] || {};
+}
+
+// Serialize read-modify-write cycles; syncAll() fails platforms in parallel
+let queueLock = Promise.resolve();
+
+/**
+ * Run mutate(queue) against the stored queue and save the result.
+ * Resolves with whatever mutate returns.
+ */
+function updateQueue(mutate) {
+  const run = queueLock.then(async () => {
+    const queue = await readQueue();
+    const result = mutate(queue);
+    await chrome.storage.local.set({ [QUEUE_KEY]: queue });
+    return result;
+  });
+  queueLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Queue a retry after a failed sync.
+ *
+ * @param {string} sessionKey
+ * @param {{httpStatus: number|null, retryAfter: string|null}} failure
+ * @returns {Promise<RetryEntry|null>} The queued entry, or null if we gave up
+ */
+export async function scheduleRetry(sessionKey, { httpStatus = null, retryAfter = null } = {}) {
+  const entry = await updateQueue((queue) => {
+    const attempts = (queue[sessionKey]?.attempts || 0) + 1;
+
+    if (!isRetryable(httpStatus) || attempts > CONFIG.RETRY_MAX_ATTEMPTS) {
+      delete queue[sessionKey];
+      return null;
+    }
+
+    let nextAttemptAt = null;
+    if (navigator.onLine !== false) {
+      const honorRetryAfter = httpStatus === 429 || httpStatus === 503;
+      const retryAfterMs = honorRetryAfter ? parseRetryAfter(retryAfter) : null;
+      nextAttemptAt = Date.now() + (retryAfterMs ?? getBackoffDelay(attempts));
+    }
+
+    queue[sessionKey] = { attempts, nextAttemptAt, httpStatus };
+    return queue[sessionKey];
+  });
+
+  const alarmName = `${RETRY_ALARM_PREFIX}${sessionKey}`;
+  if (entry?.nextAttemptAt) {
+    chrome.alarms.create(alarmName, { when: entry.nextAttemptAt });
+  } else {
+    await chrome.alarms.clear(alarmName);
+  }
+  await updateOfflineAlarm();
+
+  return entry;
+}
+
+/**
+ * Drop a session from the queue (after a success or a permanent failure).
+ */
+export async function clearRetry(sessionKey) {
+  await chrome.alarms.clear(`${RETRY_ALARM_PREFIX}${sessionKey}`);
+  await updateQueue((queue) => {
+    delete queue[sessionKey];
+  });
+  await updateOfflineAlarm();
+}
+
+/**
+ * Drop every queued retry (e.g. on logout).
+ */
+export async function clearAllRetries() {
+  const sessionKeys = await updateQueue((queue) => {
+    const keys = Object.keys(queue);
+    for (const key of keys) {
+      delete queue[key];
+    }
+    return keys;
+  });
+  await Promise.all(sessionKeys.map((key) => chrome.alarms.clear(`${RETRY_ALARM_PREFIX}${key}`)));
+  await updateOfflineAlarm();
+}
+
+/**
+ * Session keys currently queued for a retry.
+ */
+export async function getQueuedSessions() {
+  return Object.keys(await readQueue());
+}
+
+/**
+ * Session keys queued while offline (no alarm scheduled yet).
+ */
+export async function getWaitingSessions() {
+  const queue = await readQueue();
+  return Object.keys(queue).filter((sessionKey) => queue[sessionKey].nextAttemptAt == null);
+}
+
+/**
+ * Keep OFFLINE_ALARM set exactly while sessions wait for the network.
+ * An alarm already set is left alone so it keeps its period.
+ */
+async function updateOfflineAlarm() {
+  if ((await getWaitingSessions()).length === 0) {
+    await chrome.alarms.clear(OFFLINE_ALARM);
+  } else if (!(await chrome.alarms.get(OFFLINE_ALARM))) {
+    chrome.alarms.create(OFFLINE_ALARM, { periodInMinutes: CONFIG.OFFLINE_RECHECK_MINUTES });
+  }
+}
+
+/**
+ * Session key for a retry alarm, or null if the alarm isn't one of ours.
+ */
+export function getRetryAlarmSession(alarmName) {
+  return alarmName.startsWith(RETRY_ALARM_PREFIX)
+    ? alarmName.slice(RETRY_ALARM_PREFIX.length)
+    : null;
+}
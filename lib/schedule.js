@@ -0,0 +1,253 @@
+/**
+ * DialogBrain Cookie Sync - Sync Schedule
+ *
+ * Cookie changes sync a platform once they settle, and a periodic sync
+ * catches whatever they missed. Both are set per platform:
+ *
+ * - sync_intervals: hours between periodic syncs (the policy's
+ *   sync_interval_hours locks it, see policy.js)
+ * - sync_debounce_seconds: how long cookie changes must settle
+ * - sync_hours: { mode, start, end } ("HH:MM", local time; may wrap past
+ *   midnight) - with mode 'quiet' nothing syncs on its own between start
+ *   and end, with mode 'working' only then. Cookie changes outside sync
+ *   hours are synced when they begin, and recorded as cookie changes.
+ *   Manual, web app and backend requests always sync.
+ *
+ * Each platform has its own one-shot alarm (`sync:<platformId>`), set
+ * again after every run. Scheduled times are jittered so installs that
+ * share a schedule don't all call the API at the same moment.
+ */
+
+import { CONFIG } from './config.js';
+import { PLATFORMS, getPlatform } from './platforms.js';
+import { getSettings, loadSettings } from './settings.js';
+import { isSyncEnabled } from './consent.js';
+import { TRIGGERS } from './status-store.js';
+import { syncPlatform } from './sync.js';
+import { log } from './logger.js';
+
+const SYNC_ALARM_PREFIX = 'sync:';
+
+// Single alarm for every platform, used before schedules were per platform
+const LEGACY_ALARM = 'fallbackSync';
+
+export const SYNC_HOURS_MODES = ['quiet', 'working'];
+
+// Platform id -> trigger of a sync deferred to sync hours, recorded when
+// the platform's alarm runs it
+const DEFERRED_KEY = 'deferred_syncs';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export function getSyncAlarmName(platformId) {
+  return `${SYNC_ALARM_PREFIX}${platformId}`;
+}
+
+/**
+ * Platform id for a sync alarm, or null if the alarm isn't one of ours.
+ */
+export function getSyncAlarmPlatform(alarmName) {
+  return alarmName.startsWith(SYNC_ALARM_PREFIX)
+    ? alarmName.slice(SYNC_ALARM_PREFIX.length)
+    : null;
+}
+
+// =============================================================================
+// Settings
+// =============================================================================
+
+/**
+ * Hours between periodic syncs of a platform.
+ */
+export function getSyncInterval(platformId, settings = getSettings()) {
+  const hours = Number(settings.sync_intervals?.[platformId]);
+  return hours > 0 ? hours : CONFIG.FALLBACK_SYNC_HOURS;
+}
+
+/**
+ * How long a platform's cookie changes must settle before they sync.
+ */
+export function getDebounceMs(platformId, settings = getSettings()) {
+  const seconds = Number(settings.sync_debounce_seconds?.[platformId]);
+  return seconds > 0 ? seconds * 1000 : CONFIG.DEBOUNCE_MS;
+}
+
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether a time falls within { start, end } ("HH:MM", local time; may
+ * wrap past midnight). No range: never.
+ */
+export function isWithinHours(hours, date = new Date()) {
+  if (!hours?.start || !hours?.end) {
+    return false;
+  }
+
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = minutesOfDay(hours.start);
+  const end = minutesOfDay(hours.end);
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+// Sync hours, or null when syncs may run any time
+function getSyncHours(settings) {
+  const hours = settings.sync_hours;
+  if (!SYNC_HOURS_MODES.includes(hours?.mode) || !hours.start || !hours.end || hours.start === hours.end) {
+    return null;
+  }
+  return hours;
+}
+
+/**
+ * Whether automatic syncs may run at a given time.
+ */
+export function isSyncTime(date = new Date(), settings = getSettings()) {
+  const hours = getSyncHours(settings);
+  if (!hours) {
+    return true;
+  }
+  return hours.mode === 'working' ? isWithinHours(hours, date) : !isWithinHours(hours, date);
+}
+
+/**
+ * The first time, from `date` on, at which automatic syncs may run.
+ */
+export function getNextSyncTime(date = new Date(), settings = getSettings()) {
+  if (isSyncTime(date, settings)) {
+    return date;
+  }
+
+  // Outside sync hours: they begin when quiet hours end, or working hours start
+  const hours = getSyncHours(settings);
+  const [hour, minute] = (hours.mode === 'working' ? hours.start : hours.end).split(':').map(Number);
+  const next = new Date(date);
+  next.setHours(hour, minute, 0, 0);
+  if (next < date) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+}
+
+function withJitter(time) {
+  return time + Math.floor(Math.random() * CONFIG.SYNC_JITTER_MINUTES * 60 * 1000);
+}
+
+// =============================================================================
+// Alarms
+// =============================================================================
+
+/**
+ * Set, or clear, a platform's periodic sync alarm.
+ * An existing alarm is left alone so worker restarts don't reset its
+ * timer, unless `reschedule`.
+ */
+async function schedulePlatform(platform, { reschedule }) {
+  const name = getSyncAlarmName(platform.id);
+  const settings = getSettings();
+
+  if (!settings.periodic_sync_enabled || !isSyncEnabled(platform.id, settings)) {
+    await chrome.alarms.clear(name);
+    return;
+  }
+  if (!reschedule && (await chrome.alarms.get(name))) {
+    return;
+  }
+
+  const due = new Date(Date.now() + getSyncInterval(platform.id, settings) * HOUR_MS);
+  chrome.alarms.create(name, { when: withJitter(getNextSyncTime(due, settings).getTime()) });
+}
+
+/**
+ * Bring every platform's alarm in line with the settings. Pass
+ * `reschedule` when intervals or sync hours changed, to move alarms that
+ * are already set.
+ */
+export async function applySchedule({ reschedule = false } = {}) {
+  await loadSettings();
+  await Promise.all(PLATFORMS.map((platform) => schedulePlatform(platform, { reschedule })));
+
+  const settings = getSettings();
+  if (reschedule && settings.periodic_sync_enabled) {
+    const intervals = PLATFORMS.map((platform) => `${platform.name} every ${getSyncInterval(platform.id, settings)}h`);
+    log.info(`Periodic sync scheduled: ${intervals.join(', ')}`);
+  }
+}
+
+/**
+ * Set up the alarms when the worker starts.
+ */
+export async function initSchedule() {
+  await chrome.alarms.clear(LEGACY_ALARM);
+  await applySchedule();
+}
+
+// Serialize read-modify-write cycles of the deferred triggers
+let deferredLock = Promise.resolve();
+
+/**
+ * Change the deferred triggers; resolves to what `update` returns.
+ */
+function updateDeferred(update) {
+  const run = deferredLock.then(async () => {
+    const stored = await chrome.storage.local.get(DEFERRED_KEY);
+    const deferred = stored[DEFERRED_KEY] || {};
+    const result = update(deferred);
+    await chrome.storage.local.set({ [DEFERRED_KEY]: deferred });
+    return result;
+  });
+  deferredLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * A sync outside sync hours: run it when they begin, unless the
+ * platform's alarm fires before then anyway. The `trigger` (e.g. a
+ * cookie change) is recorded for that run instead of 'alarm'; without
+ * one, a trigger deferred earlier is kept.
+ */
+export async function deferSync(platformId, { trigger = null } = {}) {
+  await loadSettings();
+  if (trigger) {
+    await updateDeferred((deferred) => { deferred[platformId] = trigger; });
+  }
+
+  const name = getSyncAlarmName(platformId);
+  const when = withJitter(getNextSyncTime().getTime());
+
+  const alarm = await chrome.alarms.get(name);
+  if (!alarm || alarm.scheduledTime > when) {
+    chrome.alarms.create(name, { when });
+    log.debug(`${getPlatform(platformId).name} sync deferred to ${new Date(when).toLocaleString()}`);
+  }
+}
+
+/**
+ * Sync a platform whose alarm fired, and set the alarm again.
+ * Must be wired from the platforms' sync alarms.
+ *
+ * @returns {Promise<import('./status-store.js').PlatformStatus|null>} Null
+ *   if it's outside sync hours (the sync is deferred)
+ */
+export async function runScheduledSync(platformId) {
+  const platform = getPlatform(platformId);
+  await loadSettings();
+
+  // The browser may have slept through the scheduled time into quiet hours
+  if (!isSyncTime()) {
+    await deferSync(platformId);
+    return null;
+  }
+
+  const deferredTrigger = await updateDeferred((deferred) => {
+    const trigger = deferred[platformId];
+    delete deferred[platformId];
+    return trigger;
+  });
+
+  await schedulePlatform(platform, { reschedule: true });
+  log.info(`Running ${deferredTrigger ? 'deferred' : 'periodic'} ${platform.name} sync`);
+  return syncPlatform(platform.id, deferredTrigger || TRIGGERS.ALARM);
+}
@@ -0,0 +1,150 @@
+/**
+ * DialogBrain Cookie Sync - Session Lifecycle
+ *
+ * Detects when a platform session has ended (logout, expiry, eviction)
+ * and tells the backend to stop using the stale cookies for that account.
+ * Sessions the user no longer consents to syncing (see consent.js) are
+ * revoked the same way, asking the backend to delete them.
+ */
+
+import { getApiUrl } from './config.js';
+import { getEndpointPath } from './platforms.js';
+import { TRIGGERS, getStoredStatus, updateStatus, recordHistory } from './status-store.js';
+import { clearRetry } from './retry.js';
+import { clearFingerprints } from './fingerprint.js';
+import { getSessionKey } from './cookie-stores.js';
+import { authorizedFetch } from './auth.js';
+import { NOTIFICATION_TYPES, notify } from './notifications.js';
+import { log } from './logger.js';
+
+// chrome.cookies.onChanged causes that mean the cookie is really gone.
+// 'overwrite' is excluded: the old value is removed right before the new
+// one is set, so the session is still alive.
+export const SESSION_END_CAUSES = ['explicit', 'expired', 'evicted', 'expired_overwrite'];
+
+// Cause recorded when a sync finds the session cookie missing without
+// having seen it being removed (e.g. cleared while the browser was closed)
+export const CAUSE_MISSING = 'missing';
+
+// Reasons sent when the user withdraws a session (see consent.js), the
+// administrator's policy blocks its platform (see policy.js), or the
+// backend asked for it (see commands.js)
+export const REVOKE_REASONS = {
+  CONSENT_REVOKED: 'consent_revoked',
+  OPTED_OUT: 'opted_out',
+  BLOCKED_BY_POLICY: 'blocked_by_policy',
+  BACKEND_REQUEST: 'backend_request',
+};
+
+/**
+ * Ask the backend to drop an account's session.
+ * Returns the HTTP status, or null if no request got through.
+ */
+async function disconnectAccount(platform, accountId, reason) {
+  try {
+    const response = await authorizedFetch(`${getApiUrl()}${getEndpointPath(platform, 'disconnect', accountId)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason }),
+    });
+
+    if (!response) {
+      log.error(`${platform.name} disconnect skipped - not logged in to DialogBrain`);
+    } else if (!response.ok) {
+      log.error(`${platform.name} disconnect failed: ${response.status}`);
+    }
+    return response?.status ?? null;
+  } catch (error) {
+    log.error(`${platform.name} disconnect error:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Whether a cookie change removed the platform's session cookie.
+ * Returns the removal cause, or null.
+ */
+export function getSessionEndCause(platform, changeInfo) {
+  const { cookie, removed, cause } = changeInfo;
+
+  if (!removed || cookie.name !== platform.sessionCookie) {
+    return null;
+  }
+  return SESSION_END_CAUSES.includes(cause) ? cause : null;
+}
+
+/**
+ * Mark a platform session as ended and ask the backend to invalidate it.
+ *
+ * @param {import('./platforms.js').PlatformDescriptor} platform
+ * @param {{accountId: string, identity: string|null, store: import('./cookie-stores.js').CookieStore, cause: string, trigger: string}} details
+ */
+export async function endSession(platform, { accountId, identity = null, store, cause, trigger = TRIGGERS.COOKIE_CHANGE }) {
+  const where = store.incognito ? ' (incognito)' : '';
+  log.info(`${platform.name}${where} session ended (${cause}) - disconnecting account`);
+
+  // Nothing left to retry, and the next login must upload even if the
+  // cookies happen to match what we sent before
+  await clearRetry(getSessionKey(platform.id, store.id));
+  await clearFingerprints(platform.id);
+
+  const httpStatus = await disconnectAccount(platform, accountId, cause);
+
+  await recordHistory(platform.id, { trigger, result: 'session_ended', httpStatus });
+  await notify(NOTIFICATION_TYPES.SESSION_LOST, {
+    platformId: platform.id,
+    title: `DialogBrain - ${platform.name}`,
+    message: `Your ${platform.name}${where} session ended. Log in to ${platform.name} again to resume syncing.`,
+  });
+  return updateStatus(platform.id, {
+    error: null,
+    status: 'session_ended',
+    sessionEnded: { at: new Date().toISOString(), cause },
+    retry: null,
+    health: null,
+  }, { identity, store });
+}
+
+// One revocation per platform at a time: settings changes in quick
+// succession must not disconnect the same account twice
+const revocations = {};
+
+/**
+ * Delete every session of a platform stored on the backend, because the
+ * user opted the platform out or revoked consent, the policy blocks it,
+ * or the backend asked for it. Accounts stay mapped, so opting in again
+ * resumes syncing into the same accounts.
+ *
+ * @param {import('./platforms.js').PlatformDescriptor} platform
+ * @param {string} reason - One of REVOKE_REASONS
+ * @param {{accountId?: string|null, trigger?: string}} [options] - Only
+ *   this account's session; trigger recorded in the history
+ */
+export function revokeSessions(platform, reason, { accountId = null, trigger = TRIGGERS.SETTINGS } = {}) {
+  const run = (revocations[platform.id] || Promise.resolve())
+    .then(() => revokeLiveSessions(platform, reason, { accountId, trigger }));
+  revocations[platform.id] = run.catch(() => {});
+  return run;
+}
+
+async function revokeLiveSessions(platform, reason, { accountId, trigger }) {
+  const status = await getStoredStatus(platform.id);
+  const live = Object.entries(status.accounts)
+    .filter(([, account]) => account.accountId && !account.sessionEnded && account.status !== 'revoked')
+    .filter(([, account]) => !accountId || account.accountId === accountId);
+  if (live.length === 0) {
+    return;
+  }
+
+  log.info(`${platform.name} sync withdrawn (${reason}) - deleting ${live.length} stored session(s)`);
+  await clearFingerprints(platform.id);
+
+  for (const [identity, account] of live) {
+    if (account.storeId) {
+      await clearRetry(getSessionKey(platform.id, account.storeId));
+    }
+    const httpStatus = await disconnectAccount(platform, account.accountId, reason);
+    await recordHistory(platform.id, { trigger, result: 'revoked', httpStatus });
+    await updateStatus(platform.id, { error: null, status: 'revoked', retry: null, health: null }, { identity });
+  }
+}
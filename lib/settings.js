@@ -0,0 +1,179 @@
+/**
+ * DialogBrain Cookie Sync - Settings
+ *
+ * User settings saved by the options page in chrome.storage.local,
+ * overridden by the administrator's policy where one is set (see
+ * policy.js). The background worker keeps an in-memory copy that is
+ * loaded on startup and kept current through chrome.storage.onChanged,
+ * so toggles and policy updates take effect without reloading the
+ * extension. Pages that use modules reading the copy (e.g. through
+ * per-environment storage keys, see environments.js) keep it current
+ * the same way.
+ */
+
+import { readPolicy, normalizePolicy, applyPolicy } from './policy.js';
+
+// Storage key -> default value
+export const DEFAULT_SETTINGS = {
+  auto_sync_enabled: true,
+  periodic_sync_enabled: true,
+  // Sync schedule (see schedule.js): platform id -> hours between periodic
+  // syncs, platform id -> seconds cookie changes must settle, and
+  // { mode: 'quiet' | 'working', start, end } ("HH:MM"), or null
+  sync_intervals: {},
+  sync_debounce_seconds: {},
+  sync_hours: null,
+  // Hours after which an unchanged session is uploaded again, or null for
+  // the default (see fingerprint.js)
+  fingerprint_max_age_hours: null,
+  // Consent record from the consent page, null until given (see consent.js)
+  sync_consent: null,
+  // Platform id -> whether syncing it is paused (see consent.js)
+  paused_platforms: {},
+  // Session keepalive (see keepalive.js): platform id -> hours between
+  // keepalives, and { start, end } ("HH:MM") when none run, or null
+  keepalive_enabled: false,
+  keepalive_intervals: {},
+  keepalive_quiet_hours: null,
+  // Notification type -> whether it's shown; missing types are on (see notifications.js)
+  notification_types: {},
+  // Backend environment id, and the API and web app URLs for 'custom' (see
+  // environments.js); an empty web app URL is derived from the API URL
+  environment: 'production',
+  custom_api_url: '',
+  custom_web_app_url: '',
+  // Cookie store id -> whether it may sync (see cookie-stores.js)
+  cookie_store_sync: {},
+  // Web app origins allowed besides the built-in ones (see external.js)
+  extra_allowed_origins: [],
+  // Most verbose level written to the console (see logger.js)
+  log_level: 'info',
+};
+
+const SETTING_KEYS = Object.keys(DEFAULT_SETTINGS);
+
+// Replaced by environment: 'local'; still honored until migrated
+const LEGACY_DEV_MODE_KEY = 'dev_mode';
+
+// The user's own settings, the policy, and the two combined
+let userSettings = { ...DEFAULT_SETTINGS };
+let policy = {};
+let current = applyPolicy(userSettings, {});
+let loading = null;
+const listeners = [];
+
+/**
+ * Merge stored values over the defaults.
+ */
+function withDefaults(stored) {
+  const settings = { ...DEFAULT_SETTINGS };
+  if (stored[LEGACY_DEV_MODE_KEY]) {
+    settings.environment = 'local';
+  }
+  for (const key of SETTING_KEYS) {
+    if (stored[key] !== undefined) {
+      settings[key] = stored[key];
+    }
+  }
+  return settings;
+}
+
+function readStoredSettings() {
+  return chrome.storage.local.get([...SETTING_KEYS, LEGACY_DEV_MODE_KEY]).then(withDefaults);
+}
+
+/**
+ * Read settings straight from storage (for pages without the worker's cache).
+ */
+export async function readSettings() {
+  const [settings, managedPolicy] = await Promise.all([readStoredSettings(), readPolicy()]);
+  return applyPolicy(settings, managedPolicy);
+}
+
+/**
+ * Rewrite settings saved by older versions (call on install/update).
+ */
+export async function migrateSettings() {
+  const stored = await chrome.storage.local.get([LEGACY_DEV_MODE_KEY, 'environment']);
+  if (stored[LEGACY_DEV_MODE_KEY] === undefined) {
+    return;
+  }
+
+  if (stored[LEGACY_DEV_MODE_KEY] && stored.environment === undefined) {
+    await chrome.storage.local.set({ environment: 'local' });
+  }
+  await chrome.storage.local.remove(LEGACY_DEV_MODE_KEY);
+}
+
+/**
+ * Load settings once; later calls share the same promise.
+ * Await this before acting on a setting after the worker wakes up.
+ */
+export function loadSettings() {
+  if (!loading) {
+    loading = Promise.all([readStoredSettings(), readPolicy()]).then(([settings, managedPolicy]) => {
+      userSettings = settings;
+      policy = managedPolicy;
+      current = applyPolicy(userSettings, policy);
+      return current;
+    });
+  }
+  return loading;
+}
+
+/**
+ * Current settings. Only reliable after loadSettings() has resolved.
+ */
+export function getSettings() {
+  return current;
+}
+
+/**
+ * Register a callback for setting changes: listener(changedKeys, settings).
+ */
+export function onSettingsChanged(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Apply a chrome.storage.onChanged event (user settings or policy) to the
+ * cached settings. Listeners hear about the settings whose effective
+ * value changed, plus 'policy' when the policy did.
+ * Must be wired from a top-level listener in the service worker, and in
+ * any page that relies on the cached settings.
+ */
+export function handleStorageChange(changes, areaName) {
+  if (areaName === 'local') {
+    const changedKeys = SETTING_KEYS.filter((key) => key in changes);
+    if (changedKeys.length === 0) {
+      return;
+    }
+
+    userSettings = { ...userSettings };
+    for (const key of changedKeys) {
+      userSettings[key] = changes[key].newValue ?? DEFAULT_SETTINGS[key];
+    }
+  } else if (areaName === 'managed') {
+    const managed = { ...policy };
+    for (const [key, change] of Object.entries(changes)) {
+      managed[key] = change.newValue;
+    }
+    policy = normalizePolicy(managed);
+  } else {
+    return;
+  }
+
+  const previous = current;
+  current = applyPolicy(userSettings, policy);
+
+  const changedKeys = [...SETTING_KEYS, 'policy'].filter(
+    (key) => JSON.stringify(previous[key]) !== JSON.stringify(current[key])
+  );
+  if (changedKeys.length === 0) {
+    return;
+  }
+
+  for (const listener of listeners) {
+    listener(changedKeys, current);
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * DialogBrain Cookie Sync - Status Push
+ *
+ * Live status for the popup (runtime.connect) and the DialogBrain web
+ * app (runtime.connect from the page, see external.js) over long-lived
+ * ports, so neither has to poll.
+ *
+ * A subscriber first gets a snapshot of every platform:
+ *   { type: 'STATUS_SNAPSHOT', status: { platformId: PlatformStatus },
+ *     sessions: { platformId: { hasSession, stores } } }
+ * then an update whenever a platform's status changes:
+ *   { type: 'STATUS_UPDATE', platform, events, status, session }
+ * where events are STATUS_EVENTS (status-store.js). Changes to every
+ * platform at once (logout, environment switch) send a new snapshot.
+ * Messages to the web app also carry the protocol version `v`.
+ */
+
+import { getAllStatus, getStoredStatus } from './status-store.js';
+import { getSessionSummary, getPlatformSession } from './sync.js';
+import { PROTOCOL_VERSION } from './external.js';
+import { log } from './logger.js';
+
+// Name the popup passes to runtime.connect()
+export const STATUS_PORT = 'status';
+
+// Connected port -> { external }
+const subscribers = new Map();
+
+// Resolved when the last subscriber leaves (see whenNoSubscribers)
+let allGone = null;
+
+function removeSubscriber(port) {
+  subscribers.delete(port);
+  if (subscribers.size === 0 && allGone) {
+    allGone.resolve();
+    allGone = null;
+  }
+}
+
+async function getSnapshot(events = []) {
+  const [status, sessions] = await Promise.all([getAllStatus(), getSessionSummary()]);
+  return { type: 'STATUS_SNAPSHOT', events, status, sessions };
+}
+
+function post(port, { external }, message) {
+  try {
+    port.postMessage(external ? { v: PROTOCOL_VERSION, ...message } : message);
+  } catch {
+    // Closed between the change and the push
+    removeSubscriber(port);
+  }
+}
+
+/**
+ * Start pushing status to a connected port (already checked by the caller).
+ */
+export async function addSubscriber(port, { external = false } = {}) {
+  const subscriber = { external };
+  subscribers.set(port, subscriber);
+  port.onDisconnect.addListener(() => removeSubscriber(port));
+
+  try {
+    post(port, subscriber, await getSnapshot());
+  } catch (error) {
+    log.error('Status snapshot failed:', error.message);
+  }
+}
+
+/**
+ * Whether the popup or web app is connected (see commands.js).
+ */
+export function hasSubscribers() {
+  return subscribers.size > 0;
+}
+
+/**
+ * Resolves once nobody is connected (right away if nobody is).
+ */
+export function whenNoSubscribers() {
+  if (subscribers.size === 0) {
+    return Promise.resolve();
+  }
+  if (!allGone) {
+    let resolve;
+    const promise = new Promise((done) => { resolve = done; });
+    allGone = { promise, resolve };
+  }
+  return allGone.promise;
+}
+
+/**
+ * Push a status change to every subscriber.
+ * Must be wired from status-store's onStatusChanged.
+ *
+ * @param {string|null} platformId - null when every platform changed
+ * @param {string[]} events - STATUS_EVENTS
+ */
+export async function pushStatus(platformId, events) {
+  if (subscribers.size === 0) {
+    return;
+  }
+
+  let message;
+  if (platformId) {
+    const [status, session] = await Promise.all([getStoredStatus(platformId), getPlatformSession(platformId)]);
+    message = { type: 'STATUS_UPDATE', platform: platformId, events, status, session };
+  } else {
+    message = await getSnapshot(events);
+  }
+
+  for (const [port, subscriber] of subscribers) {
+    post(port, subscriber, message);
+  }
+}
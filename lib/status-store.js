@@ -0,0 +1,339 @@
+/**
+ * DialogBrain Cookie Sync - Status Store
+ *
+ * Per-platform sync status and a bounded sync history, persisted in
+ * chrome.storage.local so they survive MV3 service worker restarts.
+ * Status is kept per environment (see environments.js); the history
+ * covers every environment.
+ *
+ * SECURITY: history entries only record when/why/how a sync ran -
+ * NEVER cookie values, request bodies or response bodies.
+ */
+
+import { PLATFORMS } from './platforms.js';
+import { scopedKey } from './environments.js';
+import { log } from './logger.js';
+
+const STATUS_KEY = 'sync_status';
+const HISTORY_KEY = 'sync_history';
+
+// Max history entries kept per platform (oldest dropped first)
+export const HISTORY_LIMIT = 50;
+
+// Why a sync ran
+export const TRIGGERS = {
+  COOKIE_CHANGE: 'cookie_change',
+  ALARM: 'alarm',
+  MANUAL: 'manual',
+  EXTERNAL: 'external',
+  INSTALL: 'install',
+  RETRY: 'retry',
+  SETTINGS: 'settings',
+  COMMAND: 'command',
+};
+
+// What a status change means, passed to onStatusChanged listeners
+export const STATUS_EVENTS = {
+  SYNC_STARTED: 'sync_started',
+  SYNC_SUCCEEDED: 'sync_succeeded',
+  SYNC_FAILED: 'sync_failed',
+  SESSION_CHANGED: 'session_changed',
+  ACCOUNT_CONNECTED: 'account_connected',
+  STATUS_CHANGED: 'status_changed',
+};
+
+/**
+ * @typedef {Object} PlatformStatus
+ * @property {boolean} syncing - In memory only, never persisted
+ * @property {string|null} lastSync - ISO time of the last successful sync
+ * @property {string|null} lastAttempt - ISO time of the last sync attempt
+ * @property {string|null} error - Error from the last attempt, null on success
+ * @property {string} [status] - Backend status from the last successful sync
+ * @property {string|null} accountId - DialogBrain account id
+ * @property {import('./retry.js').RetryEntry|null} retry - Queued retry, if any
+ * @property {{at: string, cause: string}|null} sessionEnded - Set when the platform session ended
+ * @property {import('./health.js').SessionHealth|null} health - Session health from the last check
+ * @property {string|null} identity - Platform identity the fields above describe
+ * @property {Object<string, AccountStatus>} accounts - Status per known identity
+ * @property {Object<string, string>} stores - Cookie store id -> identity last seen in it
+ */
+
+/**
+ * The account-level subset of PlatformStatus, kept per identity.
+ *
+ * @typedef {Object} AccountStatus
+ * @property {string|null} accountId
+ * @property {string|null} username - Platform username, when the backend reports it
+ * @property {string|null} lastSync
+ * @property {string|null} lastAttempt
+ * @property {string|null} error
+ * @property {string} [status]
+ * @property {{at: string, cause: string}|null} sessionEnded
+ * @property {import('./health.js').SessionHealth|null} health
+ * @property {string} [storeId] - Cookie store the account's session lives in
+ * @property {boolean} [incognito]
+ */
+
+// PlatformStatus fields that are also tracked per identity
+const ACCOUNT_FIELDS = ['accountId', 'username', 'lastSync', 'lastAttempt', 'error', 'status', 'sessionEnded', 'health'];
+
+function pickAccountFields(source) {
+  return Object.fromEntries(ACCOUNT_FIELDS.filter((key) => key in source).map((key) => [key, source[key]]));
+}
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} at - ISO timestamp
+ * @property {string} trigger - One of TRIGGERS
+ * @property {string} result - 'success' | 'error' | 'skipped' | 'unchanged' | 'session_ended' | 'revoked'
+ * @property {number|null} httpStatus - Backend HTTP status, if a request was made
+ */
+
+function emptyStatus(error = null) {
+  return {
+    lastSync: null,
+    lastAttempt: null,
+    error,
+    accountId: null,
+    username: null,
+    status: null,
+    retry: null,
+    sessionEnded: null,
+    health: null,
+    identity: null,
+    accounts: {},
+    stores: {},
+  };
+}
+
+// Persisted state, loaded once per worker lifetime (and per environment)
+let statusKey = STATUS_KEY;
+let statusCache = null;
+let historyCache = null;
+let loading = null;
+
+// In-memory only: platform id -> number of sessions with a sync in flight
+const syncing = new Map();
+
+// Called with the platform id (null for all) and STATUS_EVENTS after a status change
+const changeListeners = [];
+
+function emitChange(platformId, events = [STATUS_EVENTS.STATUS_CHANGED]) {
+  for (const listener of changeListeners) {
+    listener(platformId, events);
+  }
+}
+
+/**
+ * What an updateStatus() patch means for the platform.
+ */
+function describeChange(previous, next, patch) {
+  const events = [];
+  if (patch.sessionEnded || (previous.identity && next.identity !== previous.identity)) {
+    events.push(STATUS_EVENTS.SESSION_CHANGED);
+  }
+  if (patch.accountId && patch.accountId !== previous.accounts[next.identity]?.accountId) {
+    events.push(STATUS_EVENTS.ACCOUNT_CONNECTED);
+  }
+  if (patch.lastSync) {
+    events.push(STATUS_EVENTS.SYNC_SUCCEEDED);
+  } else if (patch.error) {
+    events.push(STATUS_EVENTS.SYNC_FAILED);
+  }
+  return events.length > 0 ? events : [STATUS_EVENTS.STATUS_CHANGED];
+}
+
+// Serialize writes so concurrent updates don't overwrite each other
+let writeQueue = Promise.resolve();
+
+function persist() {
+  const snapshot = { [statusKey]: statusCache, [HISTORY_KEY]: historyCache };
+  writeQueue = writeQueue
+    .then(() => chrome.storage.local.set(snapshot))
+    .catch((error) => log.error('Failed to persist sync status:', error.message));
+  return writeQueue;
+}
+
+// =============================================================================
+// Loading
+// =============================================================================
+
+/**
+ * Load persisted status and history; later calls share the same promise.
+ */
+export function loadStatusStore() {
+  if (!loading) {
+    loading = (async () => {
+      const key = await scopedKey(STATUS_KEY);
+      const stored = await chrome.storage.local.get([key, HISTORY_KEY]);
+      statusKey = key;
+      statusCache = {};
+      historyCache = {};
+      for (const platform of PLATFORMS) {
+        statusCache[platform.id] = { ...emptyStatus(), ...stored[key]?.[platform.id] };
+        historyCache[platform.id] = stored[HISTORY_KEY]?.[platform.id] || [];
+      }
+    })();
+  }
+  return loading;
+}
+
+/**
+ * Drop the loaded state so the next access reads the current
+ * environment's status (e.g. after switching environments).
+ */
+export async function reloadStatusStore() {
+  await writeQueue;
+  loading = null;
+  await loadStatusStore();
+  emitChange(null);
+}
+
+// =============================================================================
+// Status
+// =============================================================================
+
+/**
+ * The identity and account status last seen in a cookie store, or null.
+ * Statuses saved before stores were tracked describe the default store.
+ *
+ * @param {PlatformStatus} status
+ * @param {import('./cookie-stores.js').CookieStore} store
+ * @returns {{identity: string|null, account: AccountStatus}|null}
+ */
+export function getStoreAccount(status, store) {
+  const identity = status.stores?.[store.id] ?? (store.isDefault ? status.identity : null);
+  if (identity) {
+    return status.accounts[identity] ? { identity, account: status.accounts[identity] } : null;
+  }
+  return store.isDefault && status.accountId ? { identity: null, account: status } : null;
+}
+
+/**
+ * Status for one platform (call after loadStatusStore()).
+ * @returns {PlatformStatus}
+ */
+export function getStatus(platformId) {
+  return { ...statusCache[platformId], syncing: syncing.has(platformId) };
+}
+
+/**
+ * Status for one platform, loading the store first if needed.
+ * @returns {Promise<PlatformStatus>}
+ */
+export async function getStoredStatus(platformId) {
+  await loadStatusStore();
+  return getStatus(platformId);
+}
+
+/**
+ * Status for every platform: { platformId: PlatformStatus }.
+ */
+export async function getAllStatus() {
+  await loadStatusStore();
+  return Object.fromEntries(PLATFORMS.map((platform) => [platform.id, getStatus(platform.id)]));
+}
+
+export function setSyncing(platformId, isSyncing) {
+  const count = (syncing.get(platformId) || 0) + (isSyncing ? 1 : -1);
+  if (count > 0) {
+    syncing.set(platformId, count);
+  } else {
+    syncing.delete(platformId);
+  }
+  emitChange(platformId, [isSyncing ? STATUS_EVENTS.SYNC_STARTED : STATUS_EVENTS.STATUS_CHANGED]);
+}
+
+/**
+ * Register a callback for status changes: listener(platformId, events),
+ * with platformId null when every platform changed and events a list of
+ * STATUS_EVENTS. Only sees changes made in this context.
+ */
+export function onStatusChanged(listener) {
+  changeListeners.push(listener);
+}
+
+/**
+ * Merge a patch into a platform's persisted status.
+ *
+ * With an identity, the account-level fields of the patch are also kept
+ * for that identity. If it differs from the identity the platform status
+ * described so far (the user switched accounts), the platform-level
+ * fields switch over to that identity's last known status first.
+ *
+ * With a cookie store as well, the identity is recorded as the one
+ * logged in to that store.
+ *
+ * @param {string} platformId
+ * @param {Partial<PlatformStatus>} patch
+ * @param {{identity?: string|null, store?: import('./cookie-stores.js').CookieStore|null}} [session]
+ */
+export async function updateStatus(platformId, patch, { identity = null, store = null } = {}) {
+  await loadStatusStore();
+  const previous = statusCache[platformId];
+  let current = previous;
+
+  if (identity && identity !== current.identity) {
+    current = {
+      ...current,
+      ...pickAccountFields(emptyStatus()),
+      ...current.accounts[identity],
+      identity,
+    };
+  }
+
+  const next = { ...current, ...patch };
+  if (identity) {
+    const storeFields = store ? { storeId: store.id, incognito: store.incognito } : {};
+    next.accounts = {
+      ...current.accounts,
+      [identity]: { ...current.accounts[identity], ...pickAccountFields(patch), ...storeFields },
+    };
+  }
+  if (identity && store) {
+    next.stores = { ...current.stores, [store.id]: identity };
+  }
+
+  statusCache[platformId] = next;
+  await persist();
+  emitChange(platformId, describeChange(previous, next, patch));
+  return getStatus(platformId);
+}
+
+/**
+ * Reset every platform's status (history is kept), e.g. after logout.
+ */
+export async function resetStatus(error = null) {
+  await loadStatusStore();
+  for (const platform of PLATFORMS) {
+    statusCache[platform.id] = emptyStatus(error);
+  }
+  await persist();
+  emitChange(null);
+}
+
+// =============================================================================
+// History
+// =============================================================================
+
+/**
+ * Append a history entry for a platform, dropping the oldest past the limit.
+ */
+export async function recordHistory(platformId, { trigger, result, httpStatus = null }) {
+  await loadStatusStore();
+  const entries = historyCache[platformId];
+  entries.push({ at: new Date().toISOString(), trigger, result, httpStatus });
+  if (entries.length > HISTORY_LIMIT) {
+    entries.splice(0, entries.length - HISTORY_LIMIT);
+  }
+  await persist();
+}
+
+/**
+ * Read history straight from storage (usable from the popup and options page).
+ * @returns {Promise<Object<string, HistoryEntry[]>>}
+ */
+export async function readHistory() {
+  const stored = await chrome.storage.local.get(HISTORY_KEY);
+  return stored[HISTORY_KEY] || {};
+}
@@ -0,0 +1,132 @@
+/**
+ * DialogBrain Cookie Sync - Status Text
+ *
+ * Wording shared by the popup and options page: what triggered a sync,
+ * what the backend's status for an account means, when a session
+ * expires, and what a recorded error means for the user. Status keeps
+ * the raw error (e.g. "HTTP 503: Maintenance") for support; pages show
+ * the explanation next to it.
+ */
+
+import { HEALTH_STATES } from './health.js';
+
+// Human-readable trigger names (TRIGGERS in status-store.js)
+export const TRIGGER_LABELS = {
+  cookie_change: 'Cookie change',
+  alarm: 'Periodic',
+  manual: 'Manual',
+  external: 'Web app',
+  install: 'Install',
+  retry: 'Retry',
+  settings: 'Settings change',
+  command: 'DialogBrain request',
+};
+
+// History results (HistoryEntry in status-store.js)
+export const RESULT_LABELS = {
+  success: 'Synced',
+  unchanged: 'Unchanged',
+  skipped: 'Skipped',
+  error: 'Failed',
+  session_ended: 'Session ended',
+  revoked: 'Removed',
+};
+
+// Backend account status -> label; validation results follow health.js
+const BACKEND_STATUS_LABELS = {
+  connected: 'Connected',
+  session_ended: 'Session ended',
+  revoked: 'Removed from DialogBrain',
+  [HEALTH_STATES.CHALLENGE_REQUIRED]: 'Security check needed',
+  checkpoint_required: 'Security check needed',
+  verification_required: 'Security check needed',
+  invalid: 'Session rejected',
+  session_invalid: 'Session rejected',
+  expired: 'Session rejected',
+  login_required: 'Session rejected',
+};
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Recorded errors -> what they mean, first match wins
+const ERROR_EXPLANATIONS = [
+  { pattern: /^Not logged in$/, explain: () => 'Log in to DialogBrain again to resume syncing' },
+  { pattern: /^Not logged in to /, explain: (platform) => `Log in to ${platform.name} in this browser to sync it` },
+  { pattern: /^Could not identify /, explain: (platform) => `Couldn't tell which ${platform.name} account is logged in - reload ${platform.name}` },
+  { pattern: /^HTTP 401\b/, explain: () => 'DialogBrain no longer accepts your login - log in again' },
+  { pattern: /^HTTP 403\b/, explain: () => 'DialogBrain refused this account - check your plan and permissions' },
+  { pattern: /^HTTP 404\b/, explain: () => 'DialogBrain doesn\'t know this account anymore' },
+  { pattern: /^HTTP 413\b/, explain: () => 'DialogBrain rejected the upload as too large' },
+  { pattern: /^HTTP 422\b/, explain: (platform) => `DialogBrain couldn't use this session - log in to ${platform.name} again` },
+  { pattern: /^HTTP 429\b/, explain: () => 'DialogBrain asked to slow down - retrying later' },
+  { pattern: /^HTTP 5\d\d\b/, explain: () => 'DialogBrain is having trouble - retrying automatically' },
+  {
+    pattern: /failed to fetch|fetch failed|networkerror|network request failed|timed? ?out|aborted/i,
+    explain: () => 'Couldn\'t reach DialogBrain - check your connection',
+  },
+];
+
+/**
+ * What a recorded sync error means for the user, or null if unknown.
+ *
+ * @param {string} error - PlatformStatus.error
+ * @param {import('./platforms.js').PlatformDescriptor} platform
+ */
+export function explainError(error, platform) {
+  const match = ERROR_EXPLANATIONS.find(({ pattern }) => pattern.test(error));
+  return match ? match.explain(platform) : null;
+}
+
+/**
+ * An error as shown to the user: the explanation, with the raw error
+ * kept for support when it adds something.
+ */
+export function describeSyncError(error, platform) {
+  const explanation = explainError(error, platform);
+  if (!explanation) {
+    return `Error: ${error}`;
+  }
+  return error.startsWith('HTTP ') ? `${explanation} (${error})` : explanation;
+}
+
+/**
+ * The backend's status for an account, e.g. "Connected".
+ */
+export function formatBackendStatus(status) {
+  if (!status) return 'Not connected';
+  return BACKEND_STATUS_LABELS[status] || status.replaceAll('_', ' ');
+}
+
+/**
+ * Time left until a session expires, e.g. "expires in 3 days".
+ * Sessions without an expiry last until the browser closes.
+ */
+export function formatExpiry(expiresAt, now = Date.now()) {
+  if (!expiresAt) return 'ends when the browser closes';
+
+  const left = expiresAt - now;
+  if (left <= 0) return 'expired';
+  if (left >= 2 * DAY_MS) return `expires in ${Math.floor(left / DAY_MS)} days`;
+  if (left >= 2 * HOUR_MS) return `expires in ${Math.floor(left / HOUR_MS)} hours`;
+  return `expires in ${Math.max(1, Math.floor(left / MINUTE_MS))} min`;
+}
+
+/**
+ * How long ago something happened, e.g. "5 min ago".
+ */
+export function formatTimeAgo(dateStr, now = Date.now()) {
+  if (!dateStr) return 'Never';
+
+  const date = new Date(dateStr);
+  const diffMins = Math.floor((now - date) / MINUTE_MS);
+
+  if (diffMins < 1) return 'Just now';
+  if (diffMins < 60) return `${diffMins} min ago`;
+
+  const diffHours = Math.floor(diffMins / 60);
+  if (diffHours < 24) return `${diffHours} hour${diffHours > 1 ? 's' : ''} ago`;
+
+  return date.toLocaleDateString();
+}
@@ -0,0 +1,587 @@
+/**
+ * DialogBrain Cookie Sync - Sync Pipeline
+ *
+ * One generic pipeline for every platform in the registry the user has
+ * opted in to (see consent.js): read the platform's cookies from each
+ * allowed cookie store, connect or sync the account with the DialogBrain
+ * backend and record the outcome in the status store.
+ *
+ * SECURITY NOTES:
+ * - NEVER log cookie values or request bodies
+ * - Cookies are only held in memory long enough to send them
+ */
+
+import { CONFIG, getApiUrl } from './config.js';
+import { loadSettings } from './settings.js';
+import { PLATFORMS, getPlatform, getEndpointPath } from './platforms.js';
+import {
+  TRIGGERS,
+  getStatus,
+  getStoredStatus,
+  getStoreAccount,
+  setSyncing,
+  updateStatus,
+  recordHistory,
+} from './status-store.js';
+import { scheduleRetry, clearRetry } from './retry.js';
+import { computeFingerprint, isUnchanged, storeFingerprint } from './fingerprint.js';
+import { CAUSE_MISSING, endSession } from './session.js';
+import { isSyncEnabled } from './consent.js';
+import { getDebounceMs } from './schedule.js';
+import { canIdentify, resolveIdentity, getAccountId, setAccount, getConnectKey } from './accounts.js';
+import { listSyncableStores, getSessionKey } from './cookie-stores.js';
+import { getAccessToken, authorizedFetch } from './auth.js';
+import {
+  HEALTH_STATES,
+  getSessionExpiry,
+  assessSession,
+  applyBackendStatus,
+  notifyHealthChange,
+} from './health.js';
+import { NOTIFICATION_TYPES, notify, clearNotification } from './notifications.js';
+import { log, redact, describeError, MAX_ERROR_LENGTH } from './logger.js';
+
+// =============================================================================
+// State Management
+// =============================================================================
+
+// Pending sync timers (for debouncing), keyed by session key
+const pendingSyncs = {};
+
+// Session cookie removal seen while a debounced sync was pending
+const pendingRemovals = {};
+
+// Sync in flight per platform: { request, result, trailing } (see syncPlatform)
+const flights = {};
+
+// A sync started by one of these may have read cookies or settings that
+// are stale by now, so it never stands in for a later one
+const STALE_TRIGGERS = [TRIGGERS.COOKIE_CHANGE, TRIGGERS.SETTINGS];
+
+// =============================================================================
+// Cookie Access
+// =============================================================================
+
+/**
+ * Read the platform's tracked cookies from one cookie store.
+ * Returns { cookieName: value | null } - NEVER log the result.
+ */
+export async function readCookies(platform, storeId) {
+  const cookies = await Promise.all(
+    platform.cookies.map((name) => chrome.cookies.get({ url: platform.cookieUrl, name, storeId }))
+  );
+
+  return Object.fromEntries(
+    platform.cookies.map((name, i) => [name, cookies[i]?.value || null])
+  );
+}
+
+/**
+ * Map raw cookie values onto the payload fields the backend expects.
+ * The cookie store is included so the backend can tell sessions apart.
+ */
+export function buildPayload(platform, cookies, store) {
+  const payload = {};
+  for (const [cookieName, field] of Object.entries(platform.payload)) {
+    payload[field] = cookies[cookieName] || null;
+  }
+  payload.user_agent = navigator.userAgent; // CRITICAL: Include real browser UA
+  payload.cookie_store = { id: store.id, incognito: store.incognito };
+  return payload;
+}
+
+export function hasSession(platform, cookies) {
+  return !!cookies[platform.sessionCookie];
+}
+
+async function getSessionPresence(platform, stores) {
+  const presence = await Promise.all(stores.map(async (store) => [
+    store.id,
+    hasSession(platform, await readCookies(platform, store.id)),
+  ]));
+  return {
+    hasSession: presence.some(([, present]) => present),
+    stores: Object.fromEntries(presence),
+  };
+}
+
+/**
+ * Session presence for every platform across the syncable cookie stores:
+ * { platformId: { hasSession, stores: { storeId: boolean } } }.
+ */
+export async function getSessionSummary() {
+  const stores = await listSyncableStores();
+  const entries = await Promise.all(PLATFORMS.map(async (platform) => [
+    platform.id,
+    await getSessionPresence(platform, stores),
+  ]));
+
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Which of each platform's cookies are set, per syncable cookie store:
+ * { platformId: [{ storeId, incognito, cookies: { cookieName: boolean } }] }.
+ * Names only, never values - safe to show (diagnostics).
+ */
+export async function getCookiePresence() {
+  const stores = await listSyncableStores();
+  const entries = await Promise.all(PLATFORMS.map(async (platform) => [
+    platform.id,
+    await Promise.all(stores.map(async (store) => {
+      const cookies = await readCookies(platform, store.id);
+      return {
+        storeId: store.id,
+        incognito: store.incognito,
+        cookies: Object.fromEntries(Object.entries(cookies).map(([name, value]) => [name, value !== null])),
+      };
+    })),
+  ]));
+
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Session presence for one platform: { hasSession, stores }.
+ */
+export async function getPlatformSession(platformId) {
+  return getSessionPresence(getPlatform(platformId), await listSyncableStores());
+}
+
+// =============================================================================
+// Sync
+// =============================================================================
+
+/**
+ * Debounce: wait for multiple cookie changes to settle before syncing
+ * (for the platform's debounce window, see schedule.js).
+ * If the session cookie was removed along the way, pass its removal cause;
+ * the sync then ends the session unless a new one has appeared since.
+ * Each cookie store is debounced separately.
+ */
+export function scheduleSync(platformId, { storeId, removalCause = null }) {
+  const key = getSessionKey(platformId, storeId);
+  if (removalCause) {
+    pendingRemovals[key] = removalCause;
+  }
+  if (pendingSyncs[key]) {
+    clearTimeout(pendingSyncs[key]);
+  }
+  pendingSyncs[key] = setTimeout(() => {
+    const cause = pendingRemovals[key];
+    pendingSyncs[key] = null;
+    pendingRemovals[key] = null;
+    syncPlatform(platformId, TRIGGERS.COOKIE_CHANGE, { storeId, removalCause: cause }).catch((error) => {
+      log.error('Debounced sync failed:', error.message);
+    });
+  }, getDebounceMs(platformId));
+}
+
+/**
+ * Drop any debounced syncs that haven't fired yet (e.g. auto-sync turned off).
+ */
+export function cancelPendingSyncs() {
+  for (const key of Object.keys(pendingSyncs)) {
+    clearTimeout(pendingSyncs[key]);
+    pendingSyncs[key] = null;
+    pendingRemovals[key] = null;
+  }
+}
+
+/**
+ * Sync one platform and record the outcome.
+ *
+ * Every cookie store the user allows (see cookie-stores.js) is a separate
+ * session, synced on its own; pass storeId to sync just one of them.
+ *
+ * A connected account whose session cookie is gone gets its session
+ * ended (see session.js) instead of a plain "not logged in".
+ *
+ * Single-flight per platform: cookie changes, alarms, the popup and the
+ * web app (every tab and window ends up here, in the worker) share one
+ * sync at a time. A caller arriving mid-flight gets the in-flight
+ * promise; if that sync can't answer for it (cookies changed since it
+ * read them, a forced or manual sync, another store), one trailing sync
+ * runs right after, covering every such caller, and the promise resolves
+ * with its outcome.
+ *
+ * @param {string} platformId
+ * @param {string} trigger - One of TRIGGERS, recorded in the history
+ * @param {{force?: boolean, removalCause?: string, storeId?: string}} [options]
+ * @returns {Promise<import('./status-store.js').PlatformStatus>}
+ */
+export function syncPlatform(platformId, trigger, { force = false, removalCause = null, storeId = null } = {}) {
+  if (!getPlatform(platformId)) {
+    return Promise.reject(new Error(`Unknown platform: ${platformId}`));
+  }
+
+  const request = {
+    trigger,
+    force: force || trigger === TRIGGERS.MANUAL,
+    storeId,
+    removalCauses: storeId && removalCause ? { [storeId]: removalCause } : {},
+  };
+
+  const flight = flights[platformId];
+  if (!flight) {
+    return startFlight(platformId, request);
+  }
+  if (!coversRequest(flight.request, request)) {
+    flight.trailing = flight.trailing ? mergeRequests(flight.trailing, request) : request;
+  }
+  return flight.result;
+}
+
+/**
+ * Whether a sync already in flight also does what a new request asks for.
+ */
+function coversRequest(current, next) {
+  return !STALE_TRIGGERS.includes(next.trigger) &&
+    (current.force || !next.force) &&
+    (current.storeId === null || current.storeId === next.storeId);
+}
+
+/**
+ * One request covering two queued ones.
+ */
+function mergeRequests(queued, next) {
+  return {
+    trigger: next.trigger,
+    force: queued.force || next.force,
+    storeId: queued.storeId === next.storeId ? queued.storeId : null,
+    removalCauses: { ...queued.removalCauses, ...next.removalCauses },
+  };
+}
+
+function startFlight(platformId, request) {
+  const flight = { request, trailing: null };
+  flights[platformId] = flight;
+
+  // Hand over to the trailing sync (if any) before anyone else can start one
+  const land = () => {
+    delete flights[platformId];
+    return flight.trailing && startFlight(platformId, flight.trailing);
+  };
+
+  flight.result = runSync(platformId, request).then(
+    (status) => land() || status,
+    (error) => {
+      const trailing = land();
+      if (trailing) return trailing;
+      throw error;
+    }
+  );
+  return flight.result;
+}
+
+/**
+ * The sync itself; only ever one per platform at a time (see syncPlatform).
+ * Unexpected failures (storage, cookie access, token refresh) are recorded
+ * in the platform status like any other sync error, never rejected.
+ */
+async function runSync(platformId, request) {
+  const platform = getPlatform(platformId);
+  try {
+    return await syncStores(platform, request);
+  } catch (caught) {
+    const error = describeError(caught);
+    log.error(`${platform.name} sync error:`, error);
+    try {
+      await recordHistory(platform.id, { trigger: request.trigger, result: 'error' });
+      return await updateStatus(platform.id, { lastAttempt: new Date().toISOString(), error });
+    } catch (recordError) {
+      log.error(`Failed to record ${platform.name} sync error:`, recordError.message);
+      return { ...getStatus(platform.id), error };
+    }
+  }
+}
+
+/**
+ * Wait for every task, then fail with the first error, if any - so no
+ * session is still syncing once the platform's sync is over.
+ */
+async function settleAll(tasks) {
+  const results = await Promise.allSettled(tasks);
+  const failed = results.find((result) => result.status === 'rejected');
+  if (failed) {
+    throw failed.reason;
+  }
+}
+
+/**
+ * Sync the requested cookie stores of a platform (see runSync).
+ */
+async function syncStores(platform, { trigger, force, storeId, removalCauses }) {
+  // API URL and allowed stores depend on settings - make sure they're loaded after a wake-up
+  await loadSettings();
+
+  // Only platforms the user consented to and hasn't paused (see consent.js)
+  if (!isSyncEnabled(platform.id)) {
+    return getStoredStatus(platform.id);
+  }
+
+  // Make sure we hold a usable auth token (refreshed if it expires soon)
+  const authToken = await getAccessToken();
+  const stores = await listSyncableStores();
+
+  if (!authToken) {
+    log.info('No auth token - user not logged in to extension');
+    await Promise.all(stores.map((store) => clearRetry(getSessionKey(platform.id, store.id))));
+    await recordHistory(platform.id, { trigger, result: 'skipped' });
+    return updateStatus(platform.id, { error: 'Not logged in', retry: null });
+  }
+
+  // Get cookies for every allowed store
+  const sessions = await Promise.all(stores.map(async (store) => ({
+    store,
+    cookies: await readCookies(platform, store.id),
+  })));
+  const targets = storeId ? sessions.filter((session) => session.store.id === storeId) : sessions;
+  if (storeId && targets.length === 0) {
+    // The store is gone (e.g. its last incognito window closed) or no
+    // longer allowed - a queued retry for it would never succeed
+    await clearRetry(getSessionKey(platform.id, storeId));
+  }
+  const status = await getStoredStatus(platform.id);
+
+  const live = targets.filter(({ cookies }) => hasSession(platform, cookies));
+  const ended = [];
+  for (const { store, cookies } of targets) {
+    if (hasSession(platform, cookies)) {
+      continue;
+    }
+    // The identity cookie is usually gone too - end the account last seen in this store
+    const last = getStoreAccount(status, store);
+    if (last?.account.accountId && !last.account.sessionEnded) {
+      ended.push({ store, ...last });
+    } else {
+      await clearRetry(getSessionKey(platform.id, store.id));
+    }
+  }
+
+  await settleAll(ended.map(({ store, identity, account }) => endSession(platform, {
+    accountId: account.accountId,
+    identity,
+    store,
+    cause: removalCauses[store.id] || CAUSE_MISSING,
+    trigger,
+  })));
+
+  if (live.length === 0 && ended.length === 0) {
+    if (sessions.some(({ cookies }) => hasSession(platform, cookies))) {
+      // Logged in through another store - nothing to do for this one
+      return getStatus(platform.id);
+    }
+
+    log.info(`No ${platform.name} session - user not logged in`);
+    await recordHistory(platform.id, { trigger, result: 'skipped' });
+    return updateStatus(platform.id, { error: `Not logged in to ${platform.name}`, retry: null });
+  }
+
+  await settleAll(live.map(({ store, cookies }) => syncSession(platform, store, cookies, { trigger, force })));
+
+  return getStatus(platform.id);
+}
+
+/**
+ * "HTTP <status>", plus the backend's reason ({ detail } or { message }
+ * in a JSON error body) when it gives one - redacted, since backends
+ * like to echo the request back.
+ */
+async function readResponseError(response) {
+  const data = await response.json().catch(() => null);
+  const reason = [data?.detail, data?.message].find((value) => typeof value === 'string' && value.trim());
+  return redact(reason ? `HTTP ${response.status}: ${reason.trim()}` : `HTTP ${response.status}`, MAX_ERROR_LENGTH);
+}
+
+/**
+ * Tell the user once a session keeps failing to sync.
+ */
+function notifyFailures(platform, retry, error) {
+  if (retry?.attempts >= CONFIG.FAILURE_NOTIFY_ATTEMPTS) {
+    return notify(NOTIFICATION_TYPES.REPEATED_FAILURES, {
+      platformId: platform.id,
+      title: `DialogBrain - ${platform.name}`,
+      message: `${platform.name} failed to sync ${retry.attempts} times in a row (${error}). Still retrying.`,
+    });
+  }
+}
+
+/**
+ * Sync one platform session (one cookie store) and record the outcome.
+ *
+ * Uploads are skipped when the payload matches the last one the backend
+ * accepted for this account (see fingerprint.js), unless forced. A user
+ * pressing "Sync Now" always forces.
+ *
+ * Each platform identity (see accounts.js) has its own DialogBrain
+ * account: a new identity is connected, a known one synced.
+ *
+ * The session's health (see health.js) is graded from its cookie expiry
+ * before the upload and from the backend's verdict after it.
+ */
+async function syncSession(platform, store, cookies, { trigger, force }) {
+  const sessionKey = getSessionKey(platform.id, store.id);
+  const label = store.incognito ? `${platform.name} (incognito)` : platform.name;
+  const attemptedAt = new Date().toISOString();
+
+  // Unidentifiable in this store for good (a lookup platform outside the
+  // default store) - nothing a retry would fix
+  if (!canIdentify(platform, store)) {
+    log.info(`${label} sessions outside the default cookie store aren't supported - skipping`);
+    await clearRetry(sessionKey);
+    await recordHistory(platform.id, { trigger, result: 'skipped' });
+    return;
+  }
+
+  // Which platform user is this? Never sync into another identity's account
+  const identity = await resolveIdentity(platform, cookies, store).catch((error) => {
+    log.error(`${label} identity lookup error:`, error.message);
+    return null;
+  });
+
+  if (!identity) {
+    log.error(`Could not identify ${label} account`);
+    const retry = await scheduleRetry(sessionKey);
+    const error = `Could not identify ${platform.name} account`;
+    await recordHistory(platform.id, { trigger, result: 'error' });
+    await updateStatus(platform.id, { lastAttempt: attemptedAt, error, retry });
+    await notifyFailures(platform, retry, error);
+    return;
+  }
+
+  const session = { identity, store };
+  const previousHealth = (await getStoredStatus(platform.id)).accounts[identity]?.health;
+  const health = assessSession(platform, await getSessionExpiry(platform, store.id));
+
+  if (health.state === HEALTH_STATES.INVALID) {
+    log.info(`${label} session cookie has expired - skipping upload`);
+    await clearRetry(sessionKey);
+    await recordHistory(platform.id, { trigger, result: 'skipped' });
+    await updateStatus(platform.id, { lastAttempt: attemptedAt, error: null, retry: null, health }, session);
+    await notifyHealthChange(platform, previousHealth, health);
+    return;
+  }
+
+  const accountId = await getAccountId(platform, identity);
+  const payload = buildPayload(platform, cookies, store);
+  const fingerprint = await computeFingerprint(payload);
+
+  // An unchanged session the backend last reported as healthy needs no upload
+  const knownGood = previousHealth?.state !== HEALTH_STATES.CHALLENGE_REQUIRED &&
+    previousHealth?.state !== HEALTH_STATES.INVALID;
+
+  if (accountId && knownGood && !force &&
+      await isUnchanged(platform.id, accountId, fingerprint)) {
+    log.info(`${label} cookies unchanged - skipping upload`);
+    await clearRetry(sessionKey);
+    await recordHistory(platform.id, { trigger, result: 'unchanged' });
+    await updateStatus(platform.id, { error: null, retry: null, health }, session);
+    await notifyHealthChange(platform, previousHealth, health);
+    return;
+  }
+
+  setSyncing(platform.id, true);
+
+  try {
+    // If we have an existing account ID, use sync endpoint
+    // Otherwise, use connect endpoint
+    const path = accountId
+      ? getEndpointPath(platform, 'sync', accountId)
+      : getEndpointPath(platform, 'connect');
+
+    // A connect repeated for this identity must not create a second account
+    const headers = { 'Content-Type': 'application/json' };
+    if (!accountId) {
+      headers['Idempotency-Key'] = await getConnectKey(platform.id, identity);
+    }
+
+    // Refreshes the auth token and retries once on a 401
+    const response = await authorizedFetch(`${getApiUrl()}${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload), // NEVER log this!
+    });
+
+    if (!response || response.status === 401) {
+      // The DialogBrain session is over - nothing to retry until the user logs in
+      log.error(`${label} sync rejected - not logged in to DialogBrain`);
+      await clearRetry(sessionKey);
+      await recordHistory(platform.id, { trigger, result: 'error', httpStatus: response?.status ?? null });
+      await updateStatus(platform.id, {
+        lastAttempt: attemptedAt,
+        error: 'Not logged in',
+        retry: null,
+      }, session);
+    } else if (response.ok) {
+      const data = await response.json();
+
+      // Store account ID for this identity if this was a connect
+      const syncedAccountId = accountId || data.account_id;
+      if (syncedAccountId) {
+        await setAccount(platform.id, identity, { accountId: syncedAccountId, username: data.username });
+      }
+
+      // Only trust the fingerprint while the backend is happy with the
+      // session; otherwise (or if it asks for a resync) upload next time
+      const backendHappy = (data.status || 'connected') === 'connected' && !data.resync_required;
+      if (syncedAccountId && backendHappy) {
+        await storeFingerprint(platform.id, syncedAccountId, fingerprint);
+      }
+
+      // Post-upload health check: did the platform accept the session?
+      const verifiedHealth = applyBackendStatus(platform, health, data.status);
+
+      log.info(`${label} cookies synced successfully (session ${verifiedHealth.state})`);
+      await clearRetry(sessionKey);
+      await clearNotification(NOTIFICATION_TYPES.REPEATED_FAILURES, platform.id);
+      await recordHistory(platform.id, { trigger, result: 'success', httpStatus: response.status });
+      await updateStatus(platform.id, {
+        lastSync: new Date().toISOString(),
+        lastAttempt: attemptedAt,
+        error: null,
+        status: data.status || 'connected',
+        accountId: syncedAccountId || null,
+        ...(data.username && { username: data.username }),
+        retry: null,
+        sessionEnded: null,
+        health: verifiedHealth,
+      }, session);
+      await notifyHealthChange(platform, previousHealth, verifiedHealth);
+    } else {
+      const error = await readResponseError(response);
+      log.error(`${label} sync failed: ${error}`);
+      const retry = await scheduleRetry(sessionKey, {
+        httpStatus: response.status,
+        retryAfter: response.headers.get('Retry-After'),
+      });
+      await recordHistory(platform.id, { trigger, result: 'error', httpStatus: response.status });
+      await updateStatus(platform.id, {
+        lastAttempt: attemptedAt,
+        error,
+        retry,
+      }, session);
+      await notifyFailures(platform, retry, error);
+    }
+  } catch (caught) {
+    const error = describeError(caught);
+    log.error(`${label} sync error:`, error);
+    const retry = await scheduleRetry(sessionKey);
+    await recordHistory(platform.id, { trigger, result: 'error' });
+    await updateStatus(platform.id, {
+      lastAttempt: attemptedAt,
+      error,
+      retry,
+    }, session);
+    await notifyFailures(platform, retry, error);
+  } finally {
+    setSyncing(platform.id, false);
+  }
+}
+
+/**
+ * Sync every registered platform.
+ */
+export function syncAll(trigger, options) {
+  return Promise.all(PLATFORMS.map((platform) => syncPlatform(platform.id, trigger, options)));
+}
@@ -0,0 +1,762 @@
+/**
+ * DialogBrain Cookie Sync - Options Page Script
+ *
+ * Settings are saved to chrome.storage.local; the background worker
+ * picks them up live through chrome.storage.onChanged. Settings locked
+ * by the administrator's policy (see lib/policy.js) are shown disabled
+ * and never saved.
+ */
+
+import { PLATFORMS, getPlatform } from './lib/platforms.js';
+import { DEFAULT_SETTINGS, readSettings, handleStorageChange, onSettingsChanged } from './lib/settings.js';
+import { readHistory, reloadStatusStore } from './lib/status-store.js';
+import { listCookieStores, isStoreAllowed } from './lib/cookie-stores.js';
+import { canIdentify } from './lib/accounts.js';
+import { normalizeOrigin, isReachableOrigin, readAuditLog } from './lib/external.js';
+import { getWebAppMatches } from './lib/browser.js';
+import { isNotificationEnabled } from './lib/notifications.js';
+import { buildDebugBundle } from './lib/debug-bundle.js';
+import { getKeepaliveInterval, readKeepaliveLog } from './lib/keepalive.js';
+import { getSyncInterval, getDebounceMs } from './lib/schedule.js';
+import { MAX_FINGERPRINT_AGE_HOURS, getFingerprintMaxAge, isValidMaxAge } from './lib/fingerprint.js';
+import { TRIGGER_LABELS } from './lib/status-text.js';
+import {
+  CONSENT_POLICY_VERSION,
+  hasConsent,
+  getSyncBlock,
+  createConsent,
+  openConsentPage,
+} from './lib/consent.js';
+import { getLockedSettings, isPlatformAllowed, isLogoutDisabled } from './lib/policy.js';
+import {
+  ENVIRONMENTS,
+  resolveEnvironment,
+  getActiveEnvironment,
+  getHostPermission,
+  checkHealth,
+} from './lib/environments.js';
+
+// Entries shown per platform on this page
+const HISTORY_SHOWN = 10;
+
+// Rejected external messages shown on this page
+const AUDIT_SHOWN = 20;
+
+// Keepalive runs shown on this page
+const KEEPALIVE_SHOWN = 20;
+
+// Longest keepalive interval accepted (a week)
+const MAX_KEEPALIVE_HOURS = 168;
+
+// Longest periodic sync interval accepted (a week, as for the policy)
+const MAX_SYNC_INTERVAL_HOURS = 168;
+
+// Longest cookie change debounce accepted
+const MAX_DEBOUNCE_SECONDS = 300;
+
+// Choices offered per platform on this page
+const PLATFORM_CHOICES = [
+  { value: 'on', label: 'Sync' },
+  { value: 'paused', label: 'Paused' },
+  { value: 'off', label: 'Off' },
+];
+
+const autoSyncToggle = document.getElementById('auto-sync');
+const periodicSyncToggle = document.getElementById('periodic-sync');
+const fingerprintMaxAgeInput = document.getElementById('fingerprint-max-age');
+const notificationToggles = document.querySelectorAll('input[data-notification-type]');
+const environmentSelect = document.getElementById('environment');
+const customUrlRow = document.getElementById('custom-url-row');
+const customApiUrlInput = document.getElementById('custom-api-url');
+const customWebAppUrlInput = document.getElementById('custom-web-app-url');
+const switchEnvBtn = document.getElementById('switch-env-btn');
+const currentApiUrlEl = document.getElementById('current-api-url');
+const currentWebAppUrlEl = document.getElementById('current-web-app-url');
+const clearDataBtn = document.getElementById('clear-data-btn');
+const logLevelSelect = document.getElementById('log-level');
+const exportDebugBtn = document.getElementById('export-debug-btn');
+const saveBtn = document.getElementById('save-btn');
+const resetBtn = document.getElementById('reset-btn');
+const statusMessage = document.getElementById('status-message');
+const historyEl = document.getElementById('history');
+const cookieStoresEl = document.getElementById('cookie-stores');
+const extraOriginsInput = document.getElementById('extra-origins');
+const webAppMatchesEl = document.getElementById('web-app-matches');
+const auditLogEl = document.getElementById('audit-log');
+const syncScheduleEl = document.getElementById('sync-schedule');
+const syncHoursModeSelect = document.getElementById('sync-hours-mode');
+const syncHoursStartInput = document.getElementById('sync-hours-start');
+const syncHoursEndInput = document.getElementById('sync-hours-end');
+const keepaliveToggle = document.getElementById('keepalive-enabled');
+const keepaliveIntervalsEl = document.getElementById('keepalive-intervals');
+const quietStartInput = document.getElementById('quiet-start');
+const quietEndInput = document.getElementById('quiet-end');
+const keepaliveLogEl = document.getElementById('keepalive-log');
+const consentSummaryEl = document.getElementById('consent-summary');
+const platformChoicesEl = document.getElementById('platform-choices');
+const reviewConsentBtn = document.getElementById('review-consent-btn');
+const revokeConsentBtn = document.getElementById('revoke-consent-btn');
+const managedNotice = document.getElementById('managed-notice');
+
+// Settings the policy can lock -> their name here and their controls
+const LOCKABLE_SETTINGS = {
+  auto_sync_enabled: { label: 'auto-sync', controls: [autoSyncToggle] },
+  periodic_sync_enabled: { label: 'periodic sync', controls: [periodicSyncToggle] },
+  sync_intervals: {
+    label: 'sync interval',
+    get controls() {
+      return Array.from(syncScheduleEl.querySelectorAll('input[data-setting="sync_intervals"]'));
+    },
+  },
+  environment: { label: 'environment', controls: [environmentSelect, switchEnvBtn] },
+  custom_api_url: { label: null, controls: [customApiUrlInput, customWebAppUrlInput] },
+  extra_allowed_origins: { label: 'allowed origins', controls: [extraOriginsInput] },
+};
+
+// Setting keys locked by the policy, as last loaded
+let lockedSettings = [];
+
+// Choices for stores not currently visible (e.g. incognito with no window open)
+let cookieStoreSync = {};
+
+// Consent as last loaded; replaced only when the platform selection changes
+let syncConsent = null;
+
+// Load settings
+async function loadSettings() {
+  const settings = await readSettings();
+
+  autoSyncToggle.checked = settings.auto_sync_enabled;
+  periodicSyncToggle.checked = settings.periodic_sync_enabled;
+  renderFingerprintMaxAge(settings);
+  renderNotificationToggles(settings);
+  renderSchedule(settings);
+  renderKeepalive(settings);
+  logLevelSelect.value = settings.log_level;
+  renderEnvironment(settings);
+  extraOriginsInput.value = settings.extra_allowed_origins.join('\n');
+  webAppMatchesEl.textContent = getWebAppMatches().join(', ');
+
+  cookieStoreSync = settings.cookie_store_sync;
+  await renderCookieStores(settings);
+  renderPlatformChoices(settings);
+  renderPolicy(settings);
+}
+
+// Disable what the administrator locked and say what it is
+function renderPolicy(settings) {
+  lockedSettings = getLockedSettings(settings);
+
+  const locked = [];
+  for (const [key, { label, controls }] of Object.entries(LOCKABLE_SETTINGS)) {
+    const isLocked = lockedSettings.includes(key);
+    for (const control of controls) {
+      control.disabled = isLocked;
+      control.title = isLocked ? 'Locked by your administrator' : '';
+    }
+    if (isLocked && label) {
+      locked.push(label);
+    }
+  }
+
+  const logoutDisabled = isLogoutDisabled(settings);
+  clearDataBtn.disabled = logoutDisabled;
+  if (logoutDisabled) {
+    locked.push('clearing data');
+  }
+  if (settings.policy.allowed_platforms) {
+    locked.push('allowed platforms');
+  }
+
+  managedNotice.textContent = `Managed by your administrator: ${locked.join(', ')}.`;
+  managedNotice.style.display = locked.length > 0 ? 'block' : 'none';
+}
+
+// The administrator's values aren't the user's - never save them as such
+function withoutLocked(values) {
+  return Object.fromEntries(Object.entries(values).filter(([key]) => !lockedSettings.includes(key)));
+}
+
+// Consent summary and one Sync/Paused/Off choice per platform
+function renderPlatformChoices(settings) {
+  syncConsent = settings.sync_consent;
+  const consented = hasConsent(settings);
+
+  consentSummaryEl.textContent = consented
+    ? `Consent given ${new Date(syncConsent.grantedAt).toLocaleString()} (policy version ${CONSENT_POLICY_VERSION}).`
+    : 'No consent given yet - nothing is synced. Review the consent to choose platforms.';
+  revokeConsentBtn.disabled = !consented;
+  platformChoicesEl.replaceChildren();
+
+  for (const platform of PLATFORMS) {
+    const row = document.createElement('div');
+    row.className = 'option-row';
+
+    const text = document.createElement('div');
+    const label = document.createElement('div');
+    label.className = 'option-label';
+    label.textContent = platform.name;
+    const description = document.createElement('div');
+    description.className = 'option-description';
+    description.textContent = `Cookies sent: ${platform.cookies.join(', ')}`;
+    text.append(label, description);
+
+    const select = document.createElement('select');
+    select.className = 'env-select';
+    select.dataset.platformId = platform.id;
+    select.replaceChildren(...PLATFORM_CHOICES.map((choice) => new Option(choice.label, choice.value)));
+    const block = getSyncBlock(platform.id, settings);
+    select.value = block === null ? 'on' : block === 'paused' ? 'paused' : 'off';
+    select.disabled = !consented || block === 'blocked_by_policy';
+    if (!isPlatformAllowed(platform.id, settings)) {
+      select.dataset.blocked = 'true';
+      select.title = 'Blocked by your administrator';
+      description.textContent += ' - blocked by your administrator';
+    }
+
+    row.append(text, select);
+    platformChoicesEl.appendChild(row);
+  }
+}
+
+// { sync_consent, paused_platforms } from the platform choices
+function readPlatformChoices() {
+  const selects = Array.from(platformChoicesEl.querySelectorAll('select[data-platform-id]'));
+  const paused = Object.fromEntries(selects.map((select) => [select.dataset.platformId, select.value === 'paused']));
+
+  if (!hasConsent({ sync_consent: syncConsent })) {
+    return { sync_consent: syncConsent, paused_platforms: paused };
+  }
+
+  // Opting platforms in or out is a new consent; pausing isn't.
+  // Blocked platforms keep the user's choice for when they're allowed again.
+  const platformIds = selects
+    .filter((select) => (select.dataset.blocked ? syncConsent.platforms.includes(select.dataset.platformId) : select.value !== 'off'))
+    .map((select) => select.dataset.platformId);
+  const unchanged = platformIds.length === syncConsent.platforms.length &&
+    platformIds.every((id) => syncConsent.platforms.includes(id));
+  return { sync_consent: unchanged ? syncConsent : createConsent(platformIds), paused_platforms: paused };
+}
+
+function renderNotificationToggles(settings) {
+  for (const input of notificationToggles) {
+    input.checked = isNotificationEnabled(input.dataset.notificationType, settings);
+  }
+}
+
+function readNotificationToggles() {
+  return Object.fromEntries(
+    Array.from(notificationToggles, (input) => [input.dataset.notificationType, input.checked])
+  );
+}
+
+function createNumberInput(setting, platformId, max, value) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = '1';
+  input.max = String(max);
+  input.className = 'env-select interval-input';
+  input.dataset.setting = setting;
+  input.dataset.platformId = platformId;
+  input.value = value;
+  return input;
+}
+
+// Interval and debounce per platform, and the sync hours
+function renderSchedule(settings) {
+  syncScheduleEl.replaceChildren();
+
+  for (const platform of PLATFORMS) {
+    const row = document.createElement('div');
+    row.className = 'option-row';
+
+    const label = document.createElement('div');
+    label.className = 'option-label';
+    label.textContent = platform.name;
+
+    const interval = createNumberInput('sync_intervals', platform.id, MAX_SYNC_INTERVAL_HOURS, getSyncInterval(platform.id, settings));
+    // Kept locked when re-rendered (see renderPolicy)
+    interval.disabled = lockedSettings.includes('sync_intervals');
+
+    const inputs = document.createElement('div');
+    inputs.append(
+      'Every ',
+      interval,
+      ' h, settle ',
+      createNumberInput('sync_debounce_seconds', platform.id, MAX_DEBOUNCE_SECONDS, getDebounceMs(platform.id, settings) / 1000),
+      ' s'
+    );
+
+    row.append(label, inputs);
+    syncScheduleEl.appendChild(row);
+  }
+
+  syncHoursModeSelect.value = settings.sync_hours?.mode || '';
+  syncHoursStartInput.value = settings.sync_hours?.start || '';
+  syncHoursEndInput.value = settings.sync_hours?.end || '';
+  updateSyncHoursInputs();
+}
+
+function updateSyncHoursInputs() {
+  const anyTime = syncHoursModeSelect.value === '';
+  syncHoursStartInput.disabled = anyTime;
+  syncHoursEndInput.disabled = anyTime;
+}
+
+// Whole numbers from 1 to max, by platform; null (with a status message) if any isn't
+function readPlatformNumbers(setting, max, message) {
+  const values = {};
+  for (const input of syncScheduleEl.querySelectorAll(`input[data-setting="${setting}"]`)) {
+    const value = Number(input.value);
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+      showStatus(`${message} must be 1-${max}`, 'error');
+      return null;
+    }
+    values[input.dataset.platformId] = value;
+  }
+  return values;
+}
+
+// Schedule settings from the form; null (with a status message) if invalid
+function readSchedule() {
+  const intervals = readPlatformNumbers('sync_intervals', MAX_SYNC_INTERVAL_HOURS, 'Sync intervals (hours)');
+  const debounce = intervals && readPlatformNumbers('sync_debounce_seconds', MAX_DEBOUNCE_SECONDS, 'Settle times (seconds)');
+  if (!debounce) {
+    return null;
+  }
+
+  const mode = syncHoursModeSelect.value;
+  const start = syncHoursStartInput.value;
+  const end = syncHoursEndInput.value;
+  if (mode && (!start || !end)) {
+    showStatus('Set when the sync hours start and end', 'error');
+    return null;
+  }
+  if (mode && start === end) {
+    showStatus('Sync hours must start and end at different times', 'error');
+    return null;
+  }
+
+  return {
+    sync_intervals: intervals,
+    sync_debounce_seconds: debounce,
+    sync_hours: mode ? { mode, start, end } : null,
+  };
+}
+
+function renderFingerprintMaxAge(settings) {
+  fingerprintMaxAgeInput.max = String(MAX_FINGERPRINT_AGE_HOURS);
+  fingerprintMaxAgeInput.value = getFingerprintMaxAge(settings);
+}
+
+// Hours after which unchanged sessions are re-sent; null (with a status message) if invalid
+function readFingerprintMaxAge() {
+  const hours = Number(fingerprintMaxAgeInput.value);
+  if (!isValidMaxAge(hours)) {
+    showStatus(`Re-send unchanged sessions after 1-${MAX_FINGERPRINT_AGE_HOURS} hours`, 'error');
+    return null;
+  }
+  return hours;
+}
+
+// Keepalive toggle, one interval per platform and the quiet hours
+function renderKeepalive(settings) {
+  keepaliveToggle.checked = settings.keepalive_enabled;
+  quietStartInput.value = settings.keepalive_quiet_hours?.start || '';
+  quietEndInput.value = settings.keepalive_quiet_hours?.end || '';
+  keepaliveIntervalsEl.replaceChildren();
+
+  for (const platform of PLATFORMS) {
+    const row = document.createElement('div');
+    row.className = 'option-row';
+
+    const text = document.createElement('div');
+    const label = document.createElement('div');
+    label.className = 'option-label';
+    label.textContent = platform.name;
+    const description = document.createElement('div');
+    description.className = 'option-description';
+    description.textContent = 'Hours without a cookie refresh before a keepalive';
+    text.append(label, description);
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '1';
+    input.max = String(MAX_KEEPALIVE_HOURS);
+    input.className = 'env-select interval-input';
+    input.dataset.platformId = platform.id;
+    input.value = getKeepaliveInterval(platform.id, settings);
+
+    row.append(text, input);
+    keepaliveIntervalsEl.appendChild(row);
+  }
+}
+
+// Keepalive settings from the form; null (with a status message) if invalid
+function readKeepalive() {
+  const intervals = {};
+  for (const input of keepaliveIntervalsEl.querySelectorAll('input[data-platform-id]')) {
+    const hours = Number(input.value);
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_KEEPALIVE_HOURS) {
+      showStatus(`Keepalive intervals must be 1-${MAX_KEEPALIVE_HOURS} hours`, 'error');
+      return null;
+    }
+    intervals[input.dataset.platformId] = hours;
+  }
+
+  const start = quietStartInput.value;
+  const end = quietEndInput.value;
+  if (!start !== !end) {
+    showStatus('Set both ends of the quiet hours, or neither', 'error');
+    return null;
+  }
+
+  return {
+    keepalive_enabled: keepaliveToggle.checked,
+    keepalive_intervals: intervals,
+    keepalive_quiet_hours: start ? { start, end } : null,
+  };
+}
+
+function getStoreLabel(store) {
+  if (store.incognito) return 'Incognito';
+  if (store.isDefault) return 'Default profile';
+  if (store.container) return `Container: ${store.container}`;
+  return `Cookie store ${store.id}`;
+}
+
+// One toggle per cookie store the extension can see
+async function renderCookieStores(settings) {
+  const stores = await listCookieStores();
+  cookieStoresEl.replaceChildren();
+
+  for (const store of stores) {
+    const row = document.createElement('div');
+    row.className = 'option-row';
+
+    const text = document.createElement('div');
+    const label = document.createElement('div');
+    label.className = 'option-label';
+    label.textContent = getStoreLabel(store);
+    const description = document.createElement('div');
+    description.className = 'option-description';
+    description.textContent = store.incognito
+      ? 'Sync sessions from incognito windows'
+      : 'Sync sessions from regular browsing windows';
+    const unsupported = PLATFORMS.filter((platform) => !canIdentify(platform, store));
+    if (unsupported.length > 0) {
+      description.textContent += ` (not ${unsupported.map((platform) => platform.name).join(', ')})`;
+    }
+    text.append(label, description);
+
+    const toggle = document.createElement('label');
+    toggle.className = 'toggle';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.dataset.storeId = store.id;
+    input.checked = isStoreAllowed(store, settings);
+    const slider = document.createElement('span');
+    slider.className = 'toggle-slider';
+    toggle.append(input, slider);
+
+    row.append(text, toggle);
+    cookieStoresEl.appendChild(row);
+  }
+}
+
+// Parse the extra origins box; null (with a status message) if any line is invalid
+function readExtraOrigins() {
+  const lines = extraOriginsInput.value.split('\n').map((line) => line.trim()).filter(Boolean);
+  const origins = [];
+  for (const line of lines) {
+    const origin = normalizeOrigin(line);
+    if (!origin) {
+      showStatus(`Not a valid origin: ${line}`, 'error');
+      return null;
+    }
+    if (!isReachableOrigin(origin)) {
+      showStatus(`Pages on ${origin} can't reach the extension`, 'error');
+      return null;
+    }
+    origins.push(origin);
+  }
+  return [...new Set(origins)];
+}
+
+// Save settings
+async function saveSettings() {
+  const extraOrigins = readExtraOrigins();
+  const schedule = readSchedule();
+  const keepalive = readKeepalive();
+  const fingerprintMaxAge = readFingerprintMaxAge();
+  if (!extraOrigins || !schedule || !keepalive || !fingerprintMaxAge) {
+    return;
+  }
+
+  await chrome.storage.local.set(withoutLocked({
+    ...readPlatformChoices(),
+    ...schedule,
+    ...keepalive,
+    auto_sync_enabled: autoSyncToggle.checked,
+    periodic_sync_enabled: periodicSyncToggle.checked,
+    fingerprint_max_age_hours: fingerprintMaxAge,
+    notification_types: readNotificationToggles(),
+    log_level: logLevelSelect.value,
+    cookie_store_sync: readCookieStoreToggles(),
+    extra_allowed_origins: extraOrigins,
+  }));
+  extraOriginsInput.value = extraOrigins.join('\n');
+
+  showStatus('Settings saved successfully', 'success');
+}
+
+// Show the selected environment
+function renderEnvironment(settings) {
+  environmentSelect.replaceChildren(...ENVIRONMENTS.map((environment) => new Option(environment.name, environment.id)));
+  environmentSelect.value = settings.environment;
+  customApiUrlInput.value = settings.custom_api_url;
+  customWebAppUrlInput.value = settings.custom_web_app_url;
+  const environment = getActiveEnvironment(settings);
+  currentApiUrlEl.textContent = environment.apiUrl;
+  currentWebAppUrlEl.textContent = environment.webAppUrl;
+  updateCustomUrlRow();
+}
+
+function updateCustomUrlRow() {
+  customUrlRow.style.display = environmentSelect.value === 'custom' ? 'block' : 'none';
+}
+
+// Switch backends: get host access, check the backend is healthy, then save
+async function switchEnvironment() {
+  const customWebAppUrl = customWebAppUrlInput.value.trim();
+  const environment = resolveEnvironment(environmentSelect.value, customApiUrlInput.value.trim(), customWebAppUrl);
+  if (!environment) {
+    showStatus('Enter a valid https:// API URL and web app URL', 'error');
+    return;
+  }
+
+  // Must run straight from the click (no await before it) to count as a user gesture
+  const granted = await chrome.permissions.request({ origins: [getHostPermission(environment.apiUrl)] });
+  if (!granted) {
+    showStatus(`Access to ${new URL(environment.apiUrl).host} was not granted`, 'error');
+    return;
+  }
+
+  switchEnvBtn.disabled = true;
+  switchEnvBtn.textContent = 'Checking...';
+  const health = await checkHealth(environment.apiUrl);
+  switchEnvBtn.disabled = false;
+  switchEnvBtn.textContent = 'Switch Environment';
+
+  if (!health.ok) {
+    showStatus(`${environment.name}: ${health.error}`, 'error');
+    return;
+  }
+
+  await chrome.storage.local.set({
+    environment: environment.id,
+    ...(environment.id === 'custom' && {
+      custom_api_url: environment.apiUrl,
+      custom_web_app_url: customWebAppUrl && environment.webAppUrl,
+    }),
+  });
+  renderEnvironment(await readSettings());
+  showStatus(`Switched to ${environment.name}`, 'success');
+}
+
+function readCookieStoreToggles() {
+  const choices = { ...cookieStoreSync };
+  for (const input of cookieStoresEl.querySelectorAll('input[data-store-id]')) {
+    choices[input.dataset.storeId] = input.checked;
+  }
+  return choices;
+}
+
+// Reset to defaults
+async function resetSettings() {
+  autoSyncToggle.checked = DEFAULT_SETTINGS.auto_sync_enabled;
+  periodicSyncToggle.checked = DEFAULT_SETTINGS.periodic_sync_enabled;
+  renderFingerprintMaxAge(DEFAULT_SETTINGS);
+  renderNotificationToggles(DEFAULT_SETTINGS);
+  renderSchedule(DEFAULT_SETTINGS);
+  renderKeepalive(DEFAULT_SETTINGS);
+  logLevelSelect.value = DEFAULT_SETTINGS.log_level;
+  extraOriginsInput.value = DEFAULT_SETTINGS.extra_allowed_origins.join('\n');
+  cookieStoreSync = DEFAULT_SETTINGS.cookie_store_sync;
+  await renderCookieStores(DEFAULT_SETTINGS);
+  await saveSettings();
+}
+
+// Render recent sync history, newest first
+async function loadHistory() {
+  const history = await readHistory();
+  historyEl.replaceChildren();
+
+  for (const platform of PLATFORMS) {
+    const entries = (history[platform.id] || []).slice(-HISTORY_SHOWN).reverse();
+
+    const title = document.createElement('div');
+    title.className = 'history-platform';
+    title.textContent = platform.name;
+
+    const list = document.createElement('ul');
+    list.className = 'history-list';
+
+    if (entries.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = 'No syncs yet';
+      list.appendChild(item);
+    }
+
+    for (const entry of entries) {
+      const item = document.createElement('li');
+      const when = document.createElement('span');
+      when.textContent = `${new Date(entry.at).toLocaleString()} - ${TRIGGER_LABELS[entry.trigger] || entry.trigger}`;
+      const result = document.createElement('span');
+      result.className = `history-result-${entry.result}`;
+      result.textContent = entry.httpStatus ? `${entry.result} (${entry.httpStatus})` : entry.result;
+      item.append(when, result);
+      list.appendChild(item);
+    }
+
+    historyEl.append(title, list);
+  }
+}
+
+// Render recently rejected external messages, newest first
+async function loadAuditLog() {
+  const entries = (await readAuditLog()).slice(-AUDIT_SHOWN).reverse();
+  auditLogEl.replaceChildren();
+
+  if (entries.length === 0) {
+    const item = document.createElement('li');
+    item.textContent = 'None';
+    auditLogEl.appendChild(item);
+  }
+
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    const what = document.createElement('span');
+    what.textContent = `${new Date(entry.at).toLocaleString()} - ${entry.origin || 'unknown origin'}${entry.type ? ` (${entry.type})` : ''}`;
+    const reason = document.createElement('span');
+    reason.className = 'history-result-error';
+    reason.textContent = entry.reason;
+    item.append(what, reason);
+    auditLogEl.appendChild(item);
+  }
+}
+
+// Render recent keepalive runs, newest first
+async function loadKeepaliveLog() {
+  const entries = (await readKeepaliveLog()).slice(-KEEPALIVE_SHOWN).reverse();
+  keepaliveLogEl.replaceChildren();
+
+  if (entries.length === 0) {
+    const item = document.createElement('li');
+    item.textContent = 'None yet';
+    keepaliveLogEl.appendChild(item);
+  }
+
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    const what = document.createElement('span');
+    const name = getPlatform(entry.platform)?.name || entry.platform;
+    what.textContent = `${new Date(entry.at).toLocaleString()} - ${name} (${entry.reason === 'expiring' ? 'expiring soon' : 'idle'})`;
+    const result = document.createElement('span');
+    result.className = entry.result === 'ok' ? 'history-result-success' : 'history-result-error';
+    result.textContent = entry.httpStatus ? `${entry.result} (${entry.httpStatus})` : entry.error || entry.result;
+    item.append(what, result);
+    keepaliveLogEl.appendChild(item);
+  }
+}
+
+// Clear data
+async function clearData() {
+  if (!confirm('This will remove your auth token and account IDs. You will need to reconnect. Continue?')) {
+    return;
+  }
+
+  // Same cleanup as the popup's disconnect, so the worker resets its status too
+  const response = await chrome.runtime.sendMessage({ type: 'LOGOUT' });
+  if (response.error) {
+    showStatus(`Clearing data failed: ${response.error}`, 'error');
+    return;
+  }
+
+  showStatus('Data cleared successfully', 'success');
+}
+
+// Withdraw consent: the worker stops syncing and deletes the stored sessions
+async function revokeConsent() {
+  if (!confirm('DialogBrain will stop syncing every platform and delete the stored sessions. Continue?')) {
+    return;
+  }
+
+  await chrome.storage.local.remove('sync_consent');
+  renderPlatformChoices(await readSettings());
+  showStatus('Consent revoked - stored sessions are being deleted', 'success');
+}
+
+// Download a secret-free debug bundle for support
+async function exportDebugBundle() {
+  exportDebugBtn.disabled = true;
+  try {
+    const bundle = await buildDebugBundle();
+    const url = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `dialogbrain-debug-${bundle.generatedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    showStatus(`Could not build debug bundle: ${error.message}`, 'error');
+  } finally {
+    exportDebugBtn.disabled = false;
+  }
+}
+
+// Show status message
+function showStatus(message, type) {
+  statusMessage.textContent = message;
+  statusMessage.className = `status-message ${type}`;
+
+  setTimeout(() => {
+    statusMessage.className = 'status-message';
+  }, 3000);
+}
+
+// Event listeners
+saveBtn.addEventListener('click', saveSettings);
+resetBtn.addEventListener('click', resetSettings);
+clearDataBtn.addEventListener('click', clearData);
+exportDebugBtn.addEventListener('click', exportDebugBundle);
+reviewConsentBtn.addEventListener('click', () => openConsentPage());
+revokeConsentBtn.addEventListener('click', revokeConsent);
+
+// The debug bundle reads tokens and status through the cached settings:
+// keep them current, and follow an environment switch to its own status
+chrome.storage.onChanged.addListener(handleStorageChange);
+onSettingsChanged((changedKeys) => {
+  if (changedKeys.includes('environment') || changedKeys.includes('custom_api_url')) {
+    reloadStatusStore();
+  }
+});
+
+// Consent given on the consent page (or a pause from the popup) while
+// this page is open, or a new policy
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName === 'managed') {
+    loadSettings();
+  } else if (areaName === 'local' && ('sync_consent' in changes || 'paused_platforms' in changes)) {
+    renderPlatformChoices(await readSettings());
+  }
+});
+environmentSelect.addEventListener('change', updateCustomUrlRow);
+syncHoursModeSelect.addEventListener('change', updateSyncHoursInputs);
+switchEnvBtn.addEventListener('click', switchEnvironment);
+
+// Load on init
+loadSettings();
+loadHistory();
+loadAuditLog();
+loadKeepaliveLog();
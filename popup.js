@@ -5,51 +5,116 @@
  * Only show status information.
  */
 
+import { PLATFORMS, getPlatform } from './lib/platforms.js';
+import { hasTokens } from './lib/auth.js';
+import { readSettings, handleStorageChange } from './lib/settings.js';
+import { getActiveEnvironment } from './lib/environments.js';
+import { HEALTH_STATES } from './lib/health.js';
+import { STATUS_PORT } from './lib/status-push.js';
+import { hasConsent, getSyncBlock, openConsentPage } from './lib/consent.js';
+import { isLogoutDisabled } from './lib/policy.js';
+import {
+  TRIGGER_LABELS,
+  RESULT_LABELS,
+  describeSyncError,
+  formatBackendStatus,
+  formatExpiry,
+  formatTimeAgo,
+} from './lib/status-text.js';
+
 // DOM elements
 const loginSection = document.getElementById('login-section');
+const loginLink = document.getElementById('login-link');
 const mainSection = document.getElementById('main-section');
-const instagramStatus = document.getElementById('instagram-status');
-const instagramInfo = document.getElementById('instagram-info');
-const instagramSyncBtn = document.getElementById('instagram-sync-btn');
-const linkedinStatus = document.getElementById('linkedin-status');
-const linkedinInfo = document.getElementById('linkedin-info');
-const linkedinSyncBtn = document.getElementById('linkedin-sync-btn');
+const platformList = document.getElementById('platform-list');
+const cardTemplate = document.getElementById('platform-card-template');
 const logoutBtn = document.getElementById('logout-btn');
+const environmentLabel = document.getElementById('environment-label');
+const consentBanner = document.getElementById('consent-banner');
+const consentBtn = document.getElementById('consent-btn');
+const managedLabel = document.getElementById('managed-label');
+const syncAllBtn = document.getElementById('sync-all-btn');
+const diagnosticsPanel = document.getElementById('diagnostics');
+const diagnosticsList = document.getElementById('diagnostics-list');
+const webAppSettingsLink = document.getElementById('web-app-settings-link');
+
+// Sync history entries shown per platform
+const TIMELINE_SHOWN = 5;
+
+// Relative times (last sync, expiry countdowns) are redrawn this often
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Card elements per platform id: { statusEl, infoEl, accountList,
+// timelineList, syncBtn, pauseBtn, needsLogin, block }, plus the status and
+// session last shown
+const cards = {};
+
+// Why a platform doesn't sync (see lib/consent.js) -> how its card shows it.
+// Platforms blocked by the administrator have no button.
+const BLOCKED_CARDS = {
+  no_consent: { badge: 'Off', info: () => 'Not synced - choose the platforms to sync first', button: 'Choose Platforms' },
+  blocked_by_policy: { badge: 'Blocked', info: () => 'Not synced - blocked by your administrator', button: null },
+  opted_out: { badge: 'Off', info: (platform) => `Not synced - turn it on to sync your ${platform.name} session`, button: 'Turn On' },
+  paused: { badge: 'Paused', info: () => 'Syncing paused - DialogBrain keeps the last synced session', button: 'Resume' },
+};
+
+// Settings as of the last render (consent and paused platforms)
+let settings = null;
+
+// Port the background worker pushes status through, while connected
+let statusPort = null;
 
 // =============================================================================
 // Status Display
 // =============================================================================
 
-function formatLastSync(dateStr) {
-  if (!dateStr) return 'Never';
-
-  const date = new Date(dateStr);
-  const now = new Date();
-  const diffMs = now - date;
-  const diffMins = Math.floor(diffMs / 60000);
-
-  if (diffMins < 1) return 'Just now';
-  if (diffMins < 60) return `${diffMins} min ago`;
+function formatRetry(retry) {
+  if (!retry) return '';
+  if (!retry.nextAttemptAt) return ' - waiting for network';
 
-  const diffHours = Math.floor(diffMins / 60);
-  if (diffHours < 24) return `${diffHours} hour${diffHours > 1 ? 's' : ''} ago`;
-
-  return date.toLocaleDateString();
+  const diffMins = Math.max(1, Math.ceil((retry.nextAttemptAt - Date.now()) / 60000));
+  return ` - retrying in ${diffMins} min`;
 }
 
 function updatePlatformStatus(platform, status, cookies) {
-  const statusEl = platform === 'instagram' ? instagramStatus : linkedinStatus;
-  const infoEl = platform === 'instagram' ? instagramInfo : linkedinInfo;
-  const syncBtn = platform === 'instagram' ? instagramSyncBtn : linkedinSyncBtn;
+  const card = cards[platform.id];
+  const { statusEl, infoEl, syncBtn, pauseBtn } = card;
+  const healthState = cookies?.hasSession ? status.health?.state : null;
+
+  card.status = status;
+  card.session = cookies;
+  card.block = getSyncBlock(platform.id, settings);
+  pauseBtn.style.display = card.block ? 'none' : 'block';
+  updateSyncAllButton();
 
   // Update status badge
   statusEl.className = 'status-badge';
+  syncBtn.style.display = 'block';
+  card.needsLogin = false;
+
+  if (card.block) {
+    const blocked = BLOCKED_CARDS[card.block];
+    statusEl.classList.add('status-not-logged-in');
+    statusEl.textContent = blocked.badge;
+    infoEl.textContent = blocked.info(platform);
+    syncBtn.disabled = false;
+    syncBtn.textContent = blocked.button;
+    syncBtn.style.display = blocked.button ? 'block' : 'none';
+    renderAccounts(platform, status, cookies);
+    return;
+  }
 
   if (status.syncing) {
     statusEl.classList.add('status-syncing');
     statusEl.textContent = 'Syncing...';
     syncBtn.disabled = true;
     syncBtn.textContent = 'Syncing...';
+  } else if (status.sessionEnded && !cookies?.hasSession) {
+    statusEl.classList.add('status-disconnected');
+    statusEl.textContent = 'Session ended';
+    card.needsLogin = true;
+    syncBtn.disabled = false;
+    syncBtn.textContent = `Log in to ${platform.name}`;
   } else if (status.error === 'Not logged in' || status.error?.includes('Not logged in')) {
     statusEl.classList.add('status-not-logged-in');
     statusEl.textContent = 'Not logged in';
@@ -58,18 +123,37 @@ function updatePlatformStatus(platform, status, cookies) {
   } else if (!cookies?.hasSession) {
     statusEl.classList.add('status-not-logged-in');
     statusEl.textContent = 'No session';
-    syncBtn.disabled = true;
-    syncBtn.textContent = `Login to ${platform === 'instagram' ? 'Instagram' : 'LinkedIn'}`;
-  } else if (status.status === 'connected' || status.lastSync) {
-    statusEl.classList.add('status-connected');
-    statusEl.textContent = 'Connected';
+    card.needsLogin = true;
     syncBtn.disabled = false;
-    syncBtn.textContent = 'Sync Now';
+    syncBtn.textContent = `Login to ${platform.name}`;
+  } else if (healthState === HEALTH_STATES.CHALLENGE_REQUIRED) {
+    statusEl.classList.add('status-disconnected');
+    statusEl.textContent = 'Action needed';
+    card.needsLogin = true;
+    syncBtn.disabled = false;
+    syncBtn.textContent = `Open ${platform.name}`;
+  } else if (healthState === HEALTH_STATES.INVALID) {
+    statusEl.classList.add('status-disconnected');
+    statusEl.textContent = 'Session invalid';
+    card.needsLogin = true;
+    syncBtn.disabled = false;
+    syncBtn.textContent = `Log in to ${platform.name}`;
   } else if (status.error) {
+    // lastSync survives failures now, so check the error first
     statusEl.classList.add('status-disconnected');
     statusEl.textContent = 'Error';
     syncBtn.disabled = false;
     syncBtn.textContent = 'Retry Sync';
+  } else if (healthState === HEALTH_STATES.EXPIRING) {
+    statusEl.classList.add('status-expiring');
+    statusEl.textContent = 'Expiring soon';
+    syncBtn.disabled = false;
+    syncBtn.textContent = 'Sync Now';
+  } else if (status.status === 'connected' || status.lastSync) {
+    statusEl.classList.add('status-connected');
+    statusEl.textContent = 'Connected';
+    syncBtn.disabled = false;
+    syncBtn.textContent = 'Sync Now';
   } else {
     statusEl.classList.add('status-not-logged-in');
     statusEl.textContent = 'Not synced';
@@ -78,24 +162,219 @@ function updatePlatformStatus(platform, status, cookies) {
   }
 
   // Update info text
-  if (status.error && status.error !== 'Not logged in') {
-    infoEl.textContent = `Error: ${status.error}`;
+  if (status.sessionEnded && !cookies?.hasSession) {
+    infoEl.textContent = `Session ended ${formatTimeAgo(status.sessionEnded.at).toLowerCase()} - log in again to resume syncing`;
+  } else if (healthState && healthState !== HEALTH_STATES.VALID) {
+    infoEl.textContent = status.health.message;
+  } else if (status.error && status.error !== 'Not logged in') {
+    const error = `${describeSyncError(status.error, platform)}${formatRetry(status.retry)}`;
+    infoEl.textContent = status.lastSync ? `${error} (last success: ${formatTimeAgo(status.lastSync)})` : error;
   } else if (status.lastSync) {
-    infoEl.textContent = `Last sync: ${formatLastSync(status.lastSync)}`;
+    infoEl.textContent = `Last sync: ${formatTimeAgo(status.lastSync)}`;
   } else {
     infoEl.textContent = 'Not synced yet';
   }
+
+  renderAccounts(platform, status, cookies);
+}
+
+function formatAccountName(identity, account) {
+  const name = account.username ? `@${account.username}` : `ID ${identity}`;
+  return account.incognito ? `${name} (incognito)` : name;
+}
+
+function formatAccountState(account) {
+  if (account.sessionEnded) return 'Session ended';
+  if (account.health?.state === HEALTH_STATES.CHALLENGE_REQUIRED) return 'Security check needed';
+  if (account.health?.state === HEALTH_STATES.INVALID) return 'Session invalid';
+  if (account.error) return 'Sync failed';
+  if (account.health?.state === HEALTH_STATES.EXPIRING) return 'Expiring soon';
+  if (account.lastSync) return `Synced ${formatTimeAgo(account.lastSync).toLowerCase()}`;
+  return 'Not synced yet';
+}
+
+/**
+ * Backend connection, session expiry and the last error of an account,
+ * e.g. "Connected - expires in 12 days".
+ */
+function formatAccountDetails(platform, account) {
+  const details = [formatBackendStatus(account.status)];
+  if (account.health && !account.sessionEnded) {
+    details.push(formatExpiry(account.health.expiresAt));
+  }
+  if (account.error) {
+    details.push(describeSyncError(account.error, platform));
+  }
+  return details.join(' - ');
 }
 
+/**
+ * Whether an account is the one currently logged in to its cookie store.
+ * Accounts synced before stores were tracked only know the platform identity.
+ */
+function isActiveAccount(identity, account, status, cookies) {
+  if (!account.storeId) {
+    return identity === status.identity && !!cookies?.hasSession;
+  }
+  return status.stores?.[account.storeId] === identity && !!cookies?.stores?.[account.storeId];
+}
+
+/**
+ * One row per known platform account. Only accounts logged in to this
+ * browser (in any synced cookie store) have cookies to sync, so only
+ * their buttons are enabled.
+ */
+function renderAccounts(platform, status, cookies) {
+  const { accountList } = cards[platform.id];
+  accountList.replaceChildren();
+
+  for (const [identity, account] of Object.entries(status.accounts || {})) {
+    const isActive = isActiveAccount(identity, account, status, cookies);
+
+    const row = document.createElement('li');
+    row.className = 'account-row';
+
+    const summary = document.createElement('div');
+    summary.className = 'account-summary';
+
+    const name = document.createElement('span');
+    name.className = isActive ? 'account-name active' : 'account-name';
+    name.textContent = formatAccountName(identity, account);
+
+    const state = document.createElement('span');
+    state.className = 'account-state';
+    state.textContent = formatAccountState(account);
+
+    const syncBtn = document.createElement('button');
+    syncBtn.className = 'account-sync-btn';
+    syncBtn.textContent = 'Sync';
+    syncBtn.disabled = !isActive || status.syncing || !!cards[platform.id].block;
+    syncBtn.title = isActive ? '' : `Log in to ${platform.name} as this account to sync it`;
+    syncBtn.addEventListener('click', () => manualSync(platform, account.storeId));
+
+    const details = document.createElement('div');
+    details.className = 'account-details';
+    details.textContent = formatAccountDetails(platform, account);
+
+    summary.append(name, state, syncBtn);
+    row.append(summary, details);
+    accountList.appendChild(row);
+  }
+}
+
+// =============================================================================
+// Sync Timeline
+// =============================================================================
+
+function formatHistoryEntry(entry) {
+  const result = RESULT_LABELS[entry.result] || entry.result;
+  const httpStatus = entry.httpStatus ? ` (HTTP ${entry.httpStatus})` : '';
+  return `${TRIGGER_LABELS[entry.trigger] || entry.trigger}: ${result}${httpStatus}`;
+}
+
+/**
+ * The platform's most recent syncs, newest first.
+ */
+async function renderTimeline(platform) {
+  const card = cards[platform.id];
+  const request = (card.timelineRequest || 0) + 1;
+  card.timelineRequest = request;
+
+  const { [platform.id]: history = [] } = await chrome.runtime.sendMessage({ type: 'GET_HISTORY', platform: platform.id });
+  // A newer update already asked again
+  if (card.timelineRequest !== request) {
+    return;
+  }
+
+  const entries = history.slice(-TIMELINE_SHOWN).reverse();
+  card.timelineList.replaceChildren(...entries.map((entry) => {
+    const item = document.createElement('li');
+    item.className = `timeline-entry timeline-${entry.result}`;
+
+    const label = document.createElement('span');
+    label.textContent = formatHistoryEntry(entry);
+
+    const time = document.createElement('span');
+    time.className = 'timeline-time';
+    time.textContent = formatTimeAgo(entry.at);
+    time.title = new Date(entry.at).toLocaleString();
+
+    item.append(label, time);
+    return item;
+  }));
+  card.timelineEl.style.display = entries.length > 0 ? 'block' : 'none';
+}
+
+// =============================================================================
+// Platform Cards
+// =============================================================================
+
+function renderPlatformCards() {
+  for (const platform of PLATFORMS) {
+    const card = cardTemplate.content.firstElementChild.cloneNode(true);
+    card.querySelector('.platform-icon').src = platform.icon;
+    card.querySelector('.platform-label').textContent = platform.name;
+
+    cards[platform.id] = {
+      statusEl: card.querySelector('.status-badge'),
+      infoEl: card.querySelector('.platform-info'),
+      accountList: card.querySelector('.account-list'),
+      timelineEl: card.querySelector('.timeline'),
+      timelineList: card.querySelector('.timeline-list'),
+      syncBtn: card.querySelector('.sync-btn'),
+      pauseBtn: card.querySelector('.pause-btn'),
+    };
+    cards[platform.id].syncBtn.addEventListener('click', () => {
+      const { block, needsLogin } = cards[platform.id];
+      if (block === 'paused') {
+        setPaused(platform, false);
+      } else if (block) {
+        openConsentPage();
+      } else if (needsLogin) {
+        chrome.tabs.create({ url: platform.loginUrl });
+      } else {
+        manualSync(platform);
+      }
+    });
+    cards[platform.id].pauseBtn.addEventListener('click', () => setPaused(platform, true));
+
+    platformList.appendChild(card);
+  }
+}
+
+// Module scripts run after the document is parsed, so the cards can be
+// rendered right away (before any init() call below)
+renderPlatformCards();
+
 // =============================================================================
 // Initialization
 // =============================================================================
 
+// What the administrator's policy takes away (see lib/policy.js)
+function renderPolicy() {
+  const managed = Object.keys(settings.policy).length > 0;
+  managedLabel.style.display = managed ? 'block' : 'none';
+  logoutBtn.style.display = isLogoutDisabled(settings) ? 'none' : 'block';
+}
+
 async function init() {
-  // Check if user is logged in
-  const storage = await chrome.storage.local.get(['auth_token']);
+  settings = await readSettings();
+  consentBanner.style.display = hasConsent(settings) ? 'none' : 'block';
+
+  // Log in and manage settings on the environment's own web app
+  const environment = getActiveEnvironment(settings);
+  loginLink.href = environment.webAppUrl;
+  webAppSettingsLink.href = `${environment.webAppUrl}/settings`;
+
+  // Make it obvious when we're not talking to production
+  if (environment.id !== 'production') {
+    environmentLabel.textContent = `${environment.name} environment - ${environment.apiUrl}`;
+    environmentLabel.style.display = 'block';
+  }
+  renderPolicy();
 
-  if (!storage.auth_token) {
+  // Check if user is logged in
+  if (!(await hasTokens())) {
     // Show login section
     loginSection.style.display = 'block';
     mainSection.style.display = 'none';
@@ -106,123 +385,207 @@ async function init() {
   loginSection.style.display = 'none';
   mainSection.style.display = 'block';
 
-  // Get current status from background
-  chrome.runtime.sendMessage({ type: 'GET_STATUS' }, (status) => {
-    if (chrome.runtime.lastError) {
-      console.error('Failed to get status:', chrome.runtime.lastError);
-      return;
-    }
+  subscribeToStatus();
+}
+
+/**
+ * Follow status pushed by the background worker (see lib/status-push.js):
+ * a snapshot on connect, then one update per change.
+ */
+function subscribeToStatus() {
+  if (statusPort) {
+    return;
+  }
 
-    // Check cookie presence
-    chrome.runtime.sendMessage({ type: 'CHECK_COOKIES' }, (cookies) => {
-      if (chrome.runtime.lastError) {
-        console.error('Failed to check cookies:', chrome.runtime.lastError);
-        return;
+  statusPort = chrome.runtime.connect({ name: STATUS_PORT });
+
+  statusPort.onMessage.addListener((message) => {
+    if (message.type === 'STATUS_SNAPSHOT') {
+      for (const platform of PLATFORMS) {
+        updatePlatformStatus(platform, message.status[platform.id] || {}, message.sessions[platform.id]);
+        renderTimeline(platform);
+      }
+    } else if (message.type === 'STATUS_UPDATE') {
+      const platform = getPlatform(message.platform);
+      if (platform) {
+        updatePlatformStatus(platform, message.status, message.session);
+        renderTimeline(platform);
       }
+    }
+  });
 
-      updatePlatformStatus('instagram', status.instagram || {}, cookies.instagram);
-      updatePlatformStatus('linkedin', status.linkedin || {}, cookies.linkedin);
-    });
+  // The worker was stopped - reconnecting wakes it and sends a fresh snapshot
+  statusPort.onDisconnect.addListener(() => {
+    statusPort = null;
+    if (mainSection.style.display !== 'none') {
+      subscribeToStatus();
+    }
   });
 }
 
-// =============================================================================
-// Event Handlers
-// =============================================================================
+// hasTokens() looks up the current environment's tokens through the
+// cached settings - keep them current if the environment is switched
+chrome.storage.onChanged.addListener(handleStorageChange);
 
-instagramSyncBtn.addEventListener('click', () => {
-  instagramSyncBtn.disabled = true;
-  instagramSyncBtn.textContent = 'Syncing...';
-  instagramStatus.className = 'status-badge status-syncing';
-  instagramStatus.textContent = 'Syncing...';
-
-  chrome.runtime.sendMessage({ type: 'MANUAL_SYNC', platform: 'instagram' }, (response) => {
-    if (chrome.runtime.lastError) {
-      console.error('Sync failed:', chrome.runtime.lastError);
-      instagramStatus.className = 'status-badge status-disconnected';
-      instagramStatus.textContent = 'Error';
-      instagramSyncBtn.disabled = false;
-      instagramSyncBtn.textContent = 'Retry Sync';
-      return;
-    }
+/**
+ * Consent or pauses changed (here, on the options page or the consent
+ * page), or the administrator's policy did: redraw every card from the
+ * status it last showed.
+ */
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  const choicesChanged = areaName === 'local' && ('sync_consent' in changes || 'paused_platforms' in changes);
+  if (!choicesChanged && areaName !== 'managed') {
+    return;
+  }
 
-    // Re-check cookies and update display
-    chrome.runtime.sendMessage({ type: 'CHECK_COOKIES' }, (cookies) => {
-      updatePlatformStatus('instagram', response.status || {}, cookies?.instagram);
-    });
-  });
+  settings = await readSettings();
+  consentBanner.style.display = hasConsent(settings) ? 'none' : 'block';
+  renderPolicy();
+  redrawCards();
 });
 
-linkedinSyncBtn.addEventListener('click', () => {
-  linkedinSyncBtn.disabled = true;
-  linkedinSyncBtn.textContent = 'Syncing...';
-  linkedinStatus.className = 'status-badge status-syncing';
-  linkedinStatus.textContent = 'Syncing...';
-
-  chrome.runtime.sendMessage({ type: 'MANUAL_SYNC', platform: 'linkedin' }, (response) => {
-    if (chrome.runtime.lastError) {
-      console.error('Sync failed:', chrome.runtime.lastError);
-      linkedinStatus.className = 'status-badge status-disconnected';
-      linkedinStatus.textContent = 'Error';
-      linkedinSyncBtn.disabled = false;
-      linkedinSyncBtn.textContent = 'Retry Sync';
-      return;
+function redrawCards() {
+  for (const platform of PLATFORMS) {
+    const card = cards[platform.id];
+    if (card.status) {
+      updatePlatformStatus(platform, card.status, card.session);
     }
+  }
+}
 
-    // Re-check cookies and update display
-    chrome.runtime.sendMessage({ type: 'CHECK_COOKIES' }, (cookies) => {
-      updatePlatformStatus('linkedin', response.status || {}, cookies?.linkedin);
-    });
-  });
-});
+// Keep "5 min ago" and expiry countdowns current while the popup stays open
+setInterval(redrawCards, REFRESH_INTERVAL_MS);
 
-logoutBtn.addEventListener('click', () => {
-  if (!confirm('Disconnect your DialogBrain account from this extension?')) {
+// =============================================================================
+// Diagnostics
+// =============================================================================
+
+function addDiagnostic(label, value) {
+  const term = document.createElement('dt');
+  term.textContent = label;
+  const description = document.createElement('dd');
+  description.textContent = value;
+  diagnosticsList.append(term, description);
+}
+
+/**
+ * Which cookies a platform has in each store, e.g. "sessionid, ds_user_id
+ * (missing: csrftoken)". Presence only - the worker never sends values.
+ */
+function formatCookiePresence(store) {
+  const names = Object.keys(store.cookies);
+  const present = names.filter((name) => store.cookies[name]);
+  const missing = names.filter((name) => !store.cookies[name]);
+
+  const text = present.length > 0 ? present.join(', ') : 'no cookies';
+  return missing.length > 0 ? `${text} (missing: ${missing.join(', ')})` : text;
+}
+
+/**
+ * Environment, version and cookie presence, for support. Loaded when the
+ * panel is opened.
+ */
+async function renderDiagnostics() {
+  const diagnostics = await chrome.runtime.sendMessage({ type: 'GET_DIAGNOSTICS' });
+  diagnosticsList.replaceChildren();
+  if (diagnostics.error) {
+    addDiagnostic('Error', diagnostics.error);
     return;
   }
 
-  chrome.runtime.sendMessage({ type: 'LOGOUT' }, (response) => {
-    if (chrome.runtime.lastError) {
-      console.error('Logout failed:', chrome.runtime.lastError);
-      return;
+  addDiagnostic('Extension', `v${diagnostics.version}`);
+  addDiagnostic('Environment', `${diagnostics.environment.name} - ${diagnostics.environment.apiUrl}`);
+  addDiagnostic('DialogBrain', diagnostics.loggedIn ? 'Logged in' : 'Not logged in');
+
+  for (const platform of PLATFORMS) {
+    for (const store of diagnostics.cookies[platform.id] || []) {
+      const label = store.incognito ? `${platform.name} (incognito)` : platform.name;
+      addDiagnostic(label, formatCookiePresence(store));
     }
+  }
+}
 
-    // Show login section
-    loginSection.style.display = 'block';
-    mainSection.style.display = 'none';
-  });
+diagnosticsPanel.addEventListener('toggle', () => {
+  if (diagnosticsPanel.open) {
+    renderDiagnostics().catch((error) => console.error('Diagnostics failed:', error));
+  }
 });
 
 // =============================================================================
-// Listen for auth token from web app
+// Event Handlers
 // =============================================================================
 
-// The web app can send auth token via postMessage or URL params
-// This allows seamless login flow from dialogbrain.com
+// Pausing keeps the platform's stored session; the worker stops updating it
+function setPaused(platform, paused) {
+  chrome.storage.local.set({
+    paused_platforms: { ...settings.paused_platforms, [platform.id]: paused },
+  });
+}
 
-window.addEventListener('message', (event) => {
-  // Only accept messages from DialogBrain
-  if (!event.origin.includes('dialogbrain.com') && !event.origin.includes('localhost')) {
-    return;
+consentBtn.addEventListener('click', () => openConsentPage());
+
+async function manualSync(platform, storeId = null) {
+  const { statusEl, syncBtn } = cards[platform.id];
+
+  syncBtn.disabled = true;
+  syncBtn.textContent = 'Syncing...';
+  statusEl.className = 'status-badge status-syncing';
+  statusEl.textContent = 'Syncing...';
+
+  try {
+    await chrome.runtime.sendMessage({ type: 'MANUAL_SYNC', platform: platform.id, storeId });
+    // The result arrives as a status push
+  } catch (error) {
+    console.error('Sync failed:', error);
+    statusEl.className = 'status-badge status-disconnected';
+    statusEl.textContent = 'Error';
+    syncBtn.disabled = false;
+    syncBtn.textContent = 'Retry Sync';
   }
+}
 
-  if (event.data.type === 'DIALOGBRAIN_AUTH_TOKEN') {
-    chrome.runtime.sendMessage({ type: 'SET_AUTH_TOKEN', token: event.data.token }, () => {
-      init(); // Refresh UI
-    });
+// Disabled while a platform syncs; platforms that don't sync are skipped
+function updateSyncAllButton() {
+  const cardList = Object.values(cards);
+  const syncing = syncAllBtn.dataset.syncing === 'true' || cardList.some((card) => card.status?.syncing);
+  syncAllBtn.disabled = syncing || cardList.every((card) => card.block);
+  syncAllBtn.textContent = syncing ? 'Syncing...' : 'Sync all';
+}
+
+syncAllBtn.addEventListener('click', async () => {
+  syncAllBtn.dataset.syncing = 'true';
+  updateSyncAllButton();
+
+  try {
+    await chrome.runtime.sendMessage({ type: 'MANUAL_SYNC', platform: 'all' });
+    // Results arrive as status pushes
+  } catch (error) {
+    console.error('Sync all failed:', error);
+  } finally {
+    syncAllBtn.dataset.syncing = 'false';
+    updateSyncAllButton();
   }
 });
 
-// Check for auth token in URL (for redirect-based login)
-const urlParams = new URLSearchParams(window.location.search);
-const tokenFromUrl = urlParams.get('token');
-if (tokenFromUrl) {
-  chrome.runtime.sendMessage({ type: 'SET_AUTH_TOKEN', token: tokenFromUrl }, () => {
-    // Clear URL params
-    window.history.replaceState({}, '', window.location.pathname);
-    init();
-  });
-}
+logoutBtn.addEventListener('click', async () => {
+  if (!confirm('Disconnect your DialogBrain account from this extension?')) {
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'LOGOUT' });
+    if (response.error) {
+      throw new Error(response.error);
+    }
+  } catch (error) {
+    console.error('Logout failed:', error);
+    return;
+  }
+
+  // Show login section
+  loginSection.style.display = 'block';
+  mainSection.style.display = 'none';
+});
 
 // Initialize on load
 document.addEventListener('DOMContentLoaded', init);
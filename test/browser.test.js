@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { startExtension, logIn, waitFor, sleep } from './helpers/extension.js';
+import { build, buildManifest } from '../dev/build.mjs';
+
+const WEB_APP_PAGE = 'https://app.dialogbrain.com/inbox';
+
+let extension;
+let outDir;
+
+before(async () => {
+  extension = await startExtension();
+  outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cookie-sync-build-'));
+});
+
+after(async () => {
+  fs.rmSync(outDir, { recursive: true, force: true });
+  await extension.stop();
+});
+
+function bridge(message, url = WEB_APP_PAGE) {
+  return extension.chrome.runtime.sendFromContentScript({ type: 'DIALOGBRAIN_BRIDGE', message }, url);
+}
+
+test('the Firefox manifest swaps Chrome-only keys for their Firefox equivalents', async () => {
+  const manifest = JSON.parse(fs.readFileSync(new URL('../manifest.json', import.meta.url), 'utf8'));
+  const firefox = buildManifest(manifest, 'firefox');
+
+  assert.deepEqual(firefox.background, { scripts: ['background.js'], type: 'module' });
+  assert.equal(firefox.externally_connectable, undefined);
+  assert.deepEqual(firefox.content_scripts[0].matches, manifest.externally_connectable.matches);
+  assert.deepEqual(firefox.content_scripts[0].js, ['bridge.js']);
+  assert.equal(firefox.options_ui.page, manifest.options_page);
+  assert.ok(firefox.browser_specific_settings.gecko.id);
+
+  // Pages that can message the extension are the same in both browsers
+  const { getWebAppMatches } = await import('../lib/browser.js');
+  assert.deepEqual(getWebAppMatches(firefox), getWebAppMatches(manifest));
+
+  assert.deepEqual(buildManifest(manifest, 'chrome'), manifest);
+  assert.throws(() => buildManifest(manifest, 'netscape'), /Unknown browser/);
+});
+
+test('each build ships only the files its manifest uses', () => {
+  const chromeDir = build('chrome', { outDir: path.join(outDir, 'chrome') });
+  const firefoxDir = build('firefox', { outDir: path.join(outDir, 'firefox') });
+
+  for (const dir of [chromeDir, firefoxDir]) {
+    assert.ok(fs.existsSync(path.join(dir, 'background.js')));
+    assert.ok(fs.existsSync(path.join(dir, 'lib', 'sync.js')));
+  }
+  assert.equal(fs.existsSync(path.join(chromeDir, 'bridge.js')), false);
+  assert.ok(fs.existsSync(path.join(firefoxDir, 'bridge.js')));
+
+  // Firefox takes policies from policies.json, so its build has no schema
+  assert.ok(fs.existsSync(path.join(chromeDir, 'managed_schema.json')));
+  assert.equal(fs.existsSync(path.join(firefoxDir, 'managed_schema.json')), false);
+});
+
+test('web app messages relayed by the bridge follow the external protocol', async () => {
+  const response = await bridge({ v: 1, type: 'PING' });
+  assert.equal(response.v, 1);
+  assert.equal(response.installed, true);
+
+  // The origin comes from the page URL and is checked the same way
+  const rejected = await bridge({ v: 1, type: 'PING' }, 'https://dialogbrain.com.evil.net/');
+  assert.equal(rejected.error, 'Unauthorized origin');
+  const { external_audit_log: entries } = await extension.chrome.storage.local.get('external_audit_log');
+  assert.equal(entries.at(-1).origin, 'https://dialogbrain.com.evil.net');
+});
+
+test('content scripts cannot send the popup\'s messages', async () => {
+  const { chrome } = extension;
+  const { hasTokens } = await import('../lib/auth.js');
+  await logIn(chrome);
+
+  const response = await chrome.runtime.sendFromContentScript({ type: 'LOGOUT' }, WEB_APP_PAGE);
+
+  assert.equal(response, undefined);
+  assert.equal(await hasTokens(), true);
+});
+
+test('web app status subscriptions work through the bridge', async () => {
+  const { chrome } = extension;
+
+  const client = await chrome.runtime.connectFromContentScript('dialogbrain-bridge:dialogbrain-status:v1', WEB_APP_PAGE);
+  await waitFor(() => client.received.length === 1);
+  assert.equal(client.received[0].v, 1);
+  assert.equal(client.received[0].type, 'STATUS_SNAPSHOT');
+
+  // The popup's own subscription isn't open to content scripts
+  const popupPort = await chrome.runtime.connectFromContentScript('status', WEB_APP_PAGE);
+  await sleep(50);
+  assert.equal(popupPort.received.length, 0);
+});
+
+test('Firefox containers are listed by name', async () => {
+  const { chrome } = extension;
+  const { listCookieStores } = await import('../lib/cookie-stores.js');
+
+  chrome.cookies.stores.push({ id: 'firefox-container-2', incognito: false });
+  chrome.contextualIdentities = { get: async (storeId) => ({ cookieStoreId: storeId, name: 'Work' }) };
+  try {
+    const store = (await listCookieStores()).find((candidate) => candidate.id === 'firefox-container-2');
+    assert.deepEqual(store, { id: 'firefox-container-2', incognito: false, isDefault: false, container: 'Work' });
+  } finally {
+    chrome.cookies.stores.pop();
+    delete chrome.contextualIdentities;
+  }
+});
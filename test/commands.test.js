@@ -0,0 +1,187 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AUTH_TOKEN,
+  INSTAGRAM_COOKIES,
+  startExtension,
+  logIn,
+  logInToInstagram,
+  getPlatformStatus,
+  waitFor,
+  sleep,
+} from './helpers/extension.js';
+
+let extension;
+let commands;
+
+before(async () => {
+  extension = await startExtension();
+  commands = await import('../lib/commands.js');
+
+  await logIn(extension.chrome);
+  logInToInstagram(extension.chrome);
+  await waitFor(async () => (await getPlatformStatus(extension.chrome, 'instagram'))?.lastSync);
+});
+
+after(() => extension.stop());
+
+// Let the alarm poll, as it would once its delay is up
+async function poll() {
+  const { chrome } = extension;
+  chrome.alarms.fire('commands');
+  await waitFor(() => chrome.alarms.alarms.has('commands'));
+  return chrome.alarms.alarms.get('commands');
+}
+
+test('a resync command syncs the platform and is acknowledged', async () => {
+  const { chrome, backend, CONFIG } = extension;
+  assert.ok(chrome.alarms.alarms.has('commands'));
+  const syncs = backend.accounts.get('instagram-1').syncs;
+
+  backend.enqueueCommand({ id: 'cmd-1', type: 'resync', platform: 'instagram', account_id: 'instagram-1', force: true });
+  chrome.alarms.fire('commands');
+  await waitFor(() => backend.acks.length === 1);
+
+  assert.deepEqual(backend.acks[0], { id: 'cmd-1', result: 'ok', data: { status: 'connected' } });
+  assert.equal(backend.accounts.get('instagram-1').syncs, syncs + 1);
+  const { instagram: history } = await chrome.runtime.sendMessage({ type: 'GET_HISTORY', platform: 'instagram' });
+  assert.equal(history.at(-1).trigger, 'command');
+
+  // Commands arrived - poll again soon
+  await waitFor(() => chrome.alarms.alarms.has('commands'));
+  const alarm = chrome.alarms.alarms.get('commands');
+  assert.ok(alarm.scheduledTime - Date.now() <= CONFIG.COMMANDS_POLL_MIN_SECONDS * 1000);
+});
+
+test('polls back off while there are no commands', async () => {
+  const { backend, CONFIG } = extension;
+
+  const first = await poll();
+  const second = await poll();
+  assert.ok(second.scheduledTime - first.scheduledTime >= CONFIG.COMMANDS_POLL_MIN_SECONDS * 1000);
+
+  // The backend may ask for a delay of its own
+  backend.pollAfterSeconds = 300;
+  const requested = await poll();
+  assert.ok(Math.abs(requested.scheduledTime - Date.now() - 300 * 1000) < 1000);
+  backend.pollAfterSeconds = null;
+});
+
+test('unknown commands and platforms are rejected', async () => {
+  const { backend } = extension;
+  const acks = backend.acks.length;
+
+  backend.enqueueCommand({ id: 'cmd-2', type: 'format_disk' });
+  backend.enqueueCommand({ id: 'cmd-3', type: 'resync', platform: 'myspace' });
+  backend.enqueueCommand({ id: 'cmd-4', type: 'resync', platform: 'instagram', account_id: 'instagram-99' });
+  await commands.pollCommands();
+
+  assert.deepEqual(backend.acks.slice(acks).map(({ id, result, error }) => [id, result, error]), [
+    ['cmd-2', 'rejected', 'Unknown command'],
+    ['cmd-3', 'rejected', 'Unknown platform'],
+    ['cmd-4', 'rejected', 'Unknown account'],
+  ]);
+});
+
+test('a command delivered again is acknowledged without running twice', async () => {
+  const { backend } = extension;
+  const syncs = backend.accounts.get('instagram-1').syncs;
+
+  // Its acknowledgement got lost
+  backend.enqueueCommand({ id: 'cmd-1', type: 'resync', platform: 'instagram', force: true });
+  await commands.pollCommands();
+
+  assert.deepEqual(backend.acks.at(-1), { id: 'cmd-1', result: 'ok' });
+  assert.equal(backend.accounts.get('instagram-1').syncs, syncs);
+});
+
+test('diagnostics are reported without secrets', async () => {
+  const { backend } = extension;
+
+  backend.enqueueCommand({ id: 'cmd-5', type: 'report_diagnostics' });
+  await commands.pollCommands();
+
+  const ack = backend.acks.at(-1);
+  assert.equal(ack.result, 'ok');
+  assert.equal(ack.data.bundle.format, 1);
+  const json = JSON.stringify(ack);
+  assert.ok(!json.includes(AUTH_TOKEN));
+  assert.ok(!json.includes(INSTAGRAM_COOKIES.sessionid));
+});
+
+test('a refresh_token command renews the access token', async () => {
+  const { chrome, backend } = extension;
+  const { getTokens } = await import('../lib/auth.js');
+  await logIn(chrome, { refreshToken: 'test-refresh-token-do-not-log' });
+
+  backend.enqueueCommand({ id: 'cmd-6', type: 'refresh_token' });
+  await commands.pollCommands();
+
+  assert.deepEqual(backend.acks.at(-1), { id: 'cmd-6', result: 'ok' });
+  assert.match((await getTokens()).accessToken, /^mock-access-/);
+});
+
+test('commands run right away while the popup is open', async () => {
+  const { chrome, backend, CONFIG } = extension;
+  CONFIG.COMMANDS_LONG_POLL_SECONDS = 1;
+
+  const popup = chrome.runtime.connect({ name: 'status' });
+  await waitFor(() => popup.received.length === 1);
+  await sleep(50);
+
+  backend.enqueueCommand({ id: 'cmd-7', type: 'disconnect', platform: 'instagram', account_id: 'instagram-1' });
+  await waitFor(() => backend.acks.at(-1)?.id === 'cmd-7');
+
+  assert.equal(backend.acks.at(-1).result, 'ok');
+  assert.equal(backend.accounts.get('instagram-1').sessionActive, false);
+  assert.equal((await getPlatformStatus(chrome, 'instagram')).status, 'revoked');
+
+  // The long poll ends with the last subscriber
+  popup.disconnect();
+  await sleep(CONFIG.COMMANDS_LONG_POLL_SECONDS * 1000 + 200);
+  const polls = backend.commandPolls;
+  await sleep(200);
+  assert.equal(backend.commandPolls, polls);
+});
+
+test('a command queued right after an empty long poll runs right away', async () => {
+  const { chrome, backend, CONFIG } = extension;
+  CONFIG.COMMANDS_LONG_POLL_SECONDS = 1;
+  assert.ok(CONFIG.COMMANDS_POLL_MIN_SECONDS >= 60);
+
+  const popup = chrome.runtime.connect({ name: 'status' });
+  await waitFor(() => popup.received.length === 1);
+  const polls = backend.commandPolls;
+
+  // The first long poll is held for its full second and comes back empty
+  await waitFor(() => backend.commandPolls === polls + 1, { timeout: 3000 });
+  backend.enqueueCommand({ id: 'cmd-8', type: 'report_diagnostics' });
+  await waitFor(() => backend.acks.at(-1)?.id === 'cmd-8', { timeout: 3000 });
+
+  popup.disconnect();
+});
+
+test('long polls are spaced out even if the backend answers at once', async () => {
+  const { chrome, backend, CONFIG } = extension;
+  const minSeconds = CONFIG.COMMANDS_POLL_MIN_SECONDS;
+  CONFIG.COMMANDS_LONG_POLL_SECONDS = 0;
+  CONFIG.COMMANDS_POLL_MIN_SECONDS = 0.2;
+  const polls = backend.commandPolls;
+
+  const popup = chrome.runtime.connect({ name: 'status' });
+  await waitFor(() => popup.received.length === 1);
+  await sleep(500);
+  assert.ok(backend.commandPolls - polls >= 2);
+  assert.ok(backend.commandPolls - polls <= 4);
+
+  // A delay asked for by the backend sets the pause
+  backend.pollAfterSeconds = 60;
+  await sleep(300);
+  const asked = backend.commandPolls;
+  await sleep(500);
+  assert.equal(backend.commandPolls, asked);
+
+  popup.disconnect();
+  backend.pollAfterSeconds = null;
+  CONFIG.COMMANDS_POLL_MIN_SECONDS = minSeconds;
+});
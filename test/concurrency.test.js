@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INSTAGRAM_COOKIES,
+  startExtension,
+  logIn,
+  logInToInstagram,
+  getPlatformStatus,
+  waitFor,
+  sleep,
+} from './helpers/extension.js';
+
+const CONNECT_PATH = '/api/channels/instagram/accounts/connect/cookie';
+
+let extension;
+let sync;
+
+before(async () => {
+  extension = await startExtension();
+  sync = await import('../lib/sync.js');
+});
+
+after(() => extension.stop());
+
+function connects() {
+  return extension.backend.requests.filter((request) => request.path === CONNECT_PATH);
+}
+
+async function readHistory() {
+  const stored = await extension.chrome.storage.local.get('sync_history');
+  return stored.sync_history?.instagram || [];
+}
+
+test('syncs started together connect the account once', async () => {
+  const { chrome, backend, CONFIG } = extension;
+
+  // Logged in to Instagram first, so the debounced sync finds no token
+  logInToInstagram(chrome);
+  await sleep(CONFIG.DEBOUNCE_MS * 5);
+  await logIn(chrome);
+
+  await Promise.all([
+    chrome.runtime.sendMessage({ type: 'MANUAL_SYNC', platform: 'instagram' }),
+    chrome.runtime.sendMessage({ type: 'MANUAL_SYNC', platform: 'instagram' }),
+    chrome.alarms.fire('sync:instagram'),
+    chrome.runtime.sendExternal({ v: 1, type: 'TRIGGER_SYNC', platform: 'instagram' }, 'https://app.dialogbrain.com'),
+  ]);
+  await waitFor(async () => !(await getPlatformStatus(chrome, 'instagram')).syncing);
+
+  assert.equal(connects().length, 1);
+  assert.equal(backend.accounts.size, 1);
+  assert.equal((await getPlatformStatus(chrome, 'instagram')).accountId, 'instagram-1');
+});
+
+test('callers mid-flight share the sync, and cookie changes get one trailing sync', async () => {
+  const { TRIGGERS } = await import('../lib/status-store.js');
+  const before = (await readHistory()).length;
+
+  const first = sync.syncPlatform('instagram', TRIGGERS.MANUAL);
+  const changed = sync.syncPlatform('instagram', TRIGGERS.COOKIE_CHANGE);
+  const changedAgain = sync.syncPlatform('instagram', TRIGGERS.COOKIE_CHANGE);
+  const alarm = sync.syncPlatform('instagram', TRIGGERS.ALARM);
+
+  assert.equal(changed, first);
+  assert.equal(changedAgain, first);
+  assert.equal(alarm, first);
+
+  const status = await first;
+  assert.equal(status.error, null);
+
+  const entries = (await readHistory()).slice(before);
+  assert.deepEqual(entries.map(({ trigger, result }) => [trigger, result]), [
+    ['manual', 'success'],
+    ['cookie_change', 'unchanged'],
+  ]);
+});
+
+test('a failed connect is retried with the same idempotency key', async () => {
+  const { chrome, backend } = extension;
+  const cookies = { ...INSTAGRAM_COOKIES, ds_user_id: '1123581321' };
+  backend.failWith = 500;
+
+  logInToInstagram(chrome, { cookies });
+  await waitFor(() => connects().length === 2);
+  await waitFor(async () => (await getPlatformStatus(chrome, 'instagram')).retry);
+
+  backend.failWith = null;
+  await chrome.runtime.sendMessage({ type: 'MANUAL_SYNC', platform: 'instagram' });
+
+  const [, failed, succeeded] = connects();
+  assert.ok(failed.idempotencyKey);
+  assert.equal(succeeded.idempotencyKey, failed.idempotencyKey);
+  assert.notEqual(failed.idempotencyKey, connects()[0].idempotencyKey);
+  assert.equal((await getPlatformStatus(chrome, 'instagram')).accountId, 'instagram-2');
+
+  // Connected: the key is done with
+  const stored = await chrome.storage.local.get(null);
+  const keys = Object.entries(stored).find(([key]) => key.startsWith('connect_keys'))?.[1];
+  assert.deepEqual(keys.instagram, {});
+});
+
+test('a repeated idempotency key resolves to the same backend account', async () => {
+  const { backend } = extension;
+  const connect = () => fetch(`${backend.url}${CONNECT_PATH}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer test', 'Idempotency-Key': 'key-1' },
+    body: JSON.stringify({ sessionid: 'x' }),
+  }).then((response) => response.json());
+
+  const first = await connect();
+  const second = await connect();
+
+  assert.equal(second.account_id, first.account_id);
+});
@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INSTAGRAM_URL,
+  startExtension,
+  logIn,
+  logInToInstagram,
+  getPlatformStatus,
+  waitFor,
+  sleep,
+} from './helpers/extension.js';
+
+let extension;
+let createConsent;
+
+before(async () => {
+  extension = await startExtension({ consent: false });
+  ({ createConsent } = await import('../lib/consent.js'));
+  await logIn(extension.chrome);
+});
+
+after(() => extension.stop());
+
+function consentTo(platformIds) {
+  return extension.chrome.storage.local.set({ sync_consent: createConsent(platformIds) });
+}
+
+async function readHistory() {
+  const stored = await extension.chrome.storage.local.get('sync_history');
+  return stored.sync_history?.instagram || [];
+}
+
+test('nothing is synced before consent, and install asks for it', async () => {
+  const { chrome, backend, CONFIG } = extension;
+
+  logInToInstagram(chrome);
+  await sleep(CONFIG.DEBOUNCE_MS * 5);
+  await chrome.runtime.sendMessage({ type: 'MANUAL_SYNC', platform: 'instagram' });
+  await Promise.all(chrome.runtime.onInstalled.dispatch({ reason: 'install' }));
+
+  assert.equal(backend.requests.length, 0);
+  assert.deepEqual(chrome.tabs.opened, ['chrome-extension://test-extension-id/consent.html']);
+});
+
+test('consenting to a platform syncs only that platform', async () => {
+  const { chrome, backend } = extension;
+
+  await consentTo(['instagram']);
+  await waitFor(async () => (await getPlatformStatus(chrome, 'instagram')).lastSync);
+
+  assert.deepEqual(backend.requests.map((request) => request.path), ['/api/channels/instagram/accounts/connect/cookie']);
+});
+
+test('a paused platform keeps its session but stops syncing', async () => {
+  const { chrome, backend, CONFIG } = extension;
+  const requests = backend.requests.length;
+
+  await chrome.storage.local.set({ paused_platforms: { instagram: true } });
+  chrome.cookies.setCookie({ url: INSTAGRAM_URL, name: 'mid', value: 'ig-mid-rotated-do-not-log' });
+  await sleep(CONFIG.DEBOUNCE_MS * 5);
+  await chrome.runtime.sendMessage({ type: 'MANUAL_SYNC', platform: 'instagram' });
+
+  assert.equal(backend.requests.length, requests);
+  assert.equal(backend.accounts.get('instagram-1').sessionActive, true);
+  // Nothing on the badge is about a platform that isn't synced
+  await waitFor(() => chrome.action.badge.text === '');
+
+  // Resuming catches up on the change made while paused
+  await chrome.storage.local.set({ paused_platforms: { instagram: false } });
+  await waitFor(() => backend.requests.length === requests + 1);
+  assert.equal(backend.requests.at(-1).path, '/api/channels/instagram/accounts/instagram-1/sync-cookie');
+  await waitFor(() => chrome.action.badge.text === 'OK');
+});
+
+test('opting a platform out deletes its stored session', async () => {
+  const { chrome, backend } = extension;
+
+  await consentTo([]);
+  await waitFor(async () => (await getPlatformStatus(chrome, 'instagram')).status === 'revoked');
+
+  const request = backend.requests.at(-1);
+  assert.equal(request.path, '/api/channels/instagram/accounts/instagram-1/disconnect');
+  assert.deepEqual(request.fields, ['reason']);
+  assert.equal(backend.accounts.get('instagram-1').sessionActive, false);
+  assert.equal((await readHistory()).at(-1).result, 'revoked');
+});
+
+test('revoking consent stops syncing and deletes every stored session', async () => {
+  const { chrome, backend, CONFIG } = extension;
+
+  // Opting in again resumes syncing into the same account
+  await consentTo(['instagram']);
+  await waitFor(async () => (await getPlatformStatus(chrome, 'instagram')).status === 'connected');
+  assert.equal(backend.accounts.get('instagram-1').sessionActive, true);
+
+  await chrome.storage.local.remove('sync_consent');
+  await waitFor(async () => (await getPlatformStatus(chrome, 'instagram')).status === 'revoked');
+  assert.equal(backend.requests.at(-1).path, '/api/channels/instagram/accounts/instagram-1/disconnect');
+  assert.equal(backend.accounts.get('instagram-1').sessionActive, false);
+
+  const requests = backend.requests.length;
+  chrome.cookies.setCookie({ url: INSTAGRAM_URL, name: 'mid', value: 'ig-mid-again-do-not-log' });
+  await sleep(CONFIG.DEBOUNCE_MS * 5);
+  assert.equal(backend.requests.length, requests);
+
+  // No periodic syncs either: the alarm is gone, and one firing anyway doesn't sync
+  await waitFor(() => !chrome.alarms.alarms.has('sync:instagram'));
+  chrome.alarms.create('sync:instagram', { when: Date.now() });
+  await chrome.alarms.fire('sync:instagram');
+  await sleep(CONFIG.DEBOUNCE_MS * 5);
+  assert.equal(backend.requests.length, requests);
+  assert.equal(chrome.alarms.alarms.has('sync:instagram'), false);
+});
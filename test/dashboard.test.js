@@ -0,0 +1,56 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AUTH_TOKEN,
+  INSTAGRAM_COOKIES,
+  startExtension,
+  logIn,
+  logInToInstagram,
+  getPlatformStatus,
+  waitFor,
+} from './helpers/extension.js';
+
+let extension;
+
+before(async () => {
+  extension = await startExtension();
+
+  await logIn(extension.chrome);
+  logInToInstagram(extension.chrome);
+  await waitFor(async () => (await getPlatformStatus(extension.chrome, 'instagram'))?.lastSync);
+});
+
+after(() => extension.stop());
+
+test('sync all syncs every platform', async () => {
+  const { chrome } = extension;
+  await waitFor(async () => !(await getPlatformStatus(chrome, 'instagram')).syncing);
+  const { instagram: before } = await chrome.runtime.sendMessage({ type: 'GET_HISTORY', platform: 'instagram' });
+
+  const response = await chrome.runtime.sendMessage({ type: 'MANUAL_SYNC', platform: 'all' });
+
+  assert.equal(response.success, true);
+  assert.ok(response.status.instagram && response.status.linkedin);
+  const { instagram: history } = await chrome.runtime.sendMessage({ type: 'GET_HISTORY', platform: 'instagram' });
+  assert.equal(history.length, before.length + 1);
+  assert.equal(history.at(-1).trigger, 'manual');
+});
+
+test('diagnostics show cookie presence, never values', async () => {
+  const { chrome, backend } = extension;
+
+  const diagnostics = await chrome.runtime.sendMessage({ type: 'GET_DIAGNOSTICS' });
+
+  assert.equal(diagnostics.version, chrome.runtime.getManifest().version);
+  assert.deepEqual(diagnostics.environment, { id: 'custom', name: 'Custom URL', apiUrl: backend.url });
+  assert.equal(diagnostics.loggedIn, true);
+  const [store] = diagnostics.cookies.instagram;
+  assert.equal(store.cookies.sessionid, true);
+  assert.ok(Object.values(store.cookies).every((present) => typeof present === 'boolean'));
+
+  const json = JSON.stringify(diagnostics);
+  assert.ok(!json.includes(AUTH_TOKEN));
+  for (const value of Object.values(INSTAGRAM_COOKIES)) {
+    assert.ok(!json.includes(value));
+  }
+});
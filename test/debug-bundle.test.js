@@ -0,0 +1,42 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INSTAGRAM_COOKIES,
+  AUTH_TOKEN,
+  startExtension,
+  logIn,
+  logInToInstagram,
+  getPlatformStatus,
+  waitFor,
+} from './helpers/extension.js';
+
+let extension;
+
+before(async () => {
+  extension = await startExtension();
+});
+
+after(() => extension.stop());
+
+test('the debug bundle carries no cookie value or token', async () => {
+  const { chrome } = extension;
+  await logIn(chrome);
+  logInToInstagram(chrome);
+  await waitFor(async () => (await getPlatformStatus(chrome, 'instagram'))?.lastSync);
+
+  // A value redact() can't recognize on its own is caught by the final check
+  await chrome.storage.local.set({ sync_history: { instagram: [{ trigger: `user ${INSTAGRAM_COOKIES.ds_user_id}` }] } });
+
+  const { buildDebugBundle } = await import('../lib/debug-bundle.js');
+  const bundle = await buildDebugBundle();
+  const json = JSON.stringify(bundle);
+
+  for (const secret of [...Object.values(INSTAGRAM_COOKIES), AUTH_TOKEN]) {
+    assert.equal(json.includes(secret), false, 'secret found in the bundle');
+  }
+  assert.equal(bundle.loggedIn, true);
+  assert.equal(bundle.status.instagram.identity, 'account-1');
+  assert.equal(bundle.history.instagram[0].trigger, 'user [REDACTED]');
+  assert.equal(bundle.verification.secretsChecked, Object.keys(INSTAGRAM_COOKIES).length + 1);
+  assert.equal(bundle.verification.secretsMasked, 1);
+});
@@ -0,0 +1,282 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INSTAGRAM_COOKIES,
+  AUTH_TOKEN,
+  startExtension,
+  logIn,
+  logInToInstagram,
+  getPlatformStatus,
+  waitFor,
+} from './helpers/extension.js';
+import { assertNothingLeaked } from './helpers/console.js';
+
+const RETRY_ALARM = 'retry:instagram@0';
+const REFRESH_TOKEN = 'test-refresh-token-do-not-log';
+
+let extension;
+
+before(async () => {
+  extension = await startExtension();
+  await logIn(extension.chrome);
+});
+
+after(() => extension.stop());
+
+function syncInstagram() {
+  return extension.chrome.runtime.sendMessage({ type: 'MANUAL_SYNC', platform: 'instagram' });
+}
+
+test('a server error is recorded and retried through an alarm', async () => {
+  const { chrome, backend } = extension;
+  backend.failWith = 500;
+
+  logInToInstagram(chrome);
+  await waitFor(() => chrome.alarms.alarms.has(RETRY_ALARM));
+
+  const status = await getPlatformStatus(chrome, 'instagram');
+  assert.equal(status.error, 'HTTP 500: Forced failure');
+  assert.equal(status.retry.attempts, 1);
+  assert.equal(status.lastSync, null);
+});
+
+test('the retry alarm syncs again once the backend recovers', async () => {
+  const { chrome, backend } = extension;
+  backend.failWith = null;
+
+  await chrome.alarms.fire(RETRY_ALARM);
+  await waitFor(async () => (await getPlatformStatus(chrome, 'instagram')).lastSync);
+
+  const status = await getPlatformStatus(chrome, 'instagram');
+  assert.equal(status.error, null);
+  assert.equal(status.retry, null);
+  assert.equal(status.accountId, 'instagram-1');
+  assert.equal(chrome.alarms.alarms.has(RETRY_ALARM), false);
+});
+
+test('syncs queued while offline are retried by an alarm once the network is back', async () => {
+  const { chrome, backend } = extension;
+  const { fetch } = globalThis;
+  backend.failWith = null;
+
+  navigator.onLine = false;
+  globalThis.fetch = async () => {
+    throw new TypeError('Failed to fetch');
+  };
+  try {
+    await syncInstagram();
+    assert.equal((await getPlatformStatus(chrome, 'instagram')).retry.nextAttemptAt, null);
+    assert.ok(chrome.alarms.alarms.get('offlineRetry').periodInMinutes > 0);
+
+    // Still offline: the alarm leaves the queue alone
+    await chrome.alarms.fire('offlineRetry');
+    assert.ok((await getPlatformStatus(chrome, 'instagram')).retry);
+  } finally {
+    navigator.onLine = true;
+    globalThis.fetch = fetch;
+  }
+
+  await chrome.alarms.fire('offlineRetry');
+  await waitFor(async () => (await getPlatformStatus(chrome, 'instagram')).retry === null);
+  assert.equal((await getPlatformStatus(chrome, 'instagram')).error, null);
+  assert.equal(chrome.alarms.alarms.has('offlineRetry'), false);
+});
+
+test('client errors are not retried', async () => {
+  const { chrome, backend } = extension;
+  backend.failWith = 422;
+
+  const { status } = await syncInstagram();
+
+  assert.equal(status.error, 'HTTP 422: Forced failure');
+  assert.equal(status.retry, null);
+  assert.equal(chrome.alarms.alarms.has(RETRY_ALARM), false);
+});
+
+test('repeated failures notify the user once', async () => {
+  const { chrome, backend, CONFIG } = extension;
+  backend.failWith = 503;
+
+  for (let attempt = 0; attempt < CONFIG.FAILURE_NOTIFY_ATTEMPTS + 1; attempt++) {
+    await syncInstagram();
+  }
+
+  const shown = chrome.notifications.shown.filter((notification) => notification.id === 'repeated_failures:instagram');
+  assert.equal(shown.length, 1);
+  assert.match(shown[0].message, /failed to sync 3 times in a row \(HTTP 503: Forced failure\)/);
+});
+
+test('cookie values echoed back in an error body are masked', async () => {
+  const { backend } = extension;
+  backend.failWith = 400;
+  backend.failDetail = `Bad cookie: sessionid=${INSTAGRAM_COOKIES.sessionid}; csrftoken=${INSTAGRAM_COOKIES.csrftoken}`;
+
+  const { status } = await syncInstagram();
+
+  assert.equal(status.error, 'HTTP 400: Bad cookie: sessionid=[REDACTED]; csrftoken=[REDACTED]');
+  backend.failDetail = 'Forced failure';
+});
+
+test('a 401 is retried once with a refreshed token', async () => {
+  const { chrome, backend } = extension;
+  backend.failWith = null;
+  await logIn(chrome, { refreshToken: REFRESH_TOKEN });
+  backend.expiredTokens.add(AUTH_TOKEN);
+  const requests = backend.requests.length;
+
+  try {
+    const { status } = await syncInstagram();
+
+    assert.equal(status.error, null);
+    const [rejected, retried, ...rest] = backend.requests.slice(requests);
+    assert.equal(rejected.token, AUTH_TOKEN);
+    assert.match(retried.token, /^mock-access-\d+$/);
+    assert.equal(retried.path, rejected.path);
+    assert.deepEqual(rest, []);
+  } finally {
+    backend.expiredTokens.clear();
+  }
+});
+
+test('an access token about to expire is refreshed before it is sent', async () => {
+  const { chrome, backend } = extension;
+  await logIn(chrome, { refreshToken: REFRESH_TOKEN, expiresAt: Date.now() + 60 * 1000 });
+  backend.expiredTokens.add(AUTH_TOKEN);
+  const requests = backend.requests.length;
+
+  try {
+    const { status } = await syncInstagram();
+
+    assert.equal(status.error, null);
+    assert.equal(backend.requests.length, requests + 1);
+    assert.match(backend.requests.at(-1).token, /^mock-access-\d+$/);
+  } finally {
+    backend.expiredTokens.clear();
+  }
+});
+
+test('tokens are stored encrypted', () => {
+  const { chrome } = extension;
+
+  // The refresh token and the access token refreshed above
+  const sealed = Object.entries(chrome.storage.local.data).filter(([key]) => key.startsWith('auth_tokens'));
+  assert.equal(sealed.length, 1);
+  assert.deepEqual(Object.keys(sealed[0][1]).sort(), ['data', 'iv']);
+
+  const stored = JSON.stringify(chrome.storage.local.data);
+  for (const token of [AUTH_TOKEN, REFRESH_TOKEN, 'mock-access-']) {
+    assert.ok(!stored.includes(token), `${token} is not stored in plaintext`);
+  }
+});
+
+test('a 401 logs the extension out of DialogBrain', async () => {
+  const { chrome, backend } = extension;
+  backend.failWith = 401;
+
+  const { status } = await syncInstagram();
+
+  assert.equal(status.error, 'Not logged in');
+  assert.equal(status.retry, null);
+  assert.equal(chrome.notifications.shown.at(-1).id, 'auth_expired:');
+  assert.deepEqual(Object.keys(chrome.storage.local.data).filter((key) => key.startsWith('auth_tokens')), []);
+
+  const requests = backend.requests.length;
+  await syncInstagram();
+  assert.equal(backend.requests.length, requests, 'no requests without a token');
+});
+
+test('an unexpected failure is recorded and the popup still gets an answer', async () => {
+  const { chrome, backend } = extension;
+  backend.failWith = null;
+  await logIn(chrome);
+  const { get } = chrome.cookies;
+  chrome.cookies.get = async () => {
+    throw new Error('Cookie access failed');
+  };
+
+  try {
+    const response = await syncInstagram();
+
+    assert.equal(response.status.error, 'Cookie access failed');
+    assert.equal(response.status.syncing, false);
+  } finally {
+    chrome.cookies.get = get;
+  }
+
+  const { status } = await syncInstagram();
+  assert.equal(status.error, null);
+});
+
+test('background work that fails shows up in the status', async () => {
+  const { chrome } = extension;
+  const { create } = chrome.alarms;
+  chrome.alarms.create = () => {
+    throw new Error('Alarm quota exceeded');
+  };
+
+  try {
+    await chrome.storage.local.set({ sync_intervals: { instagram: 2 } });
+    await waitFor(async () => (await getPlatformStatus(chrome, 'instagram')).error === 'Scheduling syncs failed: Alarm quota exceeded');
+  } finally {
+    chrome.alarms.create = create;
+  }
+});
+
+test('LinkedIn sessions outside the default store are skipped, not retried', async () => {
+  const { chrome, backend } = extension;
+  backend.failWith = null;
+  await logIn(chrome);
+  chrome.cookies.stores.push({ id: '1', incognito: true });
+  await chrome.storage.local.set({ cookie_store_sync: { 1: true } });
+
+  try {
+    const requests = backend.requests.length;
+    chrome.cookies.setCookie({ url: 'https://www.linkedin.com', name: 'li_at', value: 'li-at-incognito-do-not-log', storeId: '1' });
+    await waitFor(async () => {
+      const { linkedin } = await chrome.runtime.sendMessage({ type: 'GET_HISTORY', platform: 'linkedin' });
+      return linkedin.at(-1)?.result === 'skipped';
+    });
+
+    assert.equal(chrome.alarms.alarms.has('retry:linkedin@1'), false);
+    assert.equal((await getPlatformStatus(chrome, 'linkedin')).retry, null);
+    assert.equal(backend.requests.length, requests);
+  } finally {
+    chrome.cookies.stores.pop();
+    await chrome.storage.local.set({ cookie_store_sync: {} });
+  }
+});
+
+test('a queued retry is dropped once its cookie store is gone', async () => {
+  const { chrome, backend } = extension;
+  const { fetch } = globalThis;
+  backend.failWith = null;
+  chrome.cookies.stores.push({ id: '1', incognito: true });
+  await chrome.storage.local.set({ cookie_store_sync: { 1: true } });
+
+  navigator.onLine = false;
+  globalThis.fetch = async () => {
+    throw new TypeError('Failed to fetch');
+  };
+  try {
+    logInToInstagram(chrome, { storeId: '1' });
+    await waitFor(() => chrome.alarms.alarms.has('offlineRetry'));
+  } finally {
+    navigator.onLine = true;
+    globalThis.fetch = fetch;
+  }
+
+  // The last incognito window is closed before the network is back
+  chrome.cookies.stores.pop();
+  try {
+    await chrome.alarms.fire('offlineRetry');
+    await waitFor(() => !chrome.alarms.alarms.has('offlineRetry'));
+    const { retry_queue: queue } = await chrome.storage.local.get('retry_queue');
+    assert.deepEqual(queue, {});
+  } finally {
+    await chrome.storage.local.set({ cookie_store_sync: {} });
+  }
+});
+
+test('cookie and token values never reach the console', () => {
+  assertNothingLeaked(extension.logs, [...Object.values(INSTAGRAM_COOKIES).filter((value) => value.includes('do-not-log')), AUTH_TOKEN, REFRESH_TOKEN]);
+});
@@ -0,0 +1,205 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startExtension, logIn, waitFor } from './helpers/extension.js';
+import { assertNothingLeaked } from './helpers/console.js';
+
+const WEB_APP = 'https://app.dialogbrain.com';
+const HANDOFF_TOKEN = 'web-app-token-do-not-log';
+
+let extension;
+
+before(async () => {
+  extension = await startExtension();
+});
+
+after(() => extension.stop());
+
+function send(message, origin = WEB_APP) {
+  return extension.chrome.runtime.sendExternal(message, origin);
+}
+
+async function readAuditLog() {
+  const { external_audit_log: entries = [] } = await extension.chrome.storage.local.get('external_audit_log');
+  return entries;
+}
+
+test('answers a versioned PING from an allowed origin', async () => {
+  const response = await send({ v: 1, type: 'PING' });
+
+  assert.equal(response.v, 1);
+  assert.equal(response.installed, true);
+  assert.equal(response.error, undefined);
+});
+
+test('rejects origins that only look like DialogBrain', async () => {
+  for (const origin of ['https://dialogbrain.com.evil.net', 'https://evil-dialogbrain.com', 'http://dialogbrain.com']) {
+    const response = await send({ v: 1, type: 'GET_STATUS' }, origin);
+
+    assert.equal(response.error, 'Unauthorized origin', origin);
+    assert.equal(response.installed, undefined);
+  }
+
+  const entries = await readAuditLog();
+  assert.deepEqual(entries.map((entry) => entry.origin), [
+    'https://dialogbrain.com.evil.net',
+    'https://evil-dialogbrain.com',
+    'http://dialogbrain.com',
+  ]);
+});
+
+test('only allows the local web app with the local environment', async () => {
+  const response = await send({ v: 1, type: 'PING' }, 'http://localhost:3000');
+
+  assert.equal(response.error, 'Unauthorized origin');
+});
+
+test('allows origins added on the options page that the manifest lets through', async () => {
+  await extension.chrome.storage.local.set({
+    extra_allowed_origins: ['https://staging.dialogbrain.com', 'https://dialogbrain.example.org'],
+  });
+
+  const response = await send({ v: 1, type: 'PING' }, 'https://staging.dialogbrain.com');
+  assert.equal(response.installed, true);
+
+  // The browser never delivers messages from pages outside externally_connectable
+  const unreachable = await send({ v: 1, type: 'PING' }, 'https://dialogbrain.example.org');
+  assert.equal(unreachable.error, 'Unauthorized origin');
+  await extension.chrome.storage.local.set({ extra_allowed_origins: [] });
+});
+
+test('rejects messages that break the protocol', async () => {
+  assert.match((await send({ type: 'PING' })).error, /Unsupported protocol version/);
+  assert.equal((await send({ v: 1, type: 'DELETE_EVERYTHING' })).error, 'Unknown message type');
+  assert.equal((await send({ v: 1, type: 'PING', extra: true })).error, 'Unexpected field: extra');
+  assert.equal((await send({ v: 1, type: 'TRIGGER_SYNC', platform: 'myspace' })).error, 'Invalid field: platform');
+});
+
+test('refuses an auth token without a backend-signed nonce', async () => {
+  const response = await send({ v: 1, type: 'SET_AUTH_TOKEN', token: HANDOFF_TOKEN, nonce: 'made-up', signature: 'AAAA' });
+
+  assert.equal(response.success, false);
+  assert.equal(response.error, 'Unknown or expired nonce');
+  assert.deepEqual(Object.keys(extension.chrome.storage.local.data).filter((key) => key.startsWith('auth_tokens')), []);
+});
+
+test('accepts a signed token handoff exactly once', async () => {
+  const { nonce } = await send({ v: 1, type: 'AUTH_CHALLENGE' });
+
+  // The web app has the backend vouch for its token
+  const signing = await fetch(`${extension.backend.url}/api/extension/handoff`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${HANDOFF_TOKEN}` },
+    body: JSON.stringify({ nonce, origin: WEB_APP }),
+  });
+  const { signature } = await signing.json();
+  const handoff = { v: 1, type: 'SET_AUTH_TOKEN', token: HANDOFF_TOKEN, nonce, signature };
+
+  assert.equal((await send(handoff)).success, true);
+  assert.equal(Object.keys(extension.chrome.storage.local.data).filter((key) => key.startsWith('auth_tokens')).length, 1);
+
+  const replay = await send(handoff);
+  assert.equal(replay.success, false);
+  assert.equal(replay.error, 'Unknown or expired nonce');
+});
+
+test('concurrent challenges and replays keep every nonce single-use', async () => {
+  const sign = async (nonce) => {
+    const signing = await fetch(`${extension.backend.url}/api/extension/handoff`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${HANDOFF_TOKEN}` },
+      body: JSON.stringify({ nonce, origin: WEB_APP }),
+    });
+    return { v: 1, type: 'SET_AUTH_TOKEN', token: HANDOFF_TOKEN, nonce, signature: (await signing.json()).signature };
+  };
+
+  // No challenge overwrites another's nonce
+  const challenges = await Promise.all([1, 2, 3].map(() => send({ v: 1, type: 'AUTH_CHALLENGE' })));
+  const handoffs = await Promise.all(challenges.map(({ nonce }) => sign(nonce)));
+
+  // The same handoff sent twice at once is accepted once
+  const results = await Promise.all([...handoffs, handoffs[0]].map((handoff) => send(handoff)));
+  assert.equal(results[1].success && results[2].success, true);
+  const [first, replay] = [results[0], results[3]].sort((a, b) => b.success - a.success);
+  assert.equal(first.success, true);
+  assert.equal(replay.error, 'Unknown or expired nonce');
+});
+
+test('refuses a refresh token or expiry the backend did not sign', async () => {
+  const { nonce } = await send({ v: 1, type: 'AUTH_CHALLENGE' });
+  const signing = await fetch(`${extension.backend.url}/api/extension/handoff`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${HANDOFF_TOKEN}` },
+    body: JSON.stringify({ nonce, origin: WEB_APP, refresh_token: 'signed-refresh-do-not-log' }),
+  });
+  const { signature } = await signing.json();
+
+  const tampered = await send({
+    v: 1,
+    type: 'SET_AUTH_TOKEN',
+    token: HANDOFF_TOKEN,
+    refreshToken: 'swapped-refresh-do-not-log',
+    expiresAt: Date.now() + 60 * 60 * 1000,
+    nonce,
+    signature,
+  });
+
+  assert.equal(tampered.success, false);
+  assert.equal(tampered.error, 'Invalid signature');
+});
+
+test('extension pages cannot set a token without a handoff', async () => {
+  const { chrome } = extension;
+  const { clearTokens, hasTokens } = await import('../lib/auth.js');
+  await clearTokens();
+
+  const response = await chrome.runtime.sendMessage({ type: 'SET_AUTH_TOKEN', token: HANDOFF_TOKEN });
+
+  assert.equal(response, undefined);
+  assert.equal(await hasTokens(), false);
+});
+
+test('refuses status subscriptions from unknown origins or versions', async () => {
+  const { chrome } = extension;
+
+  const rejected = await chrome.runtime.connectExternal('dialogbrain-status:v1', 'https://dialogbrain.com.evil.net');
+  const outdated = await chrome.runtime.connectExternal('dialogbrain-status:v0', WEB_APP);
+  const accepted = await chrome.runtime.connectExternal('dialogbrain-status:v1', WEB_APP);
+
+  assert.equal(rejected.disconnected, true);
+  assert.equal(outdated.disconnected, true);
+  await waitFor(() => accepted.received.length > 0);
+  assert.equal(accepted.disconnected, false);
+  assert.equal(accepted.received[0].v, 1);
+  assert.equal(accepted.received[0].type, 'STATUS_SNAPSHOT');
+});
+
+test('tokens never reach the console or the audit log', async () => {
+  assertNothingLeaked(extension.logs, [HANDOFF_TOKEN]);
+  assert.ok(!JSON.stringify(await readAuditLog()).includes(HANDOFF_TOKEN));
+});
+
+test('logs in from the custom environment\'s own web app', async () => {
+  const { chrome } = extension;
+  const webApp = 'https://acme.dialogbrain.com';
+
+  const before = await send({ v: 1, type: 'PING' }, webApp);
+  assert.equal(before.error, 'Unauthorized origin');
+
+  await chrome.storage.local.set({ custom_web_app_url: webApp });
+  const response = await logIn(chrome, { token: HANDOFF_TOKEN, origin: webApp });
+  assert.equal(response.success, true);
+
+  // An expired login sends the user back to that web app
+  chrome.notifications.onClicked.dispatch('auth_expired:');
+  await waitFor(() => chrome.tabs.opened.at(-1) === webApp);
+
+  // A web app outside externally_connectable can't reach the extension,
+  // so it isn't allowed either
+  await chrome.storage.local.set({ custom_web_app_url: 'https://app.example.com' });
+  const unreachable = await send({ v: 1, type: 'PING' }, 'https://app.example.com');
+  assert.equal(unreachable.error, 'Unauthorized origin');
+
+  await chrome.storage.local.remove('custom_web_app_url');
+  const previous = await send({ v: 1, type: 'PING' }, webApp);
+  assert.equal(previous.error, 'Unauthorized origin');
+});
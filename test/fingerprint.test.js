@@ -0,0 +1,33 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeFake } from './helpers/chrome.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let fingerprint;
+
+before(async () => {
+  installChromeFake();
+  fingerprint = await import('../lib/fingerprint.js');
+});
+
+test('the max age falls back to the default unless it is a valid number of hours', () => {
+  const { getFingerprintMaxAge } = fingerprint;
+
+  assert.equal(getFingerprintMaxAge({ fingerprint_max_age_hours: 6 }), 6);
+  assert.equal(getFingerprintMaxAge({ fingerprint_max_age_hours: null }), 24);
+  assert.equal(getFingerprintMaxAge({ fingerprint_max_age_hours: 0 }), 24);
+  assert.equal(getFingerprintMaxAge({ fingerprint_max_age_hours: 1.5 }), 24);
+  assert.equal(getFingerprintMaxAge({ fingerprint_max_age_hours: 1000 }), 24);
+});
+
+test('an unchanged payload is uploaded again once older than the max age', async (t) => {
+  const { computeFingerprint, storeFingerprint, isUnchanged } = fingerprint;
+  const hash = await computeFingerprint({ sessionid: 'fingerprint-test-do-not-log' });
+  await storeFingerprint('instagram', 'instagram-1', hash);
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 7 * HOUR_MS });
+  assert.equal(await isUnchanged('instagram', 'instagram-1', hash, { fingerprint_max_age_hours: 8 }), true);
+  assert.equal(await isUnchanged('instagram', 'instagram-1', hash, { fingerprint_max_age_hours: 6 }), false);
+  assert.equal(await isUnchanged('instagram', 'instagram-1', 'other', { fingerprint_max_age_hours: 8 }), false);
+});
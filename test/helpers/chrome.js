@@ -0,0 +1,397 @@
+/**
+ * DialogBrain Cookie Sync - chrome.* Fake
+ *
+ * In-memory stand-in for the extension APIs the worker uses, installed
+ * on globalThis so background.js and lib/ run unmodified under
+ * `node --test`. Besides the chrome.* surface, the fake has helpers to
+ * drive it the way the browser would: set or remove cookies (firing
+ * cookies.onChanged with a cause and store), fire alarms, and send
+ * messages or open ports from the popup or a web page.
+ */
+
+import fs from 'node:fs';
+
+// The real (Chrome) manifest, with a version of its own
+const MANIFEST = {
+  ...JSON.parse(fs.readFileSync(new URL('../../manifest.json', import.meta.url), 'utf8')),
+  version: '0.0.0-test',
+};
+
+/**
+ * A chrome.events.Event with a way to fire it.
+ */
+function createEvent() {
+  const listeners = [];
+  return {
+    addListener: (listener) => listeners.push(listener),
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener: (listener) => listeners.includes(listener),
+    dispatch: (...args) => listeners.map((listener) => listener(...args)),
+  };
+}
+
+function createStorageArea(areaName, onChanged) {
+  const data = {};
+
+  function pick(keys) {
+    if (keys == null) return structuredClone(data);
+    if (typeof keys === 'string') keys = [keys];
+
+    const defaults = Array.isArray(keys) ? {} : keys;
+    const result = {};
+    for (const key of Array.isArray(keys) ? keys : Object.keys(keys)) {
+      if (key in data) {
+        result[key] = structuredClone(data[key]);
+      } else if (key in defaults) {
+        result[key] = defaults[key];
+      }
+    }
+    return result;
+  }
+
+  function change(changes) {
+    if (Object.keys(changes).length > 0) {
+      onChanged.dispatch(changes, areaName);
+    }
+  }
+
+  return {
+    data,
+    get: async (keys) => pick(keys),
+    set: async (items) => {
+      const changes = {};
+      for (const [key, value] of Object.entries(items)) {
+        changes[key] = { oldValue: data[key], newValue: structuredClone(value) };
+        data[key] = structuredClone(value);
+      }
+      change(changes);
+    },
+    remove: async (keys) => {
+      const changes = {};
+      for (const key of [].concat(keys)) {
+        if (key in data) {
+          changes[key] = { oldValue: data[key] };
+          delete data[key];
+        }
+      }
+      change(changes);
+    },
+    clear: async () => {
+      const changes = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, { oldValue: value }]));
+      for (const key of Object.keys(data)) delete data[key];
+      change(changes);
+    },
+  };
+}
+
+/**
+ * Cookie jar keyed by store, URL and name.
+ */
+function createCookies() {
+  const jar = new Map();
+  const onChanged = createEvent();
+  const stores = [{ id: '0', tabIds: [] }];
+  const keyOf = ({ url, name, storeId = '0' }) => `${storeId}|${url}|${name}`;
+
+  return {
+    stores,
+    onChanged,
+    get: async (details) => structuredClone(jar.get(keyOf(details)) ?? null),
+    getAll: async ({ storeId = '0' } = {}) => [...jar.values()].filter((cookie) => cookie.storeId === storeId),
+    getAllCookieStores: async () => structuredClone(stores),
+
+    /**
+     * Set a cookie as a website would, firing onChanged.
+     */
+    setCookie({ url, name, value, storeId = '0', expirationDate }) {
+      const cookie = { name, value, domain: `.${new URL(url).hostname.replace(/^www\./, '')}`, path: '/', storeId };
+      if (expirationDate !== undefined) cookie.expirationDate = expirationDate;
+      jar.set(keyOf({ url, name, storeId }), cookie);
+      onChanged.dispatch({ removed: false, cookie: structuredClone(cookie), cause: 'explicit' });
+    },
+
+    /**
+     * Remove a cookie, firing onChanged with the given cause
+     * ('explicit', 'expired', 'evicted', 'overwrite', ...).
+     */
+    removeCookie({ url, name, storeId = '0', cause = 'explicit' }) {
+      const key = keyOf({ url, name, storeId });
+      const cookie = jar.get(key);
+      if (!cookie) return;
+      jar.delete(key);
+      onChanged.dispatch({ removed: true, cookie: structuredClone(cookie), cause });
+    },
+  };
+}
+
+function createAlarms() {
+  const alarms = new Map();
+  const onAlarm = createEvent();
+
+  return {
+    alarms,
+    onAlarm,
+    create: (name, info = {}) => {
+      alarms.set(name, {
+        name,
+        scheduledTime: info.when ?? Date.now() + (info.delayInMinutes ?? info.periodInMinutes ?? 0) * 60000,
+        periodInMinutes: info.periodInMinutes,
+      });
+    },
+    clear: async (name) => alarms.delete(name),
+    clearAll: async () => {
+      alarms.clear();
+      return true;
+    },
+    get: async (name) => alarms.get(name),
+    getAll: async () => [...alarms.values()],
+
+    /**
+     * Fire an alarm now (one-shot alarms are removed first, like Chrome does).
+     */
+    fire(name) {
+      const alarm = alarms.get(name);
+      if (!alarm) throw new Error(`No alarm named ${name}`);
+      if (!alarm.periodInMinutes) alarms.delete(name);
+      return Promise.all(onAlarm.dispatch(alarm));
+    },
+  };
+}
+
+/**
+ * Deliver a message the way chrome.runtime does: a listener that returns
+ * true keeps the channel open until it calls sendResponse.
+ */
+function deliver(event, message, sender) {
+  return new Promise((resolve) => {
+    let answered = false;
+    const sendResponse = (response) => {
+      if (!answered) {
+        answered = true;
+        resolve(response);
+      }
+    };
+    const results = event.dispatch(structuredClone(message), sender, sendResponse);
+    if (!answered && !results.includes(true)) {
+      resolve(undefined);
+    }
+  });
+}
+
+/**
+ * One end of a runtime port; the other end is what the worker sees.
+ * Messages the worker posts are collected in `received`.
+ */
+function createPort(name, sender) {
+  const received = [];
+  const onMessage = createEvent();
+  const onDisconnect = createEvent();
+  const client = { name, received, disconnected: false, onMessage: createEvent() };
+
+  const port = {
+    name,
+    sender,
+    onMessage,
+    onDisconnect,
+    postMessage: (message) => {
+      if (client.disconnected) throw new Error('Attempting to use a disconnected port object');
+      received.push(structuredClone(message));
+      client.onMessage.dispatch(structuredClone(message));
+    },
+    disconnect: () => {
+      client.disconnected = true;
+    },
+  };
+
+  client.postMessage = (message) => onMessage.dispatch(structuredClone(message), port);
+  client.disconnect = () => {
+    client.disconnected = true;
+    onDisconnect.dispatch(port);
+  };
+  return { port, client };
+}
+
+function createRuntime() {
+  const runtime = {
+    id: 'test-extension-id',
+    lastError: undefined,
+    onMessage: createEvent(),
+    onMessageExternal: createEvent(),
+    onConnect: createEvent(),
+    onConnectExternal: createEvent(),
+    onInstalled: createEvent(),
+    onStartup: createEvent(),
+    openedOptionsPage: 0,
+    getManifest: () => structuredClone(MANIFEST),
+    getURL: (path) => `chrome-extension://test-extension-id/${path}`,
+    openOptionsPage: async () => { runtime.openedOptionsPage++; },
+    sendMessage: (message) => deliver(runtime.onMessage, message, { id: runtime.id }),
+
+    /**
+     * Send a message from a web page (runtime.sendMessage(extensionId, ...)).
+     */
+    sendExternal: (message, origin) => deliver(runtime.onMessageExternal, message, { origin, url: `${origin}/` }),
+
+    /**
+     * Open a port from an extension page, e.g. the popup.
+     */
+    connect: ({ name = '' } = {}) => {
+      const { port, client } = createPort(name, { id: runtime.id });
+      runtime.onConnect.dispatch(port);
+      return client;
+    },
+
+    /**
+     * Open a port from a web page (runtime.connect(extensionId, ...)).
+     */
+    connectExternal: async (name, origin) => {
+      const { port, client } = createPort(name, { origin, url: `${origin}/` });
+      await Promise.all(runtime.onConnectExternal.dispatch(port));
+      return client;
+    },
+
+    /**
+     * Send a message from our content script in a web page (Firefox
+     * only reports the page URL, not its origin).
+     */
+    sendFromContentScript: (message, url) => deliver(runtime.onMessage, message, { id: runtime.id, url, tab: { id: 1, url } }),
+
+    /**
+     * Open a port from our content script in a web page.
+     */
+    connectFromContentScript: async (name, url) => {
+      const { port, client } = createPort(name, { id: runtime.id, url, tab: { id: 1, url } });
+      await Promise.all(runtime.onConnect.dispatch(port));
+      return client;
+    },
+  };
+  return runtime;
+}
+
+/**
+ * Just enough IndexedDB for auth.js to keep its CryptoKey.
+ */
+function createIndexedDB() {
+  const databases = new Map();
+
+  function request(run) {
+    const req = {};
+    queueMicrotask(() => {
+      try {
+        req.result = run();
+        req.onsuccess?.();
+      } catch (error) {
+        req.error = error;
+        req.onerror?.();
+      }
+    });
+    return req;
+  }
+
+  return {
+    open(name) {
+      const isNew = !databases.has(name);
+      if (isNew) databases.set(name, new Map());
+      const stores = databases.get(name);
+
+      const db = {
+        close() {},
+        createObjectStore: (storeName) => stores.set(storeName, new Map()),
+        transaction: (storeName) => ({
+          objectStore: () => {
+            const records = stores.get(storeName);
+            return {
+              get: (key) => request(() => records.get(key)),
+              put: (value, key) => request(() => records.set(key, value)),
+              delete: (key) => request(() => records.delete(key)),
+            };
+          },
+        }),
+      };
+
+      const req = {};
+      queueMicrotask(() => {
+        req.result = db;
+        if (isNew) req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    },
+  };
+}
+
+/**
+ * Install a fresh fake on globalThis and return it.
+ */
+export function installChromeFake() {
+  const storageChanged = createEvent();
+  const notificationsShown = [];
+  const tabsOpened = [];
+  const badge = { text: '', color: null, title: null };
+  const grantedOrigins = new Set();
+
+  const chrome = {
+    cookies: createCookies(),
+    storage: {
+      onChanged: storageChanged,
+      local: createStorageArea('local', storageChanged),
+      session: createStorageArea('session', storageChanged),
+      // Read-only in the browser; tests set it the way an administrator would
+      managed: createStorageArea('managed', storageChanged),
+    },
+    alarms: createAlarms(),
+    runtime: createRuntime(),
+    notifications: {
+      shown: notificationsShown,
+      onClicked: createEvent(),
+      create: async (id, options) => {
+        notificationsShown.push({ id, ...options });
+        return id;
+      },
+      clear: async (id) => {
+        const index = notificationsShown.findIndex((notification) => notification.id === id);
+        if (index !== -1) notificationsShown.splice(index, 1);
+        return index !== -1;
+      },
+    },
+    action: {
+      badge,
+      setBadgeText: async ({ text }) => { badge.text = text; },
+      setBadgeBackgroundColor: async ({ color }) => { badge.color = color; },
+      setTitle: async ({ title }) => { badge.title = title; },
+    },
+    tabs: {
+      opened: tabsOpened,
+      create: async ({ url }) => {
+        tabsOpened.push(url);
+        return { id: tabsOpened.length, url };
+      },
+    },
+    permissions: {
+      contains: async ({ origins = [] }) => origins.every((origin) => grantedOrigins.has(origin)),
+      request: async ({ origins = [] }) => {
+        origins.forEach((origin) => grantedOrigins.add(origin));
+        return true;
+      },
+    },
+  };
+
+  globalThis.chrome = chrome;
+  globalThis.indexedDB = createIndexedDB();
+  globalThis.self = globalThis;
+  Object.defineProperty(globalThis, 'navigator', {
+    value: { onLine: true, userAgent: 'Mozilla/5.0 (DialogBrain test)' },
+    configurable: true,
+    writable: true,
+  });
+  if (!globalThis.addEventListener) {
+    const target = new EventTarget();
+    globalThis.addEventListener = target.addEventListener.bind(target);
+    globalThis.removeEventListener = target.removeEventListener.bind(target);
+    globalThis.dispatchEvent = target.dispatchEvent.bind(target);
+  }
+  return chrome;
+}
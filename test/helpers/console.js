@@ -0,0 +1,47 @@
+/**
+ * DialogBrain Cookie Sync - Console Capture
+ *
+ * Records everything written through console.* so tests can check that
+ * no cookie value ever reaches the logs (see the SECURITY notes in
+ * background.js and lib/sync.js). Captured output is kept out of the
+ * test report; set DEBUG_LOGS=1 to print it as well.
+ */
+
+import assert from 'node:assert/strict';
+import { format } from 'node:util';
+
+const METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+/**
+ * Start capturing console output.
+ * @returns {{lines: string[], restore: () => void}}
+ */
+export function captureConsole() {
+  const lines = [];
+  const originals = {};
+
+  for (const method of METHODS) {
+    originals[method] = console[method];
+    console[method] = (...args) => {
+      lines.push(format(...args));
+      if (process.env.DEBUG_LOGS) {
+        originals[method](...args);
+      }
+    };
+  }
+
+  return {
+    lines,
+    restore: () => Object.assign(console, originals),
+  };
+}
+
+/**
+ * Fail if any of the given secret values shows up in captured output.
+ */
+export function assertNothingLeaked(lines, secrets) {
+  for (const secret of secrets) {
+    const leak = lines.find((line) => line.includes(secret));
+    assert.equal(leak, undefined, `Secret value reached the console: ${leak}`);
+  }
+}
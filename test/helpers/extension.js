@@ -0,0 +1,118 @@
+/**
+ * DialogBrain Cookie Sync - Test Harness
+ *
+ * Boots the real background worker against the chrome.* fake and a mock
+ * backend on a free local port (selected as a custom environment).
+ *
+ * The worker keeps module state for its lifetime, just like in the
+ * browser, so each test file boots it once and its tests run in order
+ * against the same instance.
+ */
+
+import { installChromeFake } from './chrome.js';
+import { captureConsole } from './console.js';
+import { startMockBackend } from '../../dev/mock-backend.mjs';
+
+export const INSTAGRAM_URL = 'https://www.instagram.com';
+
+// Recognizable cookie values; none of them may ever be logged
+export const INSTAGRAM_COOKIES = {
+  sessionid: 'ig-sessionid-3f9a1c0d-do-not-log',
+  csrftoken: 'ig-csrftoken-77b2e5a1-do-not-log',
+  ds_user_id: '4815162342',
+  mid: 'ig-mid-c0ffee42-do-not-log',
+};
+
+export const AUTH_TOKEN = 'test-access-token-do-not-log';
+
+/**
+ * Start the worker. Console output is captured from here on.
+ * Every platform is consented to unless `consent` is false.
+ */
+export async function startExtension({ consent = true } = {}) {
+  const logs = captureConsole();
+  const chrome = installChromeFake();
+  const backend = await startMockBackend({ port: 0, quiet: true });
+
+  await chrome.storage.local.set({ environment: 'custom', custom_api_url: backend.url });
+  if (consent) {
+    const { createConsent } = await import('../../lib/consent.js');
+    const { PLATFORMS } = await import('../../lib/platforms.js');
+    await chrome.storage.local.set({ sync_consent: createConsent(PLATFORMS.map((platform) => platform.id)) });
+  }
+
+  // Keep debounced syncs fast
+  const { CONFIG } = await import('../../lib/config.js');
+  CONFIG.DEBOUNCE_MS = 20;
+
+  await import('../../background.js');
+
+  return {
+    chrome,
+    backend,
+    CONFIG,
+    logs: logs.lines,
+    async stop() {
+      await backend.close();
+      logs.restore();
+    },
+  };
+}
+
+// Web app origin that hands tokens to the extension
+export const WEB_APP_ORIGIN = 'https://app.dialogbrain.com';
+
+/**
+ * Log in to DialogBrain the way the web app does: a token handoff the
+ * mock backend signs (see lib/external.js).
+ */
+export async function logIn(chrome, { token = AUTH_TOKEN, refreshToken, expiresAt, origin = WEB_APP_ORIGIN } = {}) {
+  const { nonce } = await chrome.runtime.sendExternal({ v: 1, type: 'AUTH_CHALLENGE' }, origin);
+
+  const { custom_api_url: apiUrl } = await chrome.storage.local.get('custom_api_url');
+  const signing = await fetch(`${apiUrl}/api/extension/handoff`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+    body: JSON.stringify({ nonce, origin, refresh_token: refreshToken, expires_at: expiresAt }),
+  });
+  const { signature } = await signing.json();
+
+  return chrome.runtime.sendExternal(
+    { v: 1, type: 'SET_AUTH_TOKEN', token, refreshToken, expiresAt, nonce, signature },
+    origin,
+  );
+}
+
+/**
+ * Log in to Instagram: the site sets its cookies one by one.
+ */
+export function logInToInstagram(chrome, { storeId = '0', cookies = INSTAGRAM_COOKIES } = {}) {
+  for (const [name, value] of Object.entries(cookies)) {
+    chrome.cookies.setCookie({ url: INSTAGRAM_URL, name, value, storeId });
+  }
+}
+
+/**
+ * Current status of a platform, as the popup sees it.
+ */
+export async function getPlatformStatus(chrome, platformId) {
+  const status = await chrome.runtime.sendMessage({ type: 'GET_STATUS' });
+  return status[platformId];
+}
+
+/**
+ * Wait until a (possibly async) condition holds.
+ */
+export async function waitFor(condition, { timeout = 2000, interval = 10 } = {}) {
+  const deadline = Date.now() + timeout;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,138 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INSTAGRAM_URL,
+  startExtension,
+  logIn,
+  logInToInstagram,
+  getPlatformStatus,
+  waitFor,
+  sleep,
+} from './helpers/extension.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let extension;
+let keepalive;
+
+// Requests the keepalive made to Instagram
+const pings = [];
+const realFetch = globalThis.fetch;
+
+before(async () => {
+  extension = await startExtension();
+  keepalive = await import('../lib/keepalive.js');
+
+  // Instagram answers and rotates the session cookie, as it does for a browser
+  globalThis.fetch = async (url, options) => {
+    if (String(url).startsWith(INSTAGRAM_URL)) {
+      pings.push({ url: String(url), credentials: options?.credentials });
+      extension.chrome.cookies.setCookie({ url: INSTAGRAM_URL, name: 'sessionid', value: `ig-sessionid-rotated-${pings.length}` });
+      return new Response('<html></html>', { status: 200 });
+    }
+    return realFetch(url, options);
+  };
+
+  await logIn(extension.chrome);
+  logInToInstagram(extension.chrome);
+  await waitFor(async () => (await getPlatformStatus(extension.chrome, 'instagram'))?.lastSync);
+});
+
+after(async () => {
+  // Let the syncs of the last rotated cookies finish
+  await sleep(extension.CONFIG.DEBOUNCE_MS * 5);
+  await waitFor(async () => !(await getPlatformStatus(extension.chrome, 'instagram')).syncing);
+
+  globalThis.fetch = realFetch;
+  await extension.stop();
+});
+
+function setKeepaliveState(state) {
+  return extension.chrome.storage.local.set({ keepalive_state: { instagram: state } });
+}
+
+function formatTime(date) {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+test('nothing runs while the keepalive is off', async () => {
+  await setKeepaliveState({ lastRefresh: Date.now() - 48 * HOUR_MS });
+
+  assert.deepEqual(await keepalive.runKeepalive(), []);
+  assert.equal(extension.chrome.alarms.alarms.has('keepalive'), false);
+  assert.equal(pings.length, 0);
+});
+
+test('an idle session is kept alive and its rotated cookies synced', async () => {
+  const { chrome, backend } = extension;
+  await chrome.storage.local.set({ keepalive_enabled: true });
+  await waitFor(() => chrome.alarms.alarms.has('keepalive'));
+  const requests = backend.requests.length;
+
+  await chrome.alarms.fire('keepalive');
+  await waitFor(async () => (await keepalive.readKeepaliveLog()).length === 1);
+
+  assert.deepEqual(pings, [{ url: `${INSTAGRAM_URL}/`, credentials: 'include' }]);
+  const [entry] = await keepalive.readKeepaliveLog();
+  assert.equal(entry.platform, 'instagram');
+  assert.equal(entry.reason, 'idle');
+  assert.equal(entry.result, 'ok');
+  assert.equal(entry.httpStatus, 200);
+
+  await waitFor(() => backend.requests.length === requests + 1);
+  assert.equal(backend.requests.at(-1).path, '/api/channels/instagram/accounts/instagram-1/sync-cookie');
+});
+
+test('a platform is kept alive at most once per interval', async () => {
+  assert.deepEqual(await keepalive.runKeepalive(), []);
+  assert.equal(pings.length, 1);
+});
+
+test('intervals are per platform', async () => {
+  const { chrome } = extension;
+  await chrome.storage.local.set({ keepalive_intervals: { instagram: 2 } });
+  await setKeepaliveState({ lastRefresh: Date.now() - 3 * HOUR_MS, lastRun: Date.now() - 3 * HOUR_MS });
+
+  const [entry] = await keepalive.runKeepalive();
+
+  assert.equal(entry.reason, 'idle');
+  assert.equal(pings.length, 2);
+});
+
+test('a session about to expire is kept alive even if recently used', async () => {
+  const { chrome } = extension;
+  chrome.cookies.setCookie({ url: INSTAGRAM_URL, name: 'sessionid', value: 'ig-sessionid-expiring', expirationDate: Date.now() / 1000 + 24 * 60 * 60 });
+  await setKeepaliveState({ lastRefresh: Date.now(), lastRun: Date.now() - 3 * HOUR_MS });
+
+  const [entry] = await keepalive.runKeepalive();
+
+  assert.equal(entry.reason, 'expiring');
+  assert.equal(pings.length, 3);
+});
+
+test('quiet hours postpone keepalives', async () => {
+  const { chrome } = extension;
+  const now = new Date();
+  await chrome.storage.local.set({
+    keepalive_quiet_hours: { start: formatTime(new Date(now - HOUR_MS)), end: formatTime(new Date(+now + HOUR_MS)) },
+  });
+  await setKeepaliveState({ lastRefresh: Date.now() - 48 * HOUR_MS, lastRun: Date.now() - 48 * HOUR_MS });
+
+  assert.deepEqual(await keepalive.runKeepalive(), []);
+  assert.equal(pings.length, 3);
+});
+
+test('browsing counts as a refresh even while auto-sync is off', async () => {
+  const { chrome } = extension;
+  await setKeepaliveState({ lastRefresh: Date.now() - 48 * HOUR_MS, lastRun: Date.now() - 48 * HOUR_MS });
+  await chrome.storage.local.set({ auto_sync_enabled: false });
+
+  const browsedAt = Date.now();
+  chrome.cookies.setCookie({ url: INSTAGRAM_URL, name: 'sessionid', value: 'ig-sessionid-browsing' });
+  await waitFor(async () => {
+    const { keepalive_state: state } = await chrome.storage.local.get('keepalive_state');
+    return state.instagram.lastRefresh >= browsedAt;
+  });
+
+  await chrome.storage.local.set({ auto_sync_enabled: true });
+});
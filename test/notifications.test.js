@@ -0,0 +1,28 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeFake } from './helpers/chrome.js';
+
+let chrome;
+let notifications;
+
+before(async () => {
+  chrome = installChromeFake();
+  notifications = await import('../lib/notifications.js');
+});
+
+test('concurrent notifications of the same kind are shown once', async () => {
+  const { notify, NOTIFICATION_TYPES } = notifications;
+  const content = { platformId: 'instagram', title: 'Instagram', message: 'Log in again' };
+
+  await Promise.all([
+    notify(NOTIFICATION_TYPES.SESSION_LOST, content),
+    notify(NOTIFICATION_TYPES.SESSION_LOST, content),
+    notify(NOTIFICATION_TYPES.SESSION_LOST, content),
+  ]);
+  await notify(NOTIFICATION_TYPES.SESSION_LOST, { ...content, platformId: 'linkedin' });
+
+  assert.deepEqual(chrome.notifications.shown.map((notification) => notification.id), [
+    'session_lost:instagram',
+    'session_lost:linkedin',
+  ]);
+});
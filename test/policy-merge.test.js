@@ -0,0 +1,85 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeFake } from './helpers/chrome.js';
+
+let settings;
+let policy;
+let external;
+
+before(async () => {
+  installChromeFake();
+  settings = await import('../lib/settings.js');
+  policy = await import('../lib/policy.js');
+  external = await import('../lib/external.js');
+});
+
+test('malformed policy values are ignored', () => {
+  const { normalizePolicy } = policy;
+
+  assert.deepEqual(normalizePolicy({
+    api_url: 'http://api.dialogbrain.com',
+    allowed_platforms: ['instagram', 'myspace', 42],
+    force_auto_sync: 'yes',
+    sync_interval_hours: 0,
+    allowed_origins: ['https://dialogbrain.example.org/', 'not a url'],
+    disable_logout: true,
+    unknown_policy: true,
+  }), {
+    allowed_platforms: ['instagram'],
+    allowed_origins: ['https://dialogbrain.example.org'],
+    disable_logout: true,
+  });
+});
+
+test('policy values override the user\'s settings they lock', () => {
+  const { applyPolicy, getLockedSettings } = policy;
+  const user = { ...settings.DEFAULT_SETTINGS, auto_sync_enabled: false, sync_intervals: { instagram: 24 } };
+
+  const known = applyPolicy(user, { api_url: 'https://api.dialogbrain.com', sync_interval_hours: 6 });
+  assert.equal(known.environment, 'production');
+  assert.equal(known.custom_api_url, '');
+  assert.equal(known.periodic_sync_enabled, true);
+  assert.deepEqual(Object.values(known.sync_intervals), [6, 6, 6, 6]);
+  assert.equal(known.auto_sync_enabled, false);
+
+  const custom = applyPolicy(user, { api_url: 'https://dialogbrain.example.com', force_auto_sync: true });
+  assert.equal(custom.environment, 'custom');
+  assert.equal(custom.custom_api_url, 'https://dialogbrain.example.com');
+  assert.equal(custom.auto_sync_enabled, true);
+  assert.deepEqual(custom.sync_intervals, { instagram: 24 });
+  assert.deepEqual(getLockedSettings(custom).sort(), [
+    'auto_sync_enabled',
+    'custom_api_url',
+    'environment',
+    'periodic_sync_enabled',
+  ]);
+
+  // No policy: the user's settings as they are
+  assert.deepEqual(applyPolicy(user, {}), { ...user, policy: {} });
+});
+
+test('allowed origins narrow the built-in ones and drop the user\'s', () => {
+  const { applyPolicy } = policy;
+  const { getAllowedOrigins } = external;
+  const user = { ...settings.DEFAULT_SETTINGS, extra_allowed_origins: ['https://staging.dialogbrain.com'] };
+
+  assert.deepEqual(getAllowedOrigins(user), [
+    'https://dialogbrain.com',
+    'https://app.dialogbrain.com',
+    'https://staging.dialogbrain.com',
+  ]);
+  assert.deepEqual(getAllowedOrigins(applyPolicy(user, { allowed_origins: ['https://app.dialogbrain.com', 'https://evil.example.com'] })), [
+    'https://app.dialogbrain.com',
+  ]);
+});
+
+test('platforms and logout follow the policy', () => {
+  const { applyPolicy, isPlatformAllowed, isLogoutDisabled } = policy;
+  const managed = applyPolicy(settings.DEFAULT_SETTINGS, { allowed_platforms: ['instagram'], disable_logout: true });
+
+  assert.equal(isPlatformAllowed('instagram', managed), true);
+  assert.equal(isPlatformAllowed('linkedin', managed), false);
+  assert.equal(isLogoutDisabled(managed), true);
+  assert.equal(isPlatformAllowed('linkedin', settings.DEFAULT_SETTINGS), true);
+  assert.equal(isLogoutDisabled(settings.DEFAULT_SETTINGS), false);
+});
@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INSTAGRAM_URL,
+  startExtension,
+  logIn,
+  logInToInstagram,
+  getPlatformStatus,
+  waitFor,
+  sleep,
+} from './helpers/extension.js';
+
+let extension;
+let settings;
+let policy;
+
+before(async () => {
+  extension = await startExtension();
+  settings = await import('../lib/settings.js');
+  policy = await import('../lib/policy.js');
+
+  await logIn(extension.chrome);
+  logInToInstagram(extension.chrome);
+  await waitFor(async () => (await getPlatformStatus(extension.chrome, 'instagram'))?.lastSync);
+});
+
+after(() => extension.stop());
+
+// Set policy values the way an administrator's deployment would
+function setPolicy(values) {
+  return extension.chrome.storage.managed.set(values);
+}
+
+test('locked settings keep the administrator\'s value', async () => {
+  const { chrome, backend } = extension;
+
+  await setPolicy({ api_url: `${backend.url}/`, force_auto_sync: true, allowed_origins: ['https://app.dialogbrain.com'] });
+  await chrome.storage.local.set({
+    auto_sync_enabled: false,
+    environment: 'production',
+    extra_allowed_origins: ['https://staging.dialogbrain.com'],
+  });
+
+  const current = settings.getSettings();
+  assert.equal(current.auto_sync_enabled, true);
+  assert.equal(current.environment, 'custom');
+  assert.equal(current.custom_api_url, backend.url);
+  assert.deepEqual(current.extra_allowed_origins, []);
+  assert.deepEqual(policy.getLockedSettings().sort(), [
+    'auto_sync_enabled',
+    'custom_api_url',
+    'environment',
+    'extra_allowed_origins',
+    'periodic_sync_enabled',
+  ]);
+
+  // Only the web app origins the policy lists may message the extension
+  const allowed = await chrome.runtime.sendExternal({ v: 1, type: 'PING' }, 'https://app.dialogbrain.com');
+  assert.equal(allowed.installed, true);
+  for (const origin of ['https://dialogbrain.com', 'https://staging.dialogbrain.com']) {
+    const refused = await chrome.runtime.sendExternal({ v: 1, type: 'PING' }, origin);
+    assert.equal(refused.error, 'Unauthorized origin', origin);
+  }
+
+  // The user's own choice is kept for when the policy goes away
+  await chrome.storage.managed.remove(['force_auto_sync', 'allowed_origins']);
+  assert.equal(settings.getSettings().auto_sync_enabled, false);
+  assert.deepEqual(settings.getSettings().extra_allowed_origins, ['https://staging.dialogbrain.com']);
+  await chrome.storage.local.set({ auto_sync_enabled: true, environment: 'custom', extra_allowed_origins: [] });
+});
+
+test('the sync interval comes from the policy', async () => {
+  const { chrome, CONFIG } = extension;
+  const HOUR_MS = 60 * 60 * 1000;
+
+  await chrome.storage.local.set({ sync_intervals: { instagram: 24 } });
+  await setPolicy({ sync_interval_hours: 2 });
+  await waitFor(() => chrome.alarms.alarms.get('sync:instagram')?.scheduledTime <= Date.now() + 2 * HOUR_MS + CONFIG.SYNC_JITTER_MINUTES * 60 * 1000);
+  assert.ok(chrome.alarms.alarms.get('sync:instagram').scheduledTime >= Date.now() + 2 * HOUR_MS - 60 * 1000);
+  assert.equal(settings.getSettings().sync_intervals.instagram, 2);
+  assert.ok(policy.getLockedSettings().includes('sync_intervals'));
+});
+
+test('a platform the policy leaves out stops syncing and its session is deleted', async () => {
+  const { chrome, backend, CONFIG } = extension;
+
+  await setPolicy({ allowed_platforms: ['linkedin'] });
+  await waitFor(async () => (await getPlatformStatus(chrome, 'instagram')).status === 'revoked');
+  assert.equal(backend.requests.at(-1).path, '/api/channels/instagram/accounts/instagram-1/disconnect');
+  assert.equal(backend.accounts.get('instagram-1').sessionActive, false);
+
+  const requests = backend.requests.length;
+  chrome.cookies.setCookie({ url: INSTAGRAM_URL, name: 'mid', value: 'ig-mid-blocked-do-not-log' });
+  await sleep(CONFIG.DEBOUNCE_MS * 5);
+  await chrome.runtime.sendMessage({ type: 'MANUAL_SYNC', platform: 'instagram' });
+  assert.equal(backend.requests.length, requests);
+
+  // Allowed again, it syncs under the consent the user gave before
+  await chrome.storage.managed.remove('allowed_platforms');
+  await waitFor(async () => (await getPlatformStatus(chrome, 'instagram')).status === 'connected');
+  assert.equal(backend.accounts.get('instagram-1').sessionActive, true);
+});
+
+test('logout can be disabled', async () => {
+  const { chrome } = extension;
+  const { hasTokens } = await import('../lib/auth.js');
+
+  await setPolicy({ disable_logout: true });
+  const response = await chrome.runtime.sendMessage({ type: 'LOGOUT' });
+
+  assert.equal(response.success, false);
+  assert.equal(await hasTokens(), true);
+});
@@ -0,0 +1,117 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INSTAGRAM_URL,
+  startExtension,
+  logIn,
+  logInToInstagram,
+  getPlatformStatus,
+  waitFor,
+  sleep,
+} from './helpers/extension.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let extension;
+let schedule;
+
+before(async () => {
+  extension = await startExtension();
+  schedule = await import('../lib/schedule.js');
+
+  await logIn(extension.chrome);
+  logInToInstagram(extension.chrome);
+  await waitFor(async () => (await getPlatformStatus(extension.chrome, 'instagram'))?.lastSync);
+});
+
+after(async () => {
+  await waitFor(async () => !(await getPlatformStatus(extension.chrome, 'instagram')).syncing);
+  await extension.stop();
+});
+
+function formatTime(date) {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+async function readHistory() {
+  const { instagram } = await extension.chrome.runtime.sendMessage({ type: 'GET_HISTORY', platform: 'instagram' });
+  return instagram;
+}
+
+// Whether an alarm is set for `due`, give or take the jitter
+function isScheduledFor(alarm, due) {
+  const jitterMs = extension.CONFIG.SYNC_JITTER_MINUTES * 60 * 1000;
+  return alarm?.scheduledTime >= due - 60 * 1000 && alarm.scheduledTime <= due + jitterMs;
+}
+
+test('every platform has its own periodic sync alarm', async () => {
+  const { chrome, CONFIG } = extension;
+
+  assert.ok(isScheduledFor(chrome.alarms.alarms.get('sync:instagram'), Date.now() + CONFIG.FALLBACK_SYNC_HOURS * HOUR_MS));
+  assert.ok(chrome.alarms.alarms.has('sync:linkedin'));
+
+  // The single alarm of older versions is dropped
+  chrome.alarms.create('fallbackSync', { periodInMinutes: 360 });
+  await schedule.initSchedule();
+  assert.equal(chrome.alarms.alarms.has('fallbackSync'), false);
+
+  await chrome.storage.local.set({ sync_intervals: { instagram: 1, linkedin: 12 } });
+  await waitFor(() => isScheduledFor(chrome.alarms.alarms.get('sync:instagram'), Date.now() + HOUR_MS));
+  assert.ok(isScheduledFor(chrome.alarms.alarms.get('sync:linkedin'), Date.now() + 12 * HOUR_MS));
+});
+
+test('a platform alarm syncs that platform and is set again', async () => {
+  const { chrome } = extension;
+  const before = (await readHistory()).length;
+
+  chrome.alarms.fire('sync:instagram');
+  await waitFor(async () => (await readHistory()).length > before);
+
+  assert.equal((await readHistory()).at(-1).trigger, 'alarm');
+  assert.ok(isScheduledFor(chrome.alarms.alarms.get('sync:instagram'), Date.now() + HOUR_MS));
+});
+
+test('cookie changes in quiet hours sync when they end', async () => {
+  const { chrome, backend, CONFIG } = extension;
+  const end = new Date(Date.now() + HOUR_MS);
+  await chrome.storage.local.set({
+    sync_hours: { mode: 'quiet', start: formatTime(new Date(Date.now() - HOUR_MS)), end: formatTime(end) },
+  });
+
+  const requests = backend.requests.length;
+  chrome.cookies.setCookie({ url: INSTAGRAM_URL, name: 'mid', value: 'ig-mid-quiet-do-not-log' });
+  await sleep(CONFIG.DEBOUNCE_MS * 5);
+  assert.equal(backend.requests.length, requests);
+  await waitFor(() => isScheduledFor(chrome.alarms.alarms.get('sync:instagram'), end.getTime()));
+
+  // An alarm firing in quiet hours waits for them to end too
+  chrome.alarms.fire('sync:instagram');
+  await waitFor(() => chrome.alarms.alarms.has('sync:instagram'));
+  assert.equal(backend.requests.length, requests);
+
+  // Quiet hours are over: the sync is recorded as the cookie change it is
+  await chrome.storage.local.set({ sync_hours: null });
+  const before = (await readHistory()).length;
+  chrome.alarms.fire('sync:instagram');
+  await waitFor(() => backend.requests.length > requests);
+  await waitFor(async () => (await readHistory()).length > before);
+  assert.equal((await readHistory()).at(-1).trigger, 'cookie_change');
+
+  // The next alarm is periodic again
+  chrome.alarms.fire('sync:instagram');
+  await waitFor(async () => (await readHistory()).length > before + 1);
+  assert.equal((await readHistory()).at(-1).trigger, 'alarm');
+});
+
+test('each platform settles cookie changes for its own debounce window', async () => {
+  const { chrome, backend, CONFIG } = extension;
+  await waitFor(async () => !(await getPlatformStatus(chrome, 'instagram')).syncing);
+  await chrome.storage.local.set({ sync_debounce_seconds: { instagram: 1 } });
+
+  const requests = backend.requests.length;
+  chrome.cookies.setCookie({ url: INSTAGRAM_URL, name: 'mid', value: 'ig-mid-settling-do-not-log' });
+  await sleep(CONFIG.DEBOUNCE_MS * 5);
+  assert.equal(backend.requests.length, requests);
+
+  await waitFor(() => backend.requests.length > requests, { timeout: 3000 });
+});
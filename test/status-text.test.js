@@ -0,0 +1,39 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeFake } from './helpers/chrome.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let statusText;
+
+before(async () => {
+  installChromeFake();
+  statusText = await import('../lib/status-text.js');
+});
+
+test('errors are explained in plain words', () => {
+  const instagram = { id: 'instagram', name: 'Instagram' };
+
+  assert.equal(
+    statusText.describeSyncError('HTTP 503: Maintenance', instagram),
+    'DialogBrain is having trouble - retrying automatically (HTTP 503: Maintenance)',
+  );
+  assert.equal(statusText.describeSyncError('Not logged in to Instagram', instagram), 'Log in to Instagram in this browser to sync it');
+  assert.equal(statusText.describeSyncError('Failed to fetch', instagram), 'Couldn\'t reach DialogBrain - check your connection');
+
+  // Unknown errors are shown as they are
+  assert.equal(statusText.explainError('Something odd', instagram), null);
+  assert.equal(statusText.describeSyncError('Something odd', instagram), 'Error: Something odd');
+});
+
+test('session expiry counts down', () => {
+  const now = Date.now();
+
+  assert.equal(statusText.formatExpiry(now + 12 * 24 * HOUR_MS + HOUR_MS, now), 'expires in 12 days');
+  assert.equal(statusText.formatExpiry(now + 5 * HOUR_MS, now), 'expires in 5 hours');
+  assert.equal(statusText.formatExpiry(now + 30 * 60 * 1000, now), 'expires in 30 min');
+  assert.equal(statusText.formatExpiry(now - 1, now), 'expired');
+  assert.equal(statusText.formatExpiry(null, now), 'ends when the browser closes');
+  assert.equal(statusText.formatBackendStatus('connected'), 'Connected');
+  assert.equal(statusText.formatBackendStatus(null), 'Not connected');
+});
@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INSTAGRAM_URL,
+  INSTAGRAM_COOKIES,
+  AUTH_TOKEN,
+  startExtension,
+  logIn,
+  logInToInstagram,
+  getPlatformStatus,
+  waitFor,
+  sleep,
+} from './helpers/extension.js';
+import { assertNothingLeaked } from './helpers/console.js';
+
+let extension;
+
+before(async () => {
+  extension = await startExtension();
+});
+
+after(() => extension.stop());
+
+test('syncing without a DialogBrain login makes no request', async () => {
+  const { chrome, backend } = extension;
+
+  const response = await chrome.runtime.sendMessage({ type: 'MANUAL_SYNC', platform: 'instagram' });
+
+  assert.equal(response.status.error, 'Not logged in');
+  assert.equal(backend.requests.length, 0);
+});
+
+test('a burst of cookie changes is debounced into one connect', async () => {
+  const { chrome, backend, CONFIG } = extension;
+  await logIn(chrome);
+
+  logInToInstagram(chrome);
+
+  await waitFor(() => backend.requests.length === 1);
+  await sleep(CONFIG.DEBOUNCE_MS * 5);
+  assert.equal(backend.requests.length, 1);
+  assert.equal(backend.requests[0].path, '/api/channels/instagram/accounts/connect/cookie');
+  assert.deepEqual(backend.requests[0].fields.sort(), ['cookie_store', 'csrftoken', 'ds_user_id', 'mid', 'sessionid', 'user_agent']);
+});
+
+test('the account id from connect is stored and used to sync', async () => {
+  const { chrome, backend } = extension;
+  await waitFor(async () => (await getPlatformStatus(chrome, 'instagram')).lastSync);
+
+  const status = await getPlatformStatus(chrome, 'instagram');
+  assert.equal(status.accountId, 'instagram-1');
+  assert.equal(status.identity, INSTAGRAM_COOKIES.ds_user_id);
+  assert.equal(status.error, null);
+
+  const response = await chrome.runtime.sendMessage({ type: 'MANUAL_SYNC', platform: 'instagram' });
+
+  assert.equal(response.success, true);
+  assert.equal(backend.requests.at(-1).path, '/api/channels/instagram/accounts/instagram-1/sync-cookie');
+  assert.equal(backend.accounts.get('instagram-1').syncs, 2);
+});
+
+test('an unchanged session is not uploaded again on cookie changes', async () => {
+  const { chrome, backend, CONFIG } = extension;
+  const before = backend.requests.length;
+
+  chrome.cookies.setCookie({ url: INSTAGRAM_URL, name: 'mid', value: INSTAGRAM_COOKIES.mid });
+  await sleep(CONFIG.DEBOUNCE_MS * 5);
+  await waitFor(async () => !(await getPlatformStatus(chrome, 'instagram')).syncing);
+
+  assert.equal(backend.requests.length, before);
+});
+
+test('removing the session cookie disconnects the account', async () => {
+  const { chrome, backend } = extension;
+
+  chrome.cookies.removeCookie({ url: INSTAGRAM_URL, name: 'sessionid', cause: 'explicit' });
+
+  await waitFor(() => backend.requests.at(-1).path.endsWith('/disconnect'));
+  await waitFor(async () => (await getPlatformStatus(chrome, 'instagram')).status === 'session_ended');
+  assert.equal(backend.accounts.get('instagram-1').sessionActive, false);
+  assert.equal(chrome.notifications.shown.at(-1).id, 'session_lost:instagram');
+});
+
+test('logout forgets the token, accounts and status', async () => {
+  const { chrome } = extension;
+
+  const response = await chrome.runtime.sendMessage({ type: 'LOGOUT' });
+
+  assert.equal(response.success, true);
+  const stored = JSON.stringify(chrome.storage.local.data);
+  assert.ok(!stored.includes('instagram-1'), 'account ids are cleared');
+  assert.ok(!stored.includes(AUTH_TOKEN), 'token is never stored in plaintext');
+
+  const status = await getPlatformStatus(chrome, 'instagram');
+  assert.equal(status.error, 'Not logged in');
+  assert.equal(status.accountId, null);
+
+  // One neutral badge rather than every platform failing
+  await waitFor(() => chrome.action.badge.text === 'OFF');
+  assert.equal(chrome.action.badge.title, 'DialogBrain Cookie Sync - logged out of DialogBrain');
+});
+
+test('cookie and token values never reach the console', () => {
+  assertNothingLeaked(extension.logs, [...Object.values(INSTAGRAM_COOKIES).filter((value) => value.includes('do-not-log')), AUTH_TOKEN]);
+});
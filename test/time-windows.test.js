@@ -0,0 +1,54 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeFake } from './helpers/chrome.js';
+
+let CONFIG;
+let schedule;
+let keepalive;
+
+before(async () => {
+  installChromeFake();
+  ({ CONFIG } = await import('../lib/config.js'));
+  schedule = await import('../lib/schedule.js');
+  keepalive = await import('../lib/keepalive.js');
+});
+
+test('sync hours may be quiet hours or working hours', () => {
+  const { isSyncTime, getNextSyncTime } = schedule;
+  const at = (hours, minutes = 0) => new Date(2026, 0, 1, hours, minutes);
+  const quiet = { sync_hours: { mode: 'quiet', start: '22:00', end: '07:00' } };
+  const working = { sync_hours: { mode: 'working', start: '09:00', end: '17:30' } };
+
+  assert.equal(isSyncTime(at(23), quiet), false);
+  assert.equal(isSyncTime(at(12), quiet), true);
+  assert.deepEqual(getNextSyncTime(at(23), quiet), new Date(2026, 0, 2, 7));
+
+  assert.equal(isSyncTime(at(17, 29), working), true);
+  assert.equal(isSyncTime(at(18), working), false);
+  assert.deepEqual(getNextSyncTime(at(6), working), at(9));
+  assert.deepEqual(getNextSyncTime(at(12), working), at(12));
+
+  // Start and end the same: no restriction
+  assert.equal(isSyncTime(at(3), { sync_hours: { mode: 'working', start: '09:00', end: '09:00' } }), true);
+});
+
+test('sync intervals and debounce windows fall back to the defaults', () => {
+  const { getSyncInterval, getDebounceMs } = schedule;
+  const settings = { sync_intervals: { instagram: 2, linkedin: 0 }, sync_debounce_seconds: { instagram: 30 } };
+
+  assert.equal(getSyncInterval('instagram', settings), 2);
+  assert.equal(getSyncInterval('linkedin', settings), CONFIG.FALLBACK_SYNC_HOURS);
+  assert.equal(getDebounceMs('instagram', settings), 30 * 1000);
+  assert.equal(getDebounceMs('linkedin', settings), CONFIG.DEBOUNCE_MS);
+});
+
+test('quiet hours may wrap past midnight', () => {
+  const { isQuietTime } = keepalive;
+  const at = (hours, minutes = 0) => new Date(2026, 0, 1, hours, minutes);
+
+  assert.equal(isQuietTime({ start: '23:00', end: '07:00' }, at(2)), true);
+  assert.equal(isQuietTime({ start: '23:00', end: '07:00' }, at(7)), false);
+  assert.equal(isQuietTime({ start: '09:00', end: '17:30' }, at(17, 29)), true);
+  assert.equal(isQuietTime({ start: '09:00', end: '17:30' }, at(8, 59)), false);
+  assert.equal(isQuietTime(null, at(2)), false);
+});